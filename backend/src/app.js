@@ -0,0 +1,94 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+require('dotenv').config();
+
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const plansRoutes = require('./routes/plans');
+const sessionsRoutes = require('./routes/sessions');
+const bookingsRoutes = require('./routes/bookings');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const checkInRoutes = require('./routes/checkIn');
+const instructorRoutes = require('./routes/instructor');
+const { errorHandler } = require('./middleware/errorHandler');
+const { authenticateToken } = require('./middleware/auth');
+
+const app = express();
+
+// Security middleware
+app.use(helmet());
+app.use(compression());
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  // Test suites make many requests from the same address
+  skip: () => process.env.NODE_ENV === 'test'
+});
+app.use('/api/', limiter);
+
+// CORS configuration
+app.use(cors({
+  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+  credentials: true
+}));
+
+// Body parsing middleware
+// Keep the raw bytes of webhook requests for HMAC verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Logging
+app.use(morgan('combined', {
+  skip: () => process.env.NODE_ENV === 'test'
+}));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/plans', authenticateToken, plansRoutes);
+app.use('/api/sessions', authenticateToken, sessionsRoutes);
+app.use('/api/bookings', authenticateToken, bookingsRoutes);
+// Staff routes declare the permissions they need, see config/permissions.js
+app.use('/api/admin', authenticateToken, adminRoutes);
+app.use('/api/check-in', authenticateToken, checkInRoutes);
+app.use('/api/instructor', authenticateToken, instructorRoutes);
+
+// Webhook routes (no authentication required for Shopify webhooks)
+app.use('/api/webhooks', webhookRoutes);
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ 
+    error: 'Route not found',
+    path: req.originalUrl 
+  });
+});
+
+// Error handling middleware
+app.use(errorHandler);
+
+module.exports = app;
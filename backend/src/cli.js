@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const { jobs } = require('./jobs');
+
+// Parse `--flag value`, `--flag=value` and bare `--flag` into an options object
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [key, inlineValue] = arg.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (args[i + 1] && !args[i + 1].startsWith('--')) {
+      options[key] = args[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage: npm run job -- <job-name> [--option value]\n');
+  console.log('Available jobs:');
+  for (const [name, job] of Object.entries(jobs)) {
+    console.log(`  ${name.padEnd(24)} ${job.description}`);
+  }
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || !jobs[name]) {
+    printUsage();
+    process.exit(name ? 1 : 0);
+  }
+
+  const summary = await jobs[name].run(parseOptions(args));
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Role-based permissions. Routes declare the permissions they need with
+// requirePermission (middleware/permissions.js); a user's role grants them.
+
+// Every permission, with what it allows
+const PERMISSIONS = {
+  'users:view': 'View any user profile',
+  'sessions:generate': 'Generate sessions from the weekly class schedule',
+  'sessions:cancel': 'Cancel sessions, refunding every booking',
+  'sessions:notes': 'Edit the notes of sessions you teach',
+  'schedule:view': 'View your teaching schedule',
+  'roster:view': 'View session rosters, including student health notes',
+  'attendance:mark': 'Mark attendance for sessions you teach',
+  'check_in:record': 'Check students in for sessions you teach',
+  'check_in:any_session': 'Check students in for any session',
+  'closures:manage': 'Add and remove studio closure dates',
+  'catalog:manage': 'Create, update and archive class types, classes, rooms, instructors and plans',
+  'audit:view': 'View the audit log',
+  'plans:freeze': 'Freeze student plans',
+  'credits:adjust': 'Request credit adjustments (grants, deductions and transfers)',
+  'credits:approve': 'Approve or reject credit adjustments above the approval threshold',
+  'penalties:manage': 'View penalties and resolve penalty fees',
+  'students:unblock': 'Lift student booking blocks',
+  'compliance:view': 'View GDPR compliance requests and exports',
+  'webhooks:manage': 'View and replay webhook deliveries',
+  'products:sync': 'Sync plans from the Shopify catalog'
+};
+
+// Permissions granted to each role. Customers (`user`) only reach their own
+// data, which routes check themselves.
+const ROLE_PERMISSIONS = {
+  user: [],
+  instructor: [
+    'schedule:view',
+    'roster:view',
+    'attendance:mark',
+    'sessions:notes',
+    'check_in:record'
+  ],
+  front_desk: [
+    'users:view',
+    'roster:view',
+    'check_in:record',
+    'check_in:any_session',
+    'students:unblock',
+    'credits:adjust'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS
+};
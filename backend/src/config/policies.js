@@ -0,0 +1,37 @@
+// Studio policies, configurable through environment variables
+
+// Plan freezes: how often and for how long a single plan may be paused
+const planFreeze = {
+  maxFreezesPerPlan: parseInt(process.env.PLAN_FREEZE_MAX_PER_PLAN || 2),
+  maxTotalDays: parseInt(process.env.PLAN_FREEZE_MAX_DAYS || 30)
+};
+
+// Plan lifecycle notices: how many days before expiry customers are warned,
+// and the credit balance at which a low-balance notice is sent
+const planLifecycle = {
+  expiryNoticeDays: parseInt(process.env.PLAN_EXPIRY_NOTICE_DAYS || 7),
+  lowBalanceCredits: parseInt(process.env.PLAN_LOW_BALANCE_CREDITS || 1)
+};
+
+// No-shows: students with `threshold` no-shows within `windowDays` cannot
+// book for `blockDays` (a threshold of 0 turns blocking off)
+const noShowBlock = {
+  threshold: parseInt(process.env.NO_SHOW_BLOCK_THRESHOLD ?? 3),
+  windowDays: parseInt(process.env.NO_SHOW_WINDOW_DAYS || 30),
+  blockDays: parseInt(process.env.NO_SHOW_BLOCK_DAYS || 7)
+};
+
+// Manual credit adjustments that take a student past `approvalThreshold`
+// credits within `approvalWindowDays` need a second staff member to approve
+// them (0 sends every adjustment for approval)
+const creditAdjustments = {
+  approvalThreshold: parseInt(process.env.CREDIT_ADJUSTMENT_APPROVAL_THRESHOLD ?? 5),
+  approvalWindowDays: parseInt(process.env.CREDIT_ADJUSTMENT_APPROVAL_WINDOW_DAYS || 30)
+};
+
+module.exports = {
+  planFreeze,
+  planLifecycle,
+  noShowBlock,
+  creditAdjustments
+};
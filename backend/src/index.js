@@ -1,84 +1,19 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const compression = require('compression');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+const app = require('./app');
+const { startScheduler } = require('./jobs/scheduler');
 
-const authRoutes = require('./routes/auth');
-const userRoutes = require('./routes/users');
-const plansRoutes = require('./routes/plans');
-const sessionsRoutes = require('./routes/sessions');
-const bookingsRoutes = require('./routes/bookings');
-const webhookRoutes = require('./routes/webhooks');
-const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
-
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Security middleware
-app.use(helmet());
-app.use(compression());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
-
-// CORS configuration
-app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
-  credentials: true
-}));
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Logging
-app.use(morgan('combined'));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/plans', authenticateToken, plansRoutes);
-app.use('/api/sessions', authenticateToken, sessionsRoutes);
-app.use('/api/bookings', authenticateToken, bookingsRoutes);
-
-// Webhook routes (no authentication required for Shopify webhooks)
-app.use('/api/webhooks', webhookRoutes);
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    path: req.originalUrl 
-  });
-});
-
-// Error handling middleware
-app.use(errorHandler);
-
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Fitness Booking API running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 Webhook endpoint: http://localhost:${PORT}/api/webhooks`);
+
+  // Background jobs (recurring bookings, ...) run in-process when enabled
+  if (process.env.ENABLE_SCHEDULED_JOBS === 'true') {
+    startScheduler();
+  }
 });
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
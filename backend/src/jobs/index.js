@@ -0,0 +1,93 @@
+const { fulfilRecurringBookings } = require('../services/recurringBookings');
+const { generateSessions } = require('../services/sessionGenerator');
+const { syncProducts } = require('../services/planSync');
+const { runPlanLifecycle } = require('../services/planLifecycle');
+const { markNoShows } = require('../services/penalties');
+const { reconcileCredits } = require('../services/ledgerReconciliation');
+const { sendQueuedNotifications } = require('../services/notifications');
+const { retryDueWebhooks, replayWebhookEvent } = require('../webhooks');
+
+// Background jobs, runnable from the CLI (`npm run job -- <name>`) and on a
+// timer by the scheduler. Each job receives the parsed CLI options and
+// returns a summary object.
+const jobs = {
+  'generate-sessions': {
+    description: 'Create sessions from the weekly class schedule (--weeks, --from, --class-id, --dry-run)',
+    intervalEnv: 'GENERATE_SESSIONS_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 24 * 60,
+    run: (options) => generateSessions({
+      weeks: parseInt(options.weeks || process.env.SESSION_GENERATION_WEEKS || 4),
+      fromDate: options.from,
+      classId: options['class-id'],
+      dryRun: Boolean(options['dry-run'])
+    })
+  },
+  'recurring-bookings': {
+    description: 'Book upcoming sessions for active recurring bookings',
+    intervalEnv: 'RECURRING_BOOKINGS_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 60,
+    run: (options) => fulfilRecurringBookings({
+      recurringBookingId: options.id,
+      classId: options['class-id']
+    })
+  },
+  'retry-webhooks': {
+    description: 'Retry failed webhook deliveries whose backoff has elapsed (--limit), or replay one (--event-id)',
+    intervalEnv: 'WEBHOOK_RETRY_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 5,
+    run: async (options) => {
+      if (options['event-id']) {
+        return (await replayWebhookEvent(options['event-id'])) ||
+          { event_id: options['event-id'], status: 'not_found' };
+      }
+
+      return retryDueWebhooks({ limit: parseInt(options.limit || 50) });
+    }
+  },
+  'sync-products': {
+    description: 'Sync the full Shopify catalog into plans (--dry-run prints the diff without writing)',
+    intervalEnv: 'SYNC_PRODUCTS_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 0,
+    run: (options) => syncProducts({ dryRun: Boolean(options['dry-run']) })
+  },
+  'plan-lifecycle': {
+    description: 'Expire past-due plans and queue expiry and low-balance notices (--date to run as of a date, future dates only with --dry-run)',
+    intervalEnv: 'PLAN_LIFECYCLE_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 60,
+    run: (options) => runPlanLifecycle({
+      today: options.date,
+      dryRun: Boolean(options['dry-run'])
+    })
+  },
+  'send-notifications': {
+    description: 'Send queued customer notifications through the delivery webhook (--limit, --dry-run only counts)',
+    intervalEnv: 'SEND_NOTIFICATIONS_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 5,
+    run: (options) => sendQueuedNotifications({
+      limit: parseInt(options.limit || 100),
+      dryRun: Boolean(options['dry-run'])
+    })
+  },
+  'mark-no-shows': {
+    description: 'Mark bookings not checked in by the end of their session as no-shows (--dry-run only counts them)',
+    intervalEnv: 'MARK_NO_SHOWS_INTERVAL_MINUTES',
+    // Off unless configured: only studios that check students in can use it
+    defaultIntervalMinutes: 0,
+    run: (options) => markNoShows({ dryRun: Boolean(options['dry-run']) })
+  },
+  'reconcile-credits': {
+    description: 'Compare each credit pack\'s stored balance with its ledger and list mismatches with likely causes, and unlimited plans with undebited bookings (--plan-id, --student-id, --fix records correcting adjustment entries except for plans that need review)',
+    intervalEnv: 'RECONCILE_CREDITS_INTERVAL_MINUTES',
+    // Report only; corrections are never written on the timer
+    defaultIntervalMinutes: 0,
+    run: (options) => reconcileCredits({
+      studentPlanId: options['plan-id'],
+      studentId: options['student-id'],
+      fix: Boolean(options.fix)
+    })
+  }
+};
+
+module.exports = {
+  jobs
+};
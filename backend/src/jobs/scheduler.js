@@ -0,0 +1,43 @@
+const { jobs } = require('./index');
+
+const running = new Set();
+
+// Run a job unless a previous run of it is still in progress
+async function runJob(name) {
+  if (running.has(name)) {
+    console.log(`⏭️  Skipping ${name}: previous run still in progress`);
+    return;
+  }
+
+  running.add(name);
+  try {
+    const summary = await jobs[name].run({});
+    console.log(`✅ Job ${name} finished:`, summary);
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    running.delete(name);
+  }
+}
+
+// Start every job on its configured interval (minutes, 0 disables a job)
+function startScheduler() {
+  const timers = [];
+
+  for (const [name, job] of Object.entries(jobs)) {
+    const minutes = parseInt(process.env[job.intervalEnv] ?? job.defaultIntervalMinutes);
+
+    if (!minutes) {
+      continue;
+    }
+
+    timers.push(setInterval(() => runJob(name), minutes * 60 * 1000));
+    console.log(`⏰ Scheduled job ${name} every ${minutes} minutes`);
+  }
+
+  return () => timers.forEach(timer => clearInterval(timer));
+}
+
+module.exports = {
+  startScheduler
+};
@@ -1,10 +1,89 @@
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
 
+// Extract the token from an "Authorization: Bearer TOKEN" header
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Session tokens issued by Shopify to customer account UI extensions carry a
+// `dest` (shop) claim; our own API tokens do not
+const isShopifySessionToken = (token) => {
+  const decoded = jwt.decode(token);
+  return Boolean(decoded && decoded.dest);
+};
+
+// Verify a Shopify customer account session token: HS256 signature with the
+// app secret, audience (app API key), expiry/not-before and shop domain.
+// Returns the claims plus the numeric customer ID taken from `sub`.
+const verifyShopifySessionToken = (token) => {
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+  const apiKey = process.env.SHOPIFY_API_KEY;
+
+  if (!apiSecret || !apiKey) {
+    throw new Error('SHOPIFY_API_SECRET and SHOPIFY_API_KEY must be configured');
+  }
+
+  const payload = jwt.verify(token, apiSecret, {
+    algorithms: ['HS256'],
+    audience: apiKey,
+    clockTolerance: 5
+  });
+
+  const dest = String(payload.dest || '');
+  const shopDomain = dest.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+
+  if (shopDomain !== process.env.SHOPIFY_SHOP_DOMAIN) {
+    throw new jwt.JsonWebTokenError('Session token was issued for a different shop');
+  }
+
+  // `sub` is the customer GID, e.g. gid://shopify/Customer/123
+  const customerId = String(payload.sub || '').split('/').pop();
+
+  if (!/^\d+$/.test(customerId)) {
+    throw new jwt.JsonWebTokenError('Session token does not identify a customer');
+  }
+
+  return {
+    ...payload,
+    shopDomain,
+    customerId
+  };
+};
+
+// Send the 401 response for a failed token verification, or null if the
+// error is not a token error
+const sendTokenError = (res, error) => {
+  if (error.name === 'TokenExpiredError') {
+    return res.status(401).json({ 
+      error: 'Token expired',
+      message: 'Authentication token has expired' 
+    });
+  }
+  if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+    return res.status(401).json({ 
+      error: 'Invalid token',
+      message: 'Token is malformed or invalid' 
+    });
+  }
+  return null;
+};
+
+// Look up the user linked to a Shopify customer ID
+const findUserByShopifyCustomerId = async (shopifyCustomerId) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('shopify_customer_id', shopifyCustomerId)
+    .single();
+
+  return error ? null : user;
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = getBearerToken(req);
 
     if (!token) {
       return res.status(401).json({ 
@@ -13,6 +92,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Customers authenticate with the session token from the extension
+    if (isShopifySessionToken(token)) {
+      const session = verifyShopifySessionToken(token);
+      const user = await findUserByShopifyCustomerId(session.customerId);
+
+      if (!user) {
+        return res.status(401).json({ 
+          error: 'Invalid token',
+          message: 'User not found or token is invalid' 
+        });
+      }
+
+      req.shopifySession = session;
+      req.shopifyCustomer = user;
+      req.user = user;
+      return next();
+    }
+
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -34,17 +131,8 @@ const authenticateToken = async (req, res, next) => {
     req.user = user;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token',
-        message: 'Token is malformed or invalid' 
-      });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired',
-        message: 'Authentication token has expired' 
-      });
+    if (sendTokenError(res, error)) {
+      return;
     }
     
     console.error('Auth middleware error:', error);
@@ -55,35 +143,72 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to verify Shopify customer
+// Middleware to verify the Shopify session token without requiring the
+// customer to exist in our database yet (used to sign in new customers)
+const verifyShopifySession = (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'Session token required',
+        message: 'Please provide a Shopify session token' 
+      });
+    }
+
+    req.shopifySession = verifyShopifySessionToken(token);
+    next();
+  } catch (error) {
+    if (sendTokenError(res, error)) {
+      return;
+    }
+
+    console.error('Shopify session verification error:', error);
+    return res.status(500).json({ 
+      error: 'Session verification error',
+      message: 'Internal server error during session verification' 
+    });
+  }
+};
+
+// Middleware to verify Shopify customer. The customer is identified only by
+// the verified session token, never by client-supplied IDs.
 const verifyShopifyCustomer = async (req, res, next) => {
   try {
-    const shopifyCustomerId = req.headers['x-shopify-customer-id'];
-    
-    if (!shopifyCustomerId) {
-      return res.status(400).json({ 
-        error: 'Shopify customer ID required',
-        message: 'Please provide Shopify customer ID' 
+    // Already verified by authenticateToken
+    if (req.shopifyCustomer) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+
+    if (!token || !isShopifySessionToken(token)) {
+      return res.status(401).json({ 
+        error: 'Session token required',
+        message: 'Please provide a Shopify session token' 
       });
     }
 
+    const session = verifyShopifySessionToken(token);
+
     // Verify customer exists in our database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('shopify_customer_id', shopifyCustomerId)
-      .single();
+    const user = await findUserByShopifyCustomerId(session.customerId);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(404).json({ 
         error: 'Customer not found',
         message: 'Shopify customer not found in our system' 
       });
     }
 
+    req.shopifySession = session;
     req.shopifyCustomer = user;
     next();
   } catch (error) {
+    if (sendTokenError(res, error)) {
+      return;
+    }
+
     console.error('Shopify customer verification error:', error);
     return res.status(500).json({ 
       error: 'Customer verification error',
@@ -103,6 +228,8 @@ const generateToken = (userId) => {
 
 module.exports = {
   authenticateToken,
+  verifyShopifySessionToken,
+  verifyShopifySession,
   verifyShopifyCustomer,
   generateToken
 }; 
\ No newline at end of file
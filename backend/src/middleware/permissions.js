@@ -0,0 +1,50 @@
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Whether a user's role grants a permission
+const hasPermission = (user, permission) =>
+  Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+// Middleware to restrict a route to users whose role grants every one of the
+// given permissions. Must run after authenticateToken.
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+
+  // Catch typos when the routes are loaded rather than denying at runtime
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to perform this action',
+        required_permissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
+// Like requirePermission, but the user a resource belongs to may always
+// access it. getOwnerId returns the owner's user ID from the request.
+const requirePermissionOrOwner = (getOwnerId, ...permissions) => {
+  const checkPermissions = requirePermission(...permissions);
+
+  return (req, res, next) => {
+    if (req.user && req.user.id === getOwnerId(req)) {
+      return next();
+    }
+
+    checkPermissions(req, res, next);
+  };
+};
+
+module.exports = {
+  hasPermission,
+  requirePermission,
+  requirePermissionOrOwner
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Check an X-Shopify-Hmac-Sha256 header against the raw request body.
+// Shopify signs the exact bytes it sent, so this must never be computed from
+// re-serialized JSON.
+function isValidWebhookSignature(rawBody, signature, secret) {
+  if (!Buffer.isBuffer(rawBody) || typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(signature, 'base64');
+
+  // A malformed header decodes to the wrong length; timingSafeEqual would throw
+  if (received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(received, expected);
+}
+
+// Middleware to verify Shopify webhook authenticity. Requires req.rawBody,
+// captured by the express.json verify callback in app.js.
+const verifyShopifyWebhook = (req, res, next) => {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('SHOPIFY_WEBHOOK_SECRET not configured');
+  }
+
+  const signature = req.headers['x-shopify-hmac-sha256'];
+
+  if (!signature) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing webhook signature'
+    });
+  }
+
+  if (!isValidWebhookSignature(req.rawBody, signature, secret)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  isValidWebhookSignature,
+  verifyShopifyWebhook
+};
@@ -0,0 +1,637 @@
+const express = require('express');
+const { supabase } = require('../config/supabase');
+const { generateSessions } = require('../services/sessionGenerator');
+const { cancelSession, localDate } = require('../services/sessions');
+const { BookingError } = require('../services/bookings');
+const { PlanFreezeError, freezePlan } = require('../services/planFreezes');
+const { listPenalties, resolvePenaltyFee, liftBookingBlock } = require('../services/penalties');
+const { listStuckWebhookEvents } = require('../services/webhookEvents');
+const { replayWebhookEvent } = require('../webhooks');
+const { listAuditLog } = require('../services/audit');
+const {
+  CreditAdjustmentError,
+  requestAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+  listAdjustments
+} = require('../services/creditAdjustments');
+const catalogRoutes = require('./adminCatalog');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Create, update and archive class types, classes, rooms, instructors and plans
+router.use(catalogRoutes);
+
+// Generate sessions from the weekly class schedule
+router.post('/sessions/generate', requirePermission('sessions:generate'), async (req, res) => {
+  try {
+    const { weeks = 4, from_date, class_id, dry_run = false } = req.body;
+    const weekCount = parseInt(weeks);
+
+    if (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > 26) {
+      return res.status(400).json({
+        error: 'Invalid weeks',
+        message: 'Weeks must be a number between 1 and 26'
+      });
+    }
+
+    if (from_date && !/^\d{4}-\d{2}-\d{2}$/.test(from_date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from_date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const summary = await generateSessions({
+      weeks: weekCount,
+      fromDate: from_date,
+      classId: class_id,
+      dryRun: Boolean(dry_run)
+    });
+
+    res.status(dry_run ? 200 : 201).json({
+      success: true,
+      message: dry_run
+        ? `${summary.created.length} sessions would be created`
+        : `${summary.created.length} sessions created`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error generating sessions:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while generating sessions'
+    });
+  }
+});
+
+// Cancel a session, refunding and notifying every booked student
+router.patch('/sessions/:sessionId/cancel', requirePermission('sessions:cancel'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'A cancellation reason is required'
+      });
+    }
+
+    let result;
+    try {
+      result = await cancelSession({ sessionId, reason: reason.trim() });
+    } catch (error) {
+      if (error instanceof BookingError) {
+        return res.status(error.status).json({
+          error: error.code === 'SESSION_NOT_AVAILABLE' ? 'Cannot cancel' : error.error,
+          message: error.code === 'SESSION_NOT_AVAILABLE'
+            ? 'Only scheduled sessions can be cancelled'
+            : error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `Session cancelled. ${result.cancelledBookings.length} booking(s) cancelled and refunded.`,
+      data: {
+        session: result.session,
+        cancelled_bookings: result.cancelledBookings.length,
+        refunded_bookings: result.cancelledBookings.filter(booking => booking.credit_refunded).length,
+        notifications_queued: result.notified
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling session:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while cancelling session'
+    });
+  }
+});
+
+// List upcoming studio closures
+router.get('/closures', requirePermission('closures:manage'), async (req, res) => {
+  try {
+    const { data: closures, error } = await supabase
+      .from('studio_closures')
+      .select('id, closure_date, reason, created_at')
+      .gte('closure_date', localDate())
+      .order('closure_date', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching closures:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch closures'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: closures || []
+    });
+  } catch (error) {
+    console.error('Error in closures route:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching closures'
+    });
+  }
+});
+
+// Add a holiday or studio closure date
+router.post('/closures', requirePermission('closures:manage'), async (req, res) => {
+  try {
+    const { closure_date, reason } = req.body;
+
+    if (!closure_date || !/^\d{4}-\d{2}-\d{2}$/.test(closure_date) || !reason) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'closure_date (YYYY-MM-DD) and reason are required'
+      });
+    }
+
+    const { data: closure, error } = await supabase
+      .from('studio_closures')
+      .insert({ closure_date, reason })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Closure exists',
+          message: 'A closure already exists for this date'
+        });
+      }
+
+      console.error('Error creating closure:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to create closure'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Closure added. Sessions will not be generated on this date.',
+      data: closure
+    });
+  } catch (error) {
+    console.error('Error creating closure:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while creating closure'
+    });
+  }
+});
+
+// Remove a closure date
+router.delete('/closures/:closureId', requirePermission('closures:manage'), async (req, res) => {
+  try {
+    const { closureId } = req.params;
+
+    const { data: closure, error } = await supabase
+      .from('studio_closures')
+      .delete()
+      .eq('id', closureId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error deleting closure:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to delete closure'
+      });
+    }
+
+    if (!closure) {
+      return res.status(404).json({
+        error: 'Closure not found',
+        message: 'The requested closure does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Closure removed',
+      data: closure
+    });
+  } catch (error) {
+    console.error('Error deleting closure:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while deleting closure'
+    });
+  }
+});
+
+// Freeze a student's plan on their behalf
+router.post('/student-plans/:studentPlanId/freeze', requirePermission('plans:freeze'), async (req, res) => {
+  try {
+    const { studentPlanId } = req.params;
+    const { start_date, end_date, reason } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end_date || '')) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'start_date and end_date (YYYY-MM-DD) are required'
+      });
+    }
+
+    const freeze = await freezePlan({
+      studentPlanId,
+      startDate: start_date,
+      endDate: end_date,
+      reason,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Plan frozen for ${freeze.days} days`,
+      data: freeze
+    });
+  } catch (error) {
+    if (error instanceof PlanFreezeError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Error freezing plan:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while freezing plan'
+    });
+  }
+});
+
+// Adjust a student's credits through the ledger: grant credits to a plan,
+// deduct them, or transfer them from another plan of the same student.
+// Adjustments above the approval threshold wait for a second approver.
+router.post('/credit-adjustments', requirePermission('credits:adjust'), async (req, res) => {
+  try {
+    const adjustment = await requestAdjustment(req.body, { requestedBy: req.user.id });
+
+    res.status(adjustment.status === 'applied' ? 201 : 202).json({
+      success: true,
+      message: adjustment.status === 'applied'
+        ? 'Credit adjustment applied'
+        : 'Credit adjustment needs a second approver',
+      data: adjustment
+    });
+  } catch (error) {
+    if (error instanceof CreditAdjustmentError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Error adjusting credits:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while adjusting credits'
+    });
+  }
+});
+
+// List credit adjustments, e.g. ?status=pending for those awaiting approval
+router.get('/credit-adjustments', requirePermission('credits:adjust'), async (req, res) => {
+  try {
+    const { status, student_id } = req.query;
+
+    if (status && !['pending', 'applied', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'status must be pending, applied or rejected'
+      });
+    }
+
+    const adjustments = await listAdjustments({ status, studentId: student_id });
+
+    res.json({
+      success: true,
+      data: adjustments
+    });
+  } catch (error) {
+    console.error('Error fetching credit adjustments:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching credit adjustments'
+    });
+  }
+});
+
+// Approve and apply a pending credit adjustment
+router.post('/credit-adjustments/:adjustmentId/approve', requirePermission('credits:approve'), async (req, res) => {
+  try {
+    const adjustment = await approveAdjustment({
+      adjustmentId: req.params.adjustmentId,
+      approvedBy: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Credit adjustment approved and applied',
+      data: adjustment
+    });
+  } catch (error) {
+    if (error instanceof CreditAdjustmentError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Error approving credit adjustment:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while approving credit adjustment'
+    });
+  }
+});
+
+// Reject a pending credit adjustment
+router.post('/credit-adjustments/:adjustmentId/reject', requirePermission('credits:approve'), async (req, res) => {
+  try {
+    const adjustment = await rejectAdjustment({
+      adjustmentId: req.params.adjustmentId,
+      rejectedBy: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (!adjustment) {
+      return res.status(404).json({
+        error: 'Adjustment not found',
+        message: 'No pending credit adjustment exists with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit adjustment rejected',
+      data: adjustment
+    });
+  } catch (error) {
+    console.error('Error rejecting credit adjustment:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while rejecting credit adjustment'
+    });
+  }
+});
+
+// List late-cancellation and no-show penalties, e.g. ?fee_status=pending for
+// fees still to be charged
+router.get('/penalties', requirePermission('penalties:manage'), async (req, res) => {
+  try {
+    const { fee_status, student_id } = req.query;
+
+    if (fee_status && !['none', 'pending', 'charged', 'waived'].includes(fee_status)) {
+      return res.status(400).json({
+        error: 'Invalid fee status',
+        message: 'fee_status must be none, pending, charged or waived'
+      });
+    }
+
+    const penalties = await listPenalties({ feeStatus: fee_status, studentId: student_id });
+
+    res.json({
+      success: true,
+      data: penalties
+    });
+  } catch (error) {
+    console.error('Error fetching penalties:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching penalties'
+    });
+  }
+});
+
+// Record that a pending penalty fee was charged or waived
+router.patch('/penalties/:penaltyId', requirePermission('penalties:manage'), async (req, res) => {
+  try {
+    const { penaltyId } = req.params;
+    const { fee_status } = req.body;
+
+    if (!['charged', 'waived'].includes(fee_status)) {
+      return res.status(400).json({
+        error: 'Invalid fee status',
+        message: 'fee_status must be charged or waived'
+      });
+    }
+
+    const penalty = await resolvePenaltyFee({
+      penaltyId,
+      feeStatus: fee_status,
+      resolvedBy: req.user.id
+    });
+
+    if (!penalty) {
+      return res.status(404).json({
+        error: 'Penalty not found',
+        message: 'No pending fee exists for this penalty'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Penalty fee marked as ${fee_status}`,
+      data: penalty
+    });
+  } catch (error) {
+    console.error('Error updating penalty:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while updating penalty'
+    });
+  }
+});
+
+// Lift a student's no-show booking block early
+router.delete('/students/:studentId/booking-block', requirePermission('students:unblock'), async (req, res) => {
+  try {
+    const student = await liftBookingBlock(req.params.studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        message: 'The requested student does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking block lifted',
+      data: student
+    });
+  } catch (error) {
+    console.error('Error lifting booking block:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while lifting booking block'
+    });
+  }
+});
+
+// List GDPR compliance requests received from Shopify
+router.get('/compliance-requests', requirePermission('compliance:view'), async (req, res) => {
+  try {
+    const { data: requests, error } = await supabase
+      .from('compliance_requests')
+      .select('id, topic, shop_domain, shopify_customer_id, shopify_request_id, user_id, status, created_at, completed_at')
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      console.error('Error fetching compliance requests:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch compliance requests'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: requests || []
+    });
+  } catch (error) {
+    console.error('Error in compliance requests route:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching compliance requests'
+    });
+  }
+});
+
+// Get a compliance request, including the customer data export
+router.get('/compliance-requests/:requestId', requirePermission('compliance:view'), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const { data: request, error } = await supabase
+      .from('compliance_requests')
+      .select('*')
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching compliance request:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch compliance request'
+      });
+    }
+
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested compliance request does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Error fetching compliance request:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching compliance request'
+    });
+  }
+});
+
+// List webhook deliveries that need attention: failed (waiting for a retry),
+// dead (out of retries) or stuck in processing
+router.get('/webhook-events', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['failed', 'dead', 'processing'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'status must be failed, dead or processing'
+      });
+    }
+
+    const events = await listStuckWebhookEvents({ status });
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching webhook events'
+    });
+  }
+});
+
+// Replay a failed, dead or stuck webhook delivery from its stored payload
+router.post('/webhook-events/:eventId/replay', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const outcome = await replayWebhookEvent(req.params.eventId);
+
+    if (!outcome) {
+      return res.status(404).json({
+        error: 'Webhook event not found',
+        message: 'The requested webhook event does not exist'
+      });
+    }
+
+    if (outcome.status === 'skipped') {
+      return res.status(409).json({
+        error: 'Cannot replay',
+        message: outcome.message
+      });
+    }
+
+    if (outcome.status === 'failed') {
+      return res.status(500).json({
+        error: 'Replay failed',
+        message: outcome.message,
+        data: outcome
+      });
+    }
+
+    res.json({
+      success: true,
+      message: outcome.message,
+      data: outcome
+    });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while replaying webhook event'
+    });
+  }
+});
+
+// Catalog changes made through the admin API, newest first. Filter by
+// entity_type (class_type, class, room, instructor, plan) and entity_id.
+router.get('/audit-log', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { entity_type, entity_id } = req.query;
+
+    const entries = await listAuditLog({ entityType: entity_type, entityId: entity_id });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
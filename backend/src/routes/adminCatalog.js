@@ -0,0 +1,98 @@
+const express = require('express');
+const {
+  CatalogError,
+  listCatalog,
+  createCatalogEntry,
+  updateCatalogEntry,
+  archiveCatalogEntry
+} = require('../services/catalog');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Catalog entities and the path they are managed under
+const RESOURCES = {
+  'class-types': 'class_type',
+  classes: 'class',
+  rooms: 'room',
+  instructors: 'instructor',
+  plans: 'plan'
+};
+
+function sendError(res, error, action) {
+  if (error instanceof CatalogError) {
+    return res.status(error.status).json(error.toResponse());
+  }
+
+  console.error(`Error while trying to ${action}:`, error);
+  res.status(500).json({
+    error: 'Server error',
+    message: `Internal server error while trying to ${action}`
+  });
+}
+
+// For each resource:
+//   GET    /<resource>?include_archived=true
+//   POST   /<resource>
+//   PATCH  /<resource>/:id
+//   PATCH  /<resource>/:id/archive
+for (const [path, entity] of Object.entries(RESOURCES)) {
+  const noun = path.replace(/-/g, ' ');
+
+  router.get(`/${path}`, requirePermission('catalog:manage'), async (req, res) => {
+    try {
+      const rows = await listCatalog(entity, {
+        includeArchived: req.query.include_archived === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: rows
+      });
+    } catch (error) {
+      sendError(res, error, `list ${noun}`);
+    }
+  });
+
+  router.post(`/${path}`, requirePermission('catalog:manage'), async (req, res) => {
+    try {
+      const row = await createCatalogEntry(entity, req.body, { actorId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        data: row
+      });
+    } catch (error) {
+      sendError(res, error, `create ${noun}`);
+    }
+  });
+
+  router.patch(`/${path}/:id`, requirePermission('catalog:manage'), async (req, res) => {
+    try {
+      const row = await updateCatalogEntry(entity, req.params.id, req.body, { actorId: req.user.id });
+
+      res.json({
+        success: true,
+        data: row
+      });
+    } catch (error) {
+      sendError(res, error, `update ${noun}`);
+    }
+  });
+
+  router.patch(`/${path}/:id/archive`, requirePermission('catalog:manage'), async (req, res) => {
+    try {
+      const row = await archiveCatalogEntry(entity, req.params.id, { actorId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Archived',
+        data: row
+      });
+    } catch (error) {
+      sendError(res, error, `archive ${noun}`);
+    }
+  });
+}
+
+module.exports = router;
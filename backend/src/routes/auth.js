@@ -1,20 +1,18 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const { generateToken } = require('../middleware/auth');
+const { generateToken, verifyShopifySession, verifyShopifyCustomer } = require('../middleware/auth');
+const { createShopifyClient } = require('../services/shopify');
 
 const router = express.Router();
 
 // Authenticate Shopify customer
-router.post('/shopify-login', async (req, res) => {
+// The customer is identified by the verified session token. A new user's
+// email is read from Shopify for that customer; the body only supplies
+// optional name details.
+router.post('/shopify-login', verifyShopifySession, async (req, res) => {
   try {
-    const { shopify_customer_id, email, first_name, last_name } = req.body;
-
-    if (!shopify_customer_id || !email) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Shopify customer ID and email are required'
-      });
-    }
+    const shopify_customer_id = req.shopifySession.customerId;
+    const { first_name, last_name } = req.body;
 
     // Check if user exists
     let { data: user, error: userError } = await supabase
@@ -33,13 +31,32 @@ router.post('/shopify-login', async (req, res) => {
 
     // Create user if doesn't exist
     if (!user) {
+      let customer;
+      try {
+        customer = await createShopifyClient().getCustomer(shopify_customer_id);
+      } catch (error) {
+        console.error('Error fetching Shopify customer:', error);
+        return res.status(502).json({
+          error: 'Shopify error',
+          message: 'Failed to fetch customer details from Shopify'
+        });
+      }
+
+      if (!customer) {
+        return res.status(404).json({
+          error: 'Customer not found',
+          message: 'Shopify customer not found'
+        });
+      }
+
       const { data: newUser, error: createError } = await supabase
         .from('users')
         .insert({
           shopify_customer_id,
-          email,
-          first_name: first_name || '',
-          last_name: last_name || '',
+          email: customer.email,
+          first_name: customer.first_name || first_name || '',
+          last_name: customer.last_name || last_name || '',
+          phone_number: customer.phone || null,
           role: 'user'
         })
         .select()
@@ -55,11 +72,11 @@ router.post('/shopify-login', async (req, res) => {
 
       user = newUser;
     } else {
-      // Update user info if needed
+      // Update user info if needed. The email is kept in sync by the
+      // customers/update webhook.
       const updates = {};
       if (first_name && first_name !== user.first_name) updates.first_name = first_name;
       if (last_name && last_name !== user.last_name) updates.last_name = last_name;
-      if (email !== user.email) updates.email = email;
 
       if (Object.keys(updates).length > 0) {
         const { data: updatedUser, error: updateError } = await supabase
@@ -77,6 +94,32 @@ router.post('/shopify-login', async (req, res) => {
       }
     }
 
+    // Make sure the customer has a student profile to book with
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (studentError) {
+      console.error('Error checking student profile:', studentError);
+    } else if (!student) {
+      const { error: createStudentError } = await supabase
+        .from('students')
+        .insert({
+          user_id: user.id,
+          full_name: `${user.first_name} ${user.last_name}`.trim(),
+          birthdate: null, // Asked for when the student completes their profile
+          phone_number: null,
+          disclaimer_signed: false,
+          fitness_level: 'beginner'
+        });
+
+      if (createStudentError) {
+        console.error('Error creating student profile:', createStudentError);
+      }
+    }
+
     // Generate JWT token
     const token = generateToken(user.id);
 
@@ -104,16 +147,9 @@ router.post('/shopify-login', async (req, res) => {
 });
 
 // Get current user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', verifyShopifyCustomer, async (req, res) => {
   try {
-    const shopifyCustomerId = req.headers['x-shopify-customer-id'];
-    
-    if (!shopifyCustomerId) {
-      return res.status(400).json({
-        error: 'Shopify customer ID required',
-        message: 'Please provide Shopify customer ID'
-      });
-    }
+    const shopifyCustomerId = req.shopifyCustomer.shopify_customer_id;
 
     // Get user profile
     const { data: user, error: userError } = await supabase
@@ -165,17 +201,10 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', async (req, res) => {
+router.put('/profile', verifyShopifyCustomer, async (req, res) => {
   try {
-    const shopifyCustomerId = req.headers['x-shopify-customer-id'];
+    const shopifyCustomerId = req.shopifyCustomer.shopify_customer_id;
     const { first_name, last_name, phone_number, birthdate, address } = req.body;
-    
-    if (!shopifyCustomerId) {
-      return res.status(400).json({
-        error: 'Shopify customer ID required',
-        message: 'Please provide Shopify customer ID'
-      });
-    }
 
     // Update user profile
     const { data: user, error: userError } = await supabase
@@ -214,9 +243,8 @@ router.put('/profile', async (req, res) => {
 });
 
 // Create or update student profile
-router.post('/student-profile', async (req, res) => {
+router.post('/student-profile', verifyShopifyCustomer, async (req, res) => {
   try {
-    const shopifyCustomerId = req.headers['x-shopify-customer-id'];
     const {
       full_name,
       birthdate,
@@ -228,27 +256,7 @@ router.post('/student-profile', async (req, res) => {
       fitness_level,
       fitness_goals
     } = req.body;
-    
-    if (!shopifyCustomerId) {
-      return res.status(400).json({
-        error: 'Shopify customer ID required',
-        message: 'Please provide Shopify customer ID'
-      });
-    }
-
-    // Get user
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('shopify_customer_id', shopifyCustomerId)
-      .single();
-
-    if (userError || !user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      });
-    }
+    const user = req.shopifyCustomer;
 
     // Check if student profile exists
     let { data: student, error: studentError } = await supabase
@@ -1,9 +1,33 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { verifyShopifyCustomer } = require('../middleware/auth');
+const {
+  BookingError,
+  isBeforeBookingCutoff,
+  isBeforeCancellationCutoff,
+  createBooking,
+  cancelBooking
+} = require('../services/bookings');
+const { selectPlan, findAvailablePlan } = require('../services/planSelection');
+const { SESSION_RULES_FIELDS } = require('../services/eligibility');
+const { createCheckInCodes } = require('../services/checkIn');
+const { getStudentWaitlist, promoteFromWaitlist } = require('../services/waitlist');
+const {
+  fulfilRecurringBookings,
+  skipRecurringDate,
+  endRecurringBooking
+} = require('../services/recurringBookings');
 
 const router = express.Router();
 
+// Add check-in codes to an active booking that has not been checked in yet
+const withCheckInCodes = booking => ({
+  ...booking,
+  check_in: booking.status === 'active' && !booking.check_in_time && booking.session
+    ? createCheckInCodes(booking)
+    : null
+});
+
 // Get user's bookings
 router.get('/', verifyShopifyCustomer, async (req, res) => {
   try {
@@ -34,6 +58,7 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
         cancelled_at,
         cancellation_reason,
         credit_refunded,
+        late_cancellation,
         check_in_time,
         notes,
         session:sessions(
@@ -41,6 +66,9 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
           session_date,
           session_time,
           duration_minutes,
+          cancellation_cutoff_hours,
+          status,
+          cancellation_reason,
           class:classes(
             id,
             name,
@@ -49,7 +77,9 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
               id,
               name,
               category,
-              intensity_level
+              intensity_level,
+              late_cancel_policy,
+              late_cancel_fee
             ),
             room:rooms(
               id,
@@ -67,6 +97,7 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
         ),
         student_plan:student_plans(
           id,
+          is_unlimited,
           plan:plans(
             id,
             name
@@ -93,7 +124,7 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
 
     res.json({
       success: true,
-      data: bookings || [],
+      data: (bookings || []).map(withCheckInCodes),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -113,7 +144,7 @@ router.get('/', verifyShopifyCustomer, async (req, res) => {
 router.post('/', verifyShopifyCustomer, async (req, res) => {
   try {
     const { shopifyCustomer } = req;
-    const { session_id } = req.body;
+    const { session_id, student_plan_id } = req.body;
 
     if (!session_id) {
       return res.status(400).json({
@@ -163,7 +194,8 @@ router.post('/', verifyShopifyCustomer, async (req, res) => {
         spots_taken,
         spots_left,
         booking_cutoff_minutes,
-        status
+        status,
+        ${SESSION_RULES_FIELDS}
       `)
       .eq('id', session_id)
       .single();
@@ -183,105 +215,626 @@ router.post('/', verifyShopifyCustomer, async (req, res) => {
     }
 
     if (session.spots_left <= 0) {
+      return res.status(409).json(new BookingError('SESSION_FULL').toResponse());
+    }
+
+    // Check booking cutoff time
+    if (!isBeforeBookingCutoff(session)) {
       return res.status(400).json({
-        error: 'Session full',
-        message: 'This session is full'
+        error: 'Booking closed',
+        message: `Bookings close ${session.booking_cutoff_minutes} minutes before the session starts`
       });
     }
 
-    // Check booking cutoff time
-    const now = new Date();
-    const sessionDateTime = new Date(`${session.session_date}T${session.session_time}`);
-    const cutoffTime = new Date(sessionDateTime.getTime() - (session.booking_cutoff_minutes * 60 * 1000));
-    
-    if (now >= cutoffTime) {
+    // Use the plan the customer picked, otherwise the one the selection
+    // policy prefers (soonest-expiring credits first). Either way the plan
+    // must be eligible for the class and cover its credit cost.
+    let selection;
+    try {
+      selection = await selectPlan({
+        studentId: student.id,
+        session,
+        studentPlanId: student_plan_id || null
+      });
+    } catch (error) {
+      if (error instanceof BookingError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch user plans'
+      });
+    }
+
+    if (!selection.plan) {
+      return res.status(400).json({
+        error: 'No credits available',
+        message: selection.explanation,
+        plans: selection.rejected
+      });
+    }
+
+    // Capacity, credits and the debit are re-checked atomically in the database
+    let booking;
+    try {
+      booking = await createBooking({
+        studentId: student.id,
+        session,
+        studentPlanId: selection.plan.id,
+        creditCost: selection.creditCost
+      });
+    } catch (error) {
+      if (error instanceof BookingError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: {
+        ...booking,
+        plan_selection: {
+          student_plan_id: selection.plan.id,
+          plan_name: selection.plan.plan?.name,
+          credit_cost: selection.creditCost,
+          reason: selection.reason,
+          explanation: selection.explanation
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while creating booking'
+    });
+  }
+});
+
+// Get user's waitlist entries with their position in line
+router.get('/waitlist', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const entries = await getStudentWaitlist(student.id);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching waitlist'
+    });
+  }
+});
+
+// Join the waitlist for a full session
+router.post('/waitlist', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { session_id } = req.body;
+
+    if (!session_id) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Session ID is required'
+      });
+    }
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sessions')
+      .select(`
+        id,
+        session_date,
+        session_time,
+        spots_left,
+        booking_cutoff_minutes,
+        status,
+        ${SESSION_RULES_FIELDS}
+      `)
+      .eq('id', session_id)
+      .single();
+
+    if (sessionError || !session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist'
+      });
+    }
+
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({
+        error: 'Session not available',
+        message: 'This session is not available for booking'
+      });
+    }
+
+    if (session.spots_left > 0) {
+      return res.status(400).json({
+        error: 'Session not full',
+        message: 'This session still has spots available. Book it directly instead.'
+      });
+    }
+
+    if (!isBeforeBookingCutoff(session)) {
       return res.status(400).json({
         error: 'Booking closed',
         message: `Bookings close ${session.booking_cutoff_minutes} minutes before the session starts`
       });
     }
 
-    // Get user's active plans with credits
-    const { data: studentPlans, error: plansError } = await supabase
-      .from('student_plans')
+    const { data: existingBooking } = await supabase
+      .from('bookings')
+      .select('id')
+      .eq('student_id', student.id)
+      .eq('session_id', session_id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (existingBooking) {
+      return res.status(409).json({
+        error: 'Already booked',
+        message: 'You already have an active booking for this session'
+      });
+    }
+
+    // A place in line is only useful if the student can pay for the spot
+    let availablePlan;
+    try {
+      availablePlan = await findAvailablePlan(student.id, session);
+    } catch (error) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch user plans'
+      });
+    }
+
+    if (!availablePlan) {
+      return res.status(400).json({
+        error: 'No credits available',
+        message: 'You need a plan that can pay for this class to join the waitlist'
+      });
+    }
+
+    const { data: entry, error: entryError } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        session_id,
+        student_id: student.id,
+        status: 'waiting'
+      })
+      .select()
+      .single();
+
+    if (entryError) {
+      if (entryError.code === '23505') {
+        return res.status(409).json({
+          error: 'Already on waitlist',
+          message: 'You are already on the waitlist for this session'
+        });
+      }
+
+      console.error('Error joining waitlist:', entryError);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to join waitlist'
+      });
+    }
+
+    const { data: position } = await supabase
+      .from('waitlist_positions')
+      .select('position')
+      .eq('id', entry.id)
+      .single();
+
+    res.status(201).json({
+      success: true,
+      message: 'You have joined the waitlist',
+      data: {
+        ...entry,
+        position: position?.position || null
+      }
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while joining waitlist'
+    });
+  }
+});
+
+// Leave a waitlist
+router.delete('/waitlist/:entryId', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { entryId } = req.params;
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .update({
+        status: 'left',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', entryId)
+      .eq('student_id', student.id)
+      .eq('status', 'waiting')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error leaving waitlist:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to leave waitlist'
+      });
+    }
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Waitlist entry not found',
+        message: 'You are not on the waitlist for this session'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while leaving waitlist'
+    });
+  }
+});
+
+// Get user's recurring bookings
+router.get('/recurring', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: series, error } = await supabase
+      .from('recurring_bookings')
       .select(`
         id,
-        remaining_credits,
-        is_unlimited,
-        plan:plans(
+        class_id,
+        status,
+        start_date,
+        end_date,
+        last_error,
+        last_error_at,
+        created_at,
+        class:classes(
           id,
           name,
-          credits
+          day_of_week,
+          time,
+          duration_minutes,
+          room:rooms(
+            id,
+            name
+          )
+        ),
+        skips:recurring_booking_skips(
+          session_date
         )
       `)
       .eq('student_id', student.id)
       .eq('status', 'active')
-      .gte('end_date', new Date().toISOString().split('T')[0]);
+      .order('created_at', { ascending: true });
 
-    if (plansError) {
+    if (error) {
+      console.error('Error fetching recurring bookings:', error);
       return res.status(500).json({
         error: 'Database error',
-        message: 'Failed to fetch user plans'
+        message: 'Failed to fetch recurring bookings'
       });
     }
 
-    // Find a plan with available credits
-    const availablePlan = studentPlans.find(plan => 
-      plan.is_unlimited || plan.remaining_credits > 0
-    );
+    res.json({
+      success: true,
+      data: series || []
+    });
+  } catch (error) {
+    console.error('Error fetching recurring bookings:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching recurring bookings'
+    });
+  }
+});
 
-    if (!availablePlan) {
+// Create a recurring booking for a weekly class
+router.post('/recurring', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { class_id, start_date, end_date } = req.body;
+
+    if (!class_id) {
       return res.status(400).json({
-        error: 'No credits available',
-        message: 'You need to purchase a class pack to book sessions'
+        error: 'Missing required field',
+        message: 'Class ID is required'
       });
     }
 
-    // Create the booking
-    const { data: booking, error: bookingError } = await supabase
-      .from('bookings')
+    if (end_date && start_date && end_date < start_date) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'End date must be on or after start date'
+      });
+    }
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: classData, error: classError } = await supabase
+      .from('classes')
+      .select('id, name, day_of_week, time')
+      .eq('id', class_id)
+      .single();
+
+    if (classError || !classData) {
+      return res.status(404).json({
+        error: 'Class not found',
+        message: 'The requested class does not exist'
+      });
+    }
+
+    const { data: series, error } = await supabase
+      .from('recurring_bookings')
       .insert({
         student_id: student.id,
-        session_id: session_id,
-        student_plan_id: availablePlan.id,
-        status: 'active'
+        class_id,
+        status: 'active',
+        ...(start_date && { start_date }),
+        end_date: end_date || null
       })
       .select()
       .single();
 
-    if (bookingError) {
-      console.error('Error creating booking:', bookingError);
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Already recurring',
+          message: 'You already have a recurring booking for this class'
+        });
+      }
+
+      console.error('Error creating recurring booking:', error);
       return res.status(500).json({
         error: 'Database error',
-        message: 'Failed to create booking'
+        message: 'Failed to create recurring booking'
       });
     }
 
-    // Create credit transaction (debit)
-    const { error: transactionError } = await supabase.rpc('create_credit_transaction', {
-      p_student_plan_id: availablePlan.id,
-      p_transaction_type: 'debit',
-      p_amount: 1,
-      p_reference_id: booking.id,
-      p_reference_type: 'booking',
-      p_description: `Booked session: ${session.session_date} at ${session.session_time}`
+    // Book the sessions that have already been scheduled
+    let summary = null;
+    try {
+      summary = await fulfilRecurringBookings({ recurringBookingId: series.id });
+    } catch (error) {
+      console.error('Error booking sessions for new recurring booking:', error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You will be booked into ${classData.name} every week`,
+      data: {
+        ...series,
+        booked_sessions: summary?.booked || 0
+      }
     });
+  } catch (error) {
+    console.error('Error creating recurring booking:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while creating recurring booking'
+    });
+  }
+});
+
+// Skip a single week of a recurring booking
+router.post('/recurring/:recurringId/skip', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { recurringId } = req.params;
+    const { session_date } = req.body;
 
-    if (transactionError) {
-      console.error('Error creating credit transaction:', transactionError);
-      // Note: We don't fail the booking if transaction logging fails
+    if (!session_date || !/^\d{4}-\d{2}-\d{2}$/.test(session_date)) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Session date (YYYY-MM-DD) is required'
+      });
     }
 
-    res.status(201).json({
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: series, error: seriesError } = await supabase
+      .from('recurring_bookings')
+      .select(`
+        id,
+        status,
+        class:classes(
+          day_of_week
+        )
+      `)
+      .eq('id', recurringId)
+      .eq('student_id', student.id)
+      .single();
+
+    if (seriesError || !series || series.status !== 'active') {
+      return res.status(404).json({
+        error: 'Recurring booking not found',
+        message: 'The requested recurring booking does not exist'
+      });
+    }
+
+    let result;
+    try {
+      result = await skipRecurringDate(series, session_date);
+    } catch (error) {
+      if (error instanceof BookingError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+      throw error;
+    }
+
+    const { skip, cancelledBooking } = result;
+
+    res.json({
       success: true,
-      message: 'Booking created successfully',
-      data: booking
+      message: cancelledBooking
+        ? 'Week skipped. Your booking for that day was cancelled and refunded.'
+        : 'Week skipped',
+      data: {
+        ...skip,
+        cancelled_booking_id: cancelledBooking?.id || null
+      }
     });
   } catch (error) {
-    console.error('Error creating booking:', error);
+    console.error('Error skipping recurring booking date:', error);
     res.status(500).json({
       error: 'Server error',
-      message: 'Internal server error while creating booking'
+      message: 'Internal server error while skipping date'
+    });
+  }
+});
+
+// End a recurring booking
+router.patch('/recurring/:recurringId/end', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { recurringId } = req.params;
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: series, error: seriesError } = await supabase
+      .from('recurring_bookings')
+      .select('id, status')
+      .eq('id', recurringId)
+      .eq('student_id', student.id)
+      .single();
+
+    if (seriesError || !series || series.status !== 'active') {
+      return res.status(404).json({
+        error: 'Recurring booking not found',
+        message: 'The requested recurring booking does not exist'
+      });
+    }
+
+    const { series: ended, cancelledCount } = await endRecurringBooking(series);
+
+    res.json({
+      success: true,
+      message: cancelledCount > 0
+        ? `Recurring booking ended. ${cancelledCount} upcoming booking(s) were cancelled and refunded.`
+        : 'Recurring booking ended',
+      data: ended
+    });
+  } catch (error) {
+    console.error('Error ending recurring booking:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while ending recurring booking'
     });
   }
 });
@@ -340,57 +893,67 @@ router.patch('/:bookingId/cancel', verifyShopifyCustomer, async (req, res) => {
       });
     }
 
-    // Check cancellation cutoff time
-    const now = new Date();
-    const sessionDateTime = new Date(`${booking.session.session_date}T${booking.session.session_time}`);
-    const cancellationDeadline = new Date(sessionDateTime.getTime() - (booking.session.cancellation_cutoff_hours * 60 * 60 * 1000));
-    
-    if (now >= cancellationDeadline) {
+    if (new Date() >= new Date(`${booking.session.session_date}T${booking.session.session_time}`)) {
       return res.status(400).json({
-        error: 'Cancellation deadline passed',
-        message: `Cancellations must be made at least ${booking.session.cancellation_cutoff_hours} hours before the session`
+        error: 'Cannot cancel',
+        message: 'This session has already started'
       });
     }
 
-    // Update booking status
-    const { data: updatedBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
-        cancelled_at: new Date().toISOString(),
-        cancellation_reason: reason || 'Cancelled by user'
-      })
-      .eq('id', bookingId)
-      .select()
-      .single();
+    // After the cutoff the cancellation is still allowed, but the class
+    // type's late-cancellation penalty applies
+    const lateCancel = !isBeforeCancellationCutoff(booking.session);
 
-    if (updateError) {
-      console.error('Error cancelling booking:', updateError);
-      return res.status(500).json({
-        error: 'Database error',
-        message: 'Failed to cancel booking'
+    // Cancel and refund (or apply the penalty) in one transaction
+    let updatedBooking;
+    try {
+      updatedBooking = await cancelBooking({
+        bookingId,
+        studentId: student.id,
+        reason: reason || 'Cancelled by user',
+        lateCancel
       });
+    } catch (error) {
+      if (error instanceof BookingError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+      throw error;
     }
 
-    // Create credit transaction (credit/refund)
-    const { error: transactionError } = await supabase.rpc('create_credit_transaction', {
-      p_student_plan_id: booking.student_plan_id,
-      p_transaction_type: 'credit',
-      p_amount: 1,
-      p_reference_id: booking.id,
-      p_reference_type: 'cancellation',
-      p_description: `Cancelled session: ${booking.session.session_date} at ${booking.session.session_time}`
-    });
+    let penalty = null;
+    if (lateCancel) {
+      const { data } = await supabase
+        .from('booking_penalties')
+        .select('id, type, credits_forfeited, fee_amount, fee_status')
+        .eq('booking_id', bookingId)
+        .eq('type', 'late_cancel')
+        .maybeSingle();
+      penalty = data || null;
+    }
+
+    // Hand the freed spot to the next student on the waitlist
+    try {
+      await promoteFromWaitlist(booking.session.id);
+    } catch (error) {
+      console.error('Error promoting from waitlist:', error);
+    }
 
-    if (transactionError) {
-      console.error('Error creating credit transaction:', transactionError);
-      // Note: We don't fail the cancellation if transaction logging fails
+    let message = 'Booking cancelled successfully.';
+    if (penalty && Number(penalty.fee_amount) > 0) {
+      message = `Late cancellation: a late-cancellation fee of ${Number(penalty.fee_amount).toFixed(2)} applies.`;
+    } else if (penalty) {
+      message = 'Late cancellation: the credit for this booking has been forfeited.';
+    } else if (updatedBooking.credit_refunded) {
+      message = 'Booking cancelled successfully. Credit has been refunded to your account.';
     }
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully. Credit has been refunded to your account.',
-      data: updatedBooking
+      message,
+      data: {
+        ...updatedBooking,
+        penalty
+      }
     });
   } catch (error) {
     console.error('Error cancelling booking:', error);
@@ -431,6 +994,7 @@ router.get('/:bookingId', verifyShopifyCustomer, async (req, res) => {
         cancelled_at,
         cancellation_reason,
         credit_refunded,
+        late_cancellation,
         check_in_time,
         notes,
         session:sessions(
@@ -438,6 +1002,9 @@ router.get('/:bookingId', verifyShopifyCustomer, async (req, res) => {
           session_date,
           session_time,
           duration_minutes,
+          cancellation_cutoff_hours,
+          status,
+          cancellation_reason,
           class:classes(
             id,
             name,
@@ -446,7 +1013,9 @@ router.get('/:bookingId', verifyShopifyCustomer, async (req, res) => {
               id,
               name,
               category,
-              intensity_level
+              intensity_level,
+              late_cancel_policy,
+              late_cancel_fee
             ),
             room:rooms(
               id,
@@ -464,6 +1033,7 @@ router.get('/:bookingId', verifyShopifyCustomer, async (req, res) => {
         ),
         student_plan:student_plans(
           id,
+          is_unlimited,
           plan:plans(
             id,
             name
@@ -483,7 +1053,7 @@ router.get('/:bookingId', verifyShopifyCustomer, async (req, res) => {
 
     res.json({
       success: true,
-      data: booking
+      data: withCheckInCodes(booking)
     });
   } catch (error) {
     console.error('Error fetching booking:', error);
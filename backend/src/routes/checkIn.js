@@ -0,0 +1,45 @@
+const express = require('express');
+const { CheckInError, checkInBooking } = require('../services/checkIn');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Check a student in by scanning their booking's QR code or typing its short
+// code. The session being checked in is required so codes for other sessions
+// or days are rejected.
+router.post('/', requirePermission('check_in:record'), async (req, res) => {
+  try {
+    const { code, session_id } = req.body;
+
+    if (typeof code !== 'string' || !code.trim() || !session_id) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'code and session_id are required'
+      });
+    }
+
+    const booking = await checkInBooking({
+      code,
+      sessionId: session_id,
+      staff: req.user
+    });
+
+    res.json({
+      success: true,
+      message: `${booking.student?.full_name || 'Student'} checked in`,
+      data: booking
+    });
+  } catch (error) {
+    if (error instanceof CheckInError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Error checking in booking:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while checking in'
+    });
+  }
+});
+
+module.exports = router;
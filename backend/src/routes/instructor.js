@@ -0,0 +1,214 @@
+const express = require('express');
+const {
+  getInstructorForUser,
+  listInstructorSessions,
+  getInstructorSession,
+  getSessionRoster,
+  markAttendance,
+  updateSessionNotes
+} = require('../services/instructors');
+const { localDate } = require('../services/sessions');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+const DEFAULT_SCHEDULE_DAYS = 14;
+const MAX_SCHEDULE_DAYS = 90;
+const MAX_ATTENDANCE_ENTRIES = 200;
+const MAX_NOTES_LENGTH = 5000;
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// Resolve the instructor profile of the signed-in user. Runs after each
+// route's permission check.
+async function loadInstructor(req, res, next) {
+  try {
+    const instructor = await getInstructorForUser(req.user.id);
+
+    if (!instructor) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'No active instructor profile is linked to this account'
+      });
+    }
+
+    req.instructor = instructor;
+    next();
+  } catch (error) {
+    console.error('Error resolving instructor:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching instructor profile'
+    });
+  }
+}
+
+// Load a session taught by the signed-in instructor
+async function loadSession(req, res, next) {
+  try {
+    const session = await getInstructorSession(req.instructor.id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist or is not yours'
+      });
+    }
+
+    req.instructorSession = session;
+    next();
+  } catch (error) {
+    console.error('Error fetching instructor session:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching session'
+    });
+  }
+}
+
+// The instructor's schedule, from today for the next two weeks by default
+router.get('/sessions', requirePermission('schedule:view'), loadInstructor, async (req, res) => {
+  try {
+    const fromDate = req.query.from_date || localDate();
+    const toDate = req.query.to_date || addDays(fromDate, DEFAULT_SCHEDULE_DAYS);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate) || !/^\d{4}-\d{2}-\d{2}$/.test(toDate)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from_date and to_date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (toDate < fromDate || toDate > addDays(fromDate, MAX_SCHEDULE_DAYS)) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: `to_date must be on or after from_date and at most ${MAX_SCHEDULE_DAYS} days later`
+      });
+    }
+
+    const sessions = await listInstructorSessions(req.instructor.id, { fromDate, toDate });
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching instructor schedule:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching schedule'
+    });
+  }
+});
+
+// Students booked into one of the instructor's sessions, with health notes
+router.get('/sessions/:sessionId/roster', requirePermission('roster:view'), loadInstructor, loadSession, async (req, res) => {
+  try {
+    const roster = await getSessionRoster(req.instructorSession.id);
+
+    res.json({
+      success: true,
+      data: {
+        session: req.instructorSession,
+        roster,
+        health_flags: roster.filter(entry => entry.student.has_health_notes).length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching session roster:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching roster'
+    });
+  }
+});
+
+// Mark attendance for several bookings at once:
+// { attendance: [{ booking_id, attended: true|false }] }
+router.post('/sessions/:sessionId/attendance', requirePermission('attendance:mark'), loadInstructor, loadSession, async (req, res) => {
+  try {
+    const { attendance } = req.body;
+
+    if (!Array.isArray(attendance) || attendance.length === 0 ||
+        attendance.some(entry => !entry?.booking_id || typeof entry.attended !== 'boolean')) {
+      return res.status(400).json({
+        error: 'Invalid attendance',
+        message: 'attendance must be a list of { booking_id, attended } entries'
+      });
+    }
+
+    if (attendance.length > MAX_ATTENDANCE_ENTRIES) {
+      return res.status(400).json({
+        error: 'Invalid attendance',
+        message: `At most ${MAX_ATTENDANCE_ENTRIES} entries can be marked at once`
+      });
+    }
+
+    if (req.instructorSession.status === 'cancelled') {
+      return res.status(409).json({
+        error: 'Session cancelled',
+        message: 'Attendance cannot be marked for a cancelled session'
+      });
+    }
+
+    const results = await markAttendance({
+      session: req.instructorSession,
+      entries: attendance,
+      staffId: req.user.id
+    });
+    const count = result => results.filter(entry => entry.result === result).length;
+
+    res.json({
+      success: true,
+      message: `${count('checked_in')} checked in, ${count('no_show')} marked as no-show, ${count('skipped')} skipped`,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while marking attendance'
+    });
+  }
+});
+
+// Replace the notes on one of the instructor's sessions
+router.patch('/sessions/:sessionId/notes', requirePermission('sessions:notes'), loadInstructor, loadSession, async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    if (notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid notes',
+        message: 'notes must be a string or null'
+      });
+    }
+
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid notes',
+        message: `Notes can be at most ${MAX_NOTES_LENGTH} characters`
+      });
+    }
+
+    const session = await updateSessionNotes(req.instructorSession.id, notes?.trim() || null);
+
+    res.json({
+      success: true,
+      message: 'Session notes updated',
+      data: session
+    });
+  } catch (error) {
+    console.error('Error updating session notes:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while updating session notes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { verifyShopifyCustomer } = require('../middleware/auth');
+const { PlanFreezeError, freezePlan, withFreezeState } = require('../services/planFreezes');
+const { localDate } = require('../services/sessions');
 
 const router = express.Router();
 
@@ -40,12 +42,24 @@ router.get('/user-plans', verifyShopifyCustomer, async (req, res) => {
           description,
           credits,
           duration_days,
-          is_unlimited
+          is_unlimited,
+          eligibility
+        ),
+        purchase:plan_purchases(
+          id,
+          purchased_at
+        ),
+        freezes:plan_freezes(
+          id,
+          start_date,
+          end_date,
+          days,
+          reason
         )
       `)
       .eq('student_id', student.id)
       .eq('status', 'active')
-      .gte('end_date', new Date().toISOString().split('T')[0]);
+      .gte('end_date', localDate());
 
     if (error) {
       console.error('Error fetching student plans:', error);
@@ -57,7 +71,7 @@ router.get('/user-plans', verifyShopifyCustomer, async (req, res) => {
 
     res.json({
       success: true,
-      data: studentPlans || []
+      data: (studentPlans || []).map(studentPlan => withFreezeState(studentPlan))
     });
   } catch (error) {
     console.error('Error in user-plans route:', error);
@@ -209,4 +223,77 @@ router.get('/user-plans/transactions', verifyShopifyCustomer, async (req, res) =
   }
 });
 
+// Freeze one of the user's plans for a date range (e.g. injury or holiday).
+// The plan's expiry moves out by the frozen days.
+router.post('/user-plans/:studentPlanId/freeze', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { shopifyCustomer } = req;
+    const { studentPlanId } = req.params;
+    const { start_date, end_date, reason } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end_date || '')) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'start_date and end_date (YYYY-MM-DD) are required'
+      });
+    }
+
+    // Get student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: studentPlan } = await supabase
+      .from('student_plans')
+      .select('id')
+      .eq('id', studentPlanId)
+      .eq('student_id', student.id)
+      .maybeSingle();
+
+    if (!studentPlan) {
+      return res.status(404).json({
+        error: 'Plan not found',
+        message: 'The selected plan does not exist'
+      });
+    }
+
+    let freeze;
+    try {
+      freeze = await freezePlan({
+        studentPlanId,
+        startDate: start_date,
+        endDate: end_date,
+        reason,
+        createdBy: shopifyCustomer.id
+      });
+    } catch (error) {
+      if (error instanceof PlanFreezeError) {
+        return res.status(error.status).json(error.toResponse());
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Plan frozen for ${freeze.days} days`,
+      data: freeze
+    });
+  } catch (error) {
+    console.error('Error freezing plan:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while freezing plan'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
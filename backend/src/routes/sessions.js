@@ -1,8 +1,18 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
+const { verifyShopifyCustomer } = require('../middleware/auth');
+const { getSessionCreditCost, SESSION_RULES_FIELDS } = require('../services/eligibility');
+const { listPlanOptions } = require('../services/planSelection');
+const { localDate } = require('../services/sessions');
 
 const router = express.Router();
 
+// Add the credits a booking costs to a session with its class embedded
+const withCreditCost = session => ({
+  ...session,
+  credit_cost: getSessionCreditCost(session)
+});
+
 // Get available sessions with filtering
 router.get('/', async (req, res) => {
   try {
@@ -27,7 +37,9 @@ router.get('/', async (req, res) => {
         booking_cutoff_minutes,
         cancellation_cutoff_hours,
         status,
+        cancellation_reason,
         notes,
+        room_id,
         class:classes(
           id,
           name,
@@ -36,13 +48,16 @@ router.get('/', async (req, res) => {
           time,
           duration_minutes,
           capacity,
+          room_id,
+          credit_cost,
           class_type:class_types(
             id,
             name,
             description,
             category,
             intensity_level,
-            color_code
+            color_code,
+            credit_cost
           ),
           room:rooms(
             id,
@@ -63,8 +78,9 @@ router.get('/', async (req, res) => {
           )
         )
       `)
-      .eq('status', 'scheduled')
-      .gte('session_date', new Date().toISOString().split('T')[0])
+      // Cancelled sessions stay listed so customers can see why
+      .in('status', ['scheduled', 'cancelled'])
+      .gte('session_date', localDate())
       .order('session_date', { ascending: true })
       .order('session_time', { ascending: true })
       .range(offset, offset + limit - 1);
@@ -102,7 +118,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: filteredSessions,
+      data: filteredSessions.map(withCreditCost),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -136,7 +152,9 @@ router.get('/:sessionId', async (req, res) => {
         booking_cutoff_minutes,
         cancellation_cutoff_hours,
         status,
+        cancellation_reason,
         notes,
+        room_id,
         class:classes(
           id,
           name,
@@ -145,13 +163,16 @@ router.get('/:sessionId', async (req, res) => {
           time,
           duration_minutes,
           capacity,
+          room_id,
+          credit_cost,
           class_type:class_types(
             id,
             name,
             description,
             category,
             intensity_level,
-            color_code
+            color_code,
+            credit_cost
           ),
           room:rooms(
             id,
@@ -184,7 +205,7 @@ router.get('/:sessionId', async (req, res) => {
 
     res.json({
       success: true,
-      data: session
+      data: withCreditCost(session)
     });
   } catch (error) {
     console.error('Error fetching session:', error);
@@ -200,7 +221,8 @@ router.get('/class-types/list', async (req, res) => {
   try {
     const { data: classTypes, error } = await supabase
       .from('class_types')
-      .select('id, name, description, category, intensity_level, color_code')
+      .select('id, name, description, category, intensity_level, color_code, credit_cost')
+      .eq('is_active', true)
       .order('name');
 
     if (error) {
@@ -263,6 +285,36 @@ router.get('/instructors/list', async (req, res) => {
   }
 });
 
+// Get rooms list
+router.get('/rooms/list', async (req, res) => {
+  try {
+    const { data: rooms, error } = await supabase
+      .from('rooms')
+      .select('id, name, capacity, description')
+      .eq('is_active', true)
+      .order('name');
+
+    if (error) {
+      console.error('Error fetching rooms:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Failed to fetch rooms'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rooms || []
+    });
+  } catch (error) {
+    console.error('Error in rooms route:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching rooms'
+    });
+  }
+});
+
 // Check session availability
 router.get('/:sessionId/availability', async (req, res) => {
   try {
@@ -315,4 +367,57 @@ router.get('/:sessionId/availability', async (req, res) => {
   }
 });
 
+// Which of the customer's plans can pay for a session, and why the others
+// cannot (frozen, not eligible for the class, not enough credits)
+router.get('/:sessionId/plan-options', verifyShopifyCustomer, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { shopifyCustomer } = req;
+
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('id')
+      .eq('user_id', shopifyCustomer.id)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(404).json({
+        error: 'Student profile not found',
+        message: 'Please complete your student profile first'
+      });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sessions')
+      .select(`
+        id,
+        session_date,
+        session_time,
+        ${SESSION_RULES_FIELDS}
+      `)
+      .eq('id', sessionId)
+      .single();
+
+    if (sessionError || !session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist'
+      });
+    }
+
+    const options = await listPlanOptions({ studentId: student.id, session });
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    console.error('Error fetching plan options:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error while fetching plan options'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
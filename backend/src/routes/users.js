@@ -1,5 +1,6 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
+const { requirePermissionOrOwner } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -28,19 +29,10 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// Get user by ID (admin only)
-router.get('/:userId', async (req, res) => {
+// Get user by ID (own profile, or any with users:view)
+router.get('/:userId', requirePermissionOrOwner(req => req.params.userId, 'users:view'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { user: currentUser } = req;
-
-    // Check if user is admin or requesting their own data
-    if (currentUser.role !== 'admin' && currentUser.id !== userId) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'You can only view your own profile'
-      });
-    }
 
     const { data: user, error } = await supabase
       .from('users')
@@ -141,6 +133,8 @@ router.get('/me/student', async (req, res) => {
         disclaimer_signed,
         fitness_level,
         fitness_goals,
+        booking_blocked_until,
+        booking_block_reason,
         created_at,
         updated_at
       `)
@@ -0,0 +1,42 @@
+const { supabase } = require('../config/supabase');
+
+// Audit entries are written by the database functions that make the change
+// (save_catalog_entry, archive_catalog_entry), in the same transaction.
+
+// Audit entries, newest first, optionally for one entity
+async function listAuditLog({ entityType, entityId, limit = 100 } = {}) {
+  let query = supabase
+    .from('audit_log')
+    .select(`
+      *,
+      actor:users(
+        id,
+        email,
+        first_name,
+        last_name
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (entityType) {
+    query = query.eq('entity_type', entityType);
+  }
+
+  if (entityId) {
+    query = query.eq('entity_id', entityId);
+  }
+
+  const { data: entries, error } = await query;
+
+  if (error) {
+    console.error('Error fetching audit log:', error);
+    throw new Error('Failed to fetch audit log');
+  }
+
+  return entries || [];
+}
+
+module.exports = {
+  listAuditLog
+};
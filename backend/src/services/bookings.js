@@ -0,0 +1,184 @@
+const { supabase } = require('../config/supabase');
+
+// Errors raised by the book_session/cancel_booking database functions and
+// the booking services, mapped to the responses the API returns for them
+const BOOKING_ERRORS = {
+  SESSION_NOT_FOUND: {
+    status: 404,
+    error: 'Session not found',
+    message: 'The requested session does not exist'
+  },
+  SESSION_NOT_AVAILABLE: {
+    status: 400,
+    error: 'Session not available',
+    message: 'This session is not available for booking'
+  },
+  SESSION_FULL: {
+    status: 409,
+    error: 'Session full',
+    message: 'This session is full. You can join the waitlist to be booked automatically when a spot opens.'
+  },
+  BOOKING_BLOCKED: {
+    status: 403,
+    error: 'Booking blocked',
+    message: 'Booking is paused on your account after repeated no-shows. Please contact the studio.'
+  },
+  ALREADY_BOOKED: {
+    status: 409,
+    error: 'Already booked',
+    message: 'You already have an active booking for this session'
+  },
+  PLAN_NOT_FOUND: {
+    status: 404,
+    error: 'Plan not found',
+    message: 'The selected plan does not exist'
+  },
+  PLAN_NOT_ACTIVE: {
+    status: 409,
+    error: 'Plan not active',
+    message: 'The selected plan is no longer active'
+  },
+  PLAN_FROZEN: {
+    status: 409,
+    error: 'Plan frozen',
+    message: 'The selected plan is frozen on the date of this session'
+  },
+  PLAN_NOT_ELIGIBLE: {
+    status: 409,
+    error: 'Plan not eligible',
+    message: 'The selected plan cannot be used for this class'
+  },
+  CREDIT_COST_CHANGED: {
+    status: 409,
+    error: 'Price changed',
+    message: 'The credit cost of this class has changed. Please review the booking and try again.'
+  },
+  INSUFFICIENT_CREDITS: {
+    status: 409,
+    error: 'No credits available',
+    message: 'Your plan no longer has enough credits for this booking'
+  },
+  RECURRING_BOOKING_NOT_FOUND: {
+    status: 404,
+    error: 'Recurring booking not found',
+    message: 'The requested recurring booking does not exist'
+  },
+  NOT_CLASS_DAY: {
+    status: 400,
+    error: 'Invalid date',
+    message: 'The class of this recurring booking is not held on that day'
+  },
+  BOOKING_NOT_FOUND: {
+    status: 404,
+    error: 'Booking not found',
+    message: 'The requested booking does not exist'
+  },
+  BOOKING_NOT_ACTIVE: {
+    status: 409,
+    error: 'Cannot cancel',
+    message: 'This booking cannot be cancelled'
+  }
+};
+
+class BookingError extends Error {
+  constructor(code, details = {}) {
+    const known = BOOKING_ERRORS[code] || {
+      status: 500,
+      error: 'Database error',
+      message: 'Failed to process booking'
+    };
+
+    super(known.message);
+    this.name = 'BookingError';
+    this.code = code;
+    this.status = known.status;
+    this.error = known.error;
+    this.details = details;
+  }
+
+  toResponse() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...(this.code === 'SESSION_FULL' && { waitlist_available: true }),
+      ...(this.details.reasons && { reasons: this.details.reasons })
+    };
+  }
+}
+
+// Convert a Supabase RPC error into a BookingError. book_session gives the
+// rule a plan fails as the detail of PLAN_NOT_ELIGIBLE.
+function toBookingError(rpcError) {
+  const code = rpcError?.message in BOOKING_ERRORS ? rpcError.message : 'UNKNOWN';
+
+  if (code === 'UNKNOWN') {
+    console.error('Unexpected booking database error:', rpcError);
+  }
+
+  return new BookingError(code, code === 'PLAN_NOT_ELIGIBLE' && rpcError.details ? { reasons: [rpcError.details] } : {});
+}
+
+// Whether a session is still open for booking (before its booking cutoff)
+function isBeforeBookingCutoff(session, now = new Date()) {
+  const sessionDateTime = new Date(`${session.session_date}T${session.session_time}`);
+  const cutoffTime = new Date(sessionDateTime.getTime() - (session.booking_cutoff_minutes * 60 * 1000));
+  return now < cutoffTime;
+}
+
+// Whether a booking for a session can still be cancelled with a refund
+function isBeforeCancellationCutoff(session, now = new Date()) {
+  const sessionDateTime = new Date(`${session.session_date}T${session.session_time}`);
+  const cancellationDeadline = new Date(sessionDateTime.getTime() - (session.cancellation_cutoff_hours * 60 * 60 * 1000));
+  return now < cancellationDeadline;
+}
+
+// Create an active booking and debit its credit cost in one transaction.
+// The database prices the session and checks the plan's eligibility rules;
+// pass the creditCost shown to the customer to refuse a changed price.
+// Throws a BookingError if capacity, credits or plan state changed meanwhile.
+// A booking made for a recurring booking is linked to it in the same
+// transaction.
+async function createBooking({ studentId, session, studentPlanId, creditCost = null, waitlistEntryId = null, recurringBookingId = null }) {
+  const { data: booking, error } = await supabase.rpc('book_session', {
+    p_student_id: studentId,
+    p_session_id: session.id,
+    p_student_plan_id: studentPlanId,
+    p_credit_cost: creditCost,
+    p_waitlist_entry_id: waitlistEntryId,
+    p_recurring_booking_id: recurringBookingId
+  });
+
+  if (error) {
+    throw toBookingError(error);
+  }
+
+  return booking;
+}
+
+// Cancel an active booking and refund what was charged for it in one transaction.
+// Pass studentId to restrict the cancellation to that student's bookings.
+// With lateCancel the class type's late-cancellation policy applies: credit
+// packs forfeit the credit and unlimited plans are charged the late fee.
+async function cancelBooking({ bookingId, studentId = null, reason = null, lateCancel = false }) {
+  const { data: booking, error } = await supabase.rpc('cancel_booking', {
+    p_booking_id: bookingId,
+    p_student_id: studentId,
+    p_reason: reason,
+    p_late_cancel: lateCancel
+  });
+
+  if (error) {
+    throw toBookingError(error);
+  }
+
+  return booking;
+}
+
+module.exports = {
+  BookingError,
+  toBookingError,
+  isBeforeBookingCutoff,
+  isBeforeCancellationCutoff,
+  createBooking,
+  cancelBooking
+};
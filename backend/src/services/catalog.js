@@ -0,0 +1,292 @@
+const Joi = require('joi');
+const { supabase } = require('../config/supabase');
+const { normalizeEligibility } = require('./eligibility');
+
+// Admin management of the studio catalog: class types, classes, rooms,
+// instructors and plans. Rows are never deleted, only archived (is_active =
+// false), and archiving is refused while something still depends on the row.
+// Input is validated here; the checks against other rows, the write and its
+// audit log entry run in one database transaction (see the catalog_writes
+// migration).
+
+const CATALOG_ERRORS = {
+  VALIDATION_FAILED: {
+    status: 400,
+    error: 'Validation failed',
+    message: 'The request body is not valid'
+  },
+  NOT_FOUND: {
+    status: 404,
+    error: 'Not found',
+    message: 'The requested record does not exist'
+  },
+  INVALID_REFERENCE: {
+    status: 400,
+    error: 'Invalid reference',
+    message: 'A referenced record does not exist or is archived'
+  },
+  ALREADY_EXISTS: {
+    status: 409,
+    error: 'Already exists',
+    message: 'This record already exists'
+  },
+  ALREADY_ARCHIVED: {
+    status: 409,
+    error: 'Already archived',
+    message: 'This record is already archived'
+  },
+  IN_USE: {
+    status: 409,
+    error: 'In use',
+    message: 'This record is still in use'
+  },
+  MANAGED_BY_SHOPIFY: {
+    status: 409,
+    error: 'Managed by Shopify',
+    message: 'This plan is synced from a Shopify product; edit the product in Shopify instead'
+  }
+};
+
+class CatalogError extends Error {
+  constructor(code, message, details = {}) {
+    const known = CATALOG_ERRORS[code] || {
+      status: 500,
+      error: 'Database error',
+      message: 'Failed to update the catalog'
+    };
+
+    super(message || known.message);
+    this.name = 'CatalogError';
+    this.code = code;
+    this.status = known.status;
+    this.error = known.error;
+    this.details = details;
+  }
+
+  toResponse() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...(this.details.errors && { errors: this.details.errors })
+    };
+  }
+}
+
+const uuid = Joi.string().guid();
+const name = Joi.string().trim().min(1).max(100);
+const description = Joi.string().trim().allow('', null).max(2000);
+const money = Joi.number().min(0).precision(2);
+
+const SCHEMAS = {
+  class_type: {
+    name,
+    description,
+    category: Joi.string().trim().min(1).max(50),
+    intensity_level: Joi.string().trim().max(50).allow(null),
+    color_code: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null),
+    credit_cost: Joi.number().integer().min(0),
+    late_cancel_policy: Joi.string().valid('forfeit', 'refund'),
+    late_cancel_fee: money,
+    no_show_fee: money
+  },
+  class: {
+    name,
+    description,
+    class_type_id: uuid,
+    // 0-6 with Sunday = 0, like the session generator expects
+    day_of_week: Joi.number().integer().min(0).max(6),
+    time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/),
+    duration_minutes: Joi.number().integer().min(5).max(600),
+    capacity: Joi.number().integer().min(1),
+    room_id: uuid.allow(null),
+    instructor_id: uuid.allow(null),
+    // Overrides the class type's cost; null falls back to it
+    credit_cost: Joi.number().integer().min(0).allow(null)
+  },
+  room: {
+    name,
+    description,
+    capacity: Joi.number().integer().min(1)
+  },
+  instructor: {
+    user_id: uuid,
+    bio: Joi.string().trim().allow('', null).max(5000),
+    certifications: Joi.array().items(Joi.string().trim().max(200)).max(50),
+    specialties: Joi.array().items(Joi.string().trim().max(100)).max(50)
+  },
+  plan: {
+    name,
+    description,
+    credits: Joi.number().integer().min(0),
+    duration_days: Joi.number().integer().min(1),
+    price: money,
+    is_unlimited: Joi.boolean(),
+    // See eligibility.js for the rule keys
+    eligibility: Joi.object({
+      categories: Joi.array().items(Joi.string()),
+      class_type_ids: Joi.array().items(uuid),
+      room_ids: Joi.array().items(uuid),
+      days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)),
+      hours: Joi.array().items(Joi.object({
+        from: Joi.string().pattern(/^\d{2}:\d{2}$/).required(),
+        to: Joi.string().pattern(/^\d{2}:\d{2}$/).required()
+      }))
+    })
+  }
+};
+
+// Fields that must be given when creating each entity
+const REQUIRED_FIELDS = {
+  class_type: ['name', 'category'],
+  class: ['name', 'class_type_id', 'day_of_week', 'time', 'duration_minutes', 'capacity'],
+  room: ['name', 'capacity'],
+  instructor: ['user_id'],
+  plan: ['name', 'credits', 'duration_days', 'price']
+};
+
+// Fields that cannot be changed after creation
+const IMMUTABLE_FIELDS = {
+  instructor: ['user_id']
+};
+
+function validate(entity, body, { creating }) {
+  let schema = Joi.object(SCHEMAS[entity]);
+
+  if (creating) {
+    schema = schema.fork(REQUIRED_FIELDS[entity], field => field.required());
+  } else {
+    schema = schema.fork(IMMUTABLE_FIELDS[entity] || [], field => field.forbidden()).min(1);
+  }
+
+  const { value, error } = schema.validate(body, { abortEarly: false, convert: true });
+
+  if (error) {
+    throw new CatalogError('VALIDATION_FAILED', null, {
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    });
+  }
+
+  return value;
+}
+
+// Convert an error raised by save_catalog_entry/archive_catalog_entry into
+// a CatalogError. The database puts the message for the case in the detail.
+function toCatalogError(rpcError, entity) {
+  const code = rpcError?.message;
+
+  if (!(code in CATALOG_ERRORS)) {
+    console.error('Unexpected catalog database error:', rpcError);
+    return new CatalogError('UNKNOWN');
+  }
+
+  const message = code === 'NOT_FOUND'
+    ? `${ENTITIES[entity].label} not found`
+    : rpcError.details || null;
+
+  return new CatalogError(code, message);
+}
+
+const ENTITIES = {
+  class_type: { table: 'class_types', label: 'Class type', listFields: '*', orderBy: 'name' },
+  class: {
+    table: 'classes',
+    label: 'Class',
+    listFields: '*, class_type:class_types(id, name), room:rooms(id, name), instructor:instructors(id, user:users(first_name, last_name))',
+    orderBy: 'name'
+  },
+  room: { table: 'rooms', label: 'Room', listFields: '*', orderBy: 'name' },
+  instructor: {
+    table: 'instructors',
+    label: 'Instructor',
+    listFields: '*, user:users(id, email, first_name, last_name, role)',
+    orderBy: 'user(first_name)'
+  },
+  plan: { table: 'plans', label: 'Plan', listFields: '*', orderBy: 'name' }
+};
+
+// Values derived from the validated input before saving
+function prepareRow(entity, values) {
+  if (entity === 'plan' && values.eligibility) {
+    return { ...values, eligibility: normalizeEligibility(values.eligibility) };
+  }
+
+  return values;
+}
+
+// All rows of an entity, active ones only unless includeArchived
+async function listCatalog(entity, { includeArchived = false } = {}) {
+  const { table, listFields, orderBy } = ENTITIES[entity];
+  let query = supabase
+    .from(table)
+    .select(listFields)
+    .order(orderBy);
+
+  if (!includeArchived) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.error(`Error fetching ${table}:`, error);
+    throw new Error(`Failed to fetch ${table}`);
+  }
+
+  return rows || [];
+}
+
+// Save a catalog entry through save_catalog_entry, which runs the checks
+// against other rows, the write and the audit entry in one transaction.
+// Pass id = null to create.
+async function saveCatalogEntry(entity, id, values, actorId) {
+  const { data: row, error } = await supabase.rpc('save_catalog_entry', {
+    p_entity: entity,
+    p_id: id,
+    p_values: values,
+    p_actor_id: actorId || null
+  });
+
+  if (error) {
+    throw toCatalogError(error, entity);
+  }
+
+  return row;
+}
+
+async function createCatalogEntry(entity, body, { actorId }) {
+  const row = prepareRow(entity, validate(entity, body, { creating: true }));
+  return saveCatalogEntry(entity, null, row, actorId);
+}
+
+async function updateCatalogEntry(entity, id, body, { actorId }) {
+  const changes = prepareRow(entity, validate(entity, body, { creating: false }));
+  return saveCatalogEntry(entity, id, changes, actorId);
+}
+
+// Archive an entry unless something still depends on it. The dependency
+// check, the write and the audit entry run in one transaction.
+async function archiveCatalogEntry(entity, id, { actorId }) {
+  const { data: archived, error } = await supabase.rpc('archive_catalog_entry', {
+    p_entity: entity,
+    p_id: id,
+    p_actor_id: actorId || null
+  });
+
+  if (error) {
+    throw toCatalogError(error, entity);
+  }
+
+  return archived;
+}
+
+module.exports = {
+  CatalogError,
+  CATALOG_ENTITIES: Object.keys(ENTITIES),
+  listCatalog,
+  createCatalogEntry,
+  updateCatalogEntry,
+  archiveCatalogEntry
+};
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hasPermission } = require('../middleware/permissions');
+const { localDate } = require('./sessions');
+
+// Check-in codes. Each active booking has two codes, both derived from the
+// booking with an HMAC so they cannot be forged or guessed:
+//  - a QR token `<booking id>.<session id>.<session date>.<signature>`
+//  - a 6 character short code for typing in when a QR code cannot be scanned.
+//    Short codes are only unique within a session, so staff enter them
+//    together with the session being checked in.
+
+const SHORT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHORT_CODE_LENGTH = 6;
+const SIGNATURE_LENGTH = 22;
+
+const CHECK_IN_ERRORS = {
+  INVALID_CODE: {
+    status: 400,
+    error: 'Invalid code',
+    message: 'This check-in code is not valid'
+  },
+  SESSION_NOT_FOUND: {
+    status: 404,
+    error: 'Session not found',
+    message: 'The requested session does not exist'
+  },
+  NOT_SESSION_INSTRUCTOR: {
+    status: 403,
+    error: 'Forbidden',
+    message: 'Only the session instructor or front desk staff can check students in'
+  },
+  SESSION_CANCELLED: {
+    status: 409,
+    error: 'Session cancelled',
+    message: 'This session has been cancelled'
+  },
+  WRONG_SESSION: {
+    status: 409,
+    error: 'Wrong session',
+    message: 'This code is for a booking in a different session'
+  },
+  WRONG_DAY: {
+    status: 409,
+    error: 'Wrong day',
+    message: 'Check-in is only possible on the day of the session'
+  },
+  BOOKING_CANCELLED: {
+    status: 409,
+    error: 'Booking cancelled',
+    message: 'This booking has been cancelled'
+  },
+  BOOKING_NOT_ACTIVE: {
+    status: 409,
+    error: 'Booking not active',
+    message: 'This booking can no longer be checked in'
+  },
+  ALREADY_CHECKED_IN: {
+    status: 409,
+    error: 'Already checked in',
+    message: 'This booking has already been checked in'
+  }
+};
+
+class CheckInError extends Error {
+  constructor(code, details = {}) {
+    const known = CHECK_IN_ERRORS[code] || {
+      status: 500,
+      error: 'Database error',
+      message: 'Failed to check in'
+    };
+
+    super(known.message);
+    this.name = 'CheckInError';
+    this.code = code;
+    this.status = known.status;
+    this.error = known.error;
+    this.details = details;
+  }
+
+  toResponse() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...(this.details.check_in_time && { check_in_time: this.details.check_in_time })
+    };
+  }
+}
+
+// Check-in codes have their own secret, so rotating the login secret
+// neither invalidates them nor lets login tokens stand in for them
+function getSecret() {
+  const secret = process.env.CHECK_IN_SECRET;
+
+  if (!secret) {
+    throw new Error('CHECK_IN_SECRET is not configured');
+  }
+
+  return secret;
+}
+
+const hmac = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest();
+
+function signToken(payload) {
+  return hmac(`qr:${payload}`).toString('base64url').slice(0, SIGNATURE_LENGTH);
+}
+
+function getShortCode(bookingId) {
+  const digest = hmac(`short:${bookingId}`);
+  let code = '';
+
+  for (let i = 0; i < SHORT_CODE_LENGTH; i++) {
+    code += SHORT_CODE_ALPHABET[digest[i] % SHORT_CODE_ALPHABET.length];
+  }
+
+  return code;
+}
+
+// The check-in codes to show the customer for an active booking with its session
+function createCheckInCodes(booking) {
+  const payload = `${booking.id}.${booking.session.id}.${booking.session.session_date}`;
+
+  return {
+    token: `${payload}.${signToken(payload)}`,
+    short_code: getShortCode(booking.id)
+  };
+}
+
+// Verify a QR token. Returns { bookingId, sessionId, sessionDate }, or null
+// if the token is malformed or its signature does not match.
+function parseToken(token) {
+  const parts = token.split('.');
+
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [bookingId, sessionId, sessionDate, signature] = parts;
+  const expected = Buffer.from(signToken(`${bookingId}.${sessionId}.${sessionDate}`));
+  const received = Buffer.from(signature);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  return { bookingId, sessionId, sessionDate };
+}
+
+const BOOKING_FIELDS = `
+  id,
+  status,
+  session_id,
+  check_in_time,
+  student:students(
+    id,
+    full_name
+  )
+`;
+
+// Find the booking a code belongs to within a session. Returns null for
+// unknown codes; throws for a valid QR token of another session.
+async function findBookingByCode(code, session) {
+  const trimmed = code.trim();
+
+  if (trimmed.includes('.')) {
+    const token = parseToken(trimmed);
+
+    if (!token) {
+      return null;
+    }
+
+    if (token.sessionId !== session.id) {
+      throw new CheckInError('WRONG_SESSION');
+    }
+
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select(BOOKING_FIELDS)
+      .eq('id', token.bookingId)
+      .eq('session_id', session.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching booking for check-in:', error);
+      throw new Error('Failed to fetch booking');
+    }
+
+    return booking;
+  }
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(BOOKING_FIELDS)
+    .eq('session_id', session.id);
+
+  if (error) {
+    console.error('Error fetching session bookings for check-in:', error);
+    throw new Error('Failed to fetch bookings');
+  }
+
+  const shortCode = trimmed.toUpperCase();
+  const matches = (bookings || []).filter(booking => getShortCode(booking.id) === shortCode);
+
+  // A collision between two bookings of one session is unlikely but possible;
+  // the QR code is always unambiguous
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Record check-in for a booking. Only an active booking that is not checked
+// in yet is updated, so a concurrent scan or cancellation cannot be
+// overwritten; returns null in that case.
+async function recordCheckIn(bookingId, staffId) {
+  const { data: checkedIn, error } = await supabase
+    .from('bookings')
+    .update({
+      check_in_time: new Date().toISOString(),
+      checked_in_by: staffId
+    })
+    .eq('id', bookingId)
+    .eq('status', 'active')
+    .is('check_in_time', null)
+    .select('id, status, session_id, check_in_time, checked_in_by')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error checking in booking:', error);
+    throw new Error('Failed to check in booking');
+  }
+
+  return checkedIn;
+}
+
+// Check a booking in from a scanned QR token or typed short code. Staff must
+// say which session they are checking in, which must be held today. Staff
+// with check_in:any_session (admins, front desk) can check in any session;
+// instructors only their own.
+async function checkInBooking({ code, sessionId, staff }) {
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      status,
+      instructor:instructors(
+        user_id
+      )
+    `)
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (sessionError) {
+    console.error('Error fetching session for check-in:', sessionError);
+    throw new Error('Failed to fetch session');
+  }
+
+  if (!session) {
+    throw new CheckInError('SESSION_NOT_FOUND');
+  }
+
+  if (!hasPermission(staff, 'check_in:any_session') && session.instructor?.user_id !== staff.id) {
+    throw new CheckInError('NOT_SESSION_INSTRUCTOR');
+  }
+
+  if (session.status === 'cancelled') {
+    throw new CheckInError('SESSION_CANCELLED');
+  }
+
+  if (session.session_date !== localDate()) {
+    throw new CheckInError('WRONG_DAY');
+  }
+
+  const booking = await findBookingByCode(code, session);
+
+  if (!booking) {
+    throw new CheckInError('INVALID_CODE');
+  }
+
+  if (booking.check_in_time) {
+    throw new CheckInError('ALREADY_CHECKED_IN', { check_in_time: booking.check_in_time });
+  }
+
+  if (booking.status === 'cancelled') {
+    throw new CheckInError('BOOKING_CANCELLED');
+  }
+
+  if (booking.status !== 'active') {
+    throw new CheckInError('BOOKING_NOT_ACTIVE');
+  }
+
+  const checkedIn = await recordCheckIn(booking.id, staff.id);
+
+  if (!checkedIn) {
+    throw new CheckInError('BOOKING_NOT_ACTIVE');
+  }
+
+  return {
+    ...checkedIn,
+    student: booking.student
+  };
+}
+
+module.exports = {
+  CheckInError,
+  createCheckInCodes,
+  recordCheckIn,
+  checkInBooking
+};
@@ -0,0 +1,133 @@
+const { supabase } = require('../config/supabase');
+
+// Run a query for the export, failing the whole request if any part fails
+async function fetchRows(label, query) {
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`Error exporting ${label}:`, error);
+    throw new Error(`Failed to export ${label}`);
+  }
+
+  return data || [];
+}
+
+// Build a full JSON export of everything we hold about one user
+async function exportCustomerData(user) {
+  const students = await fetchRows('students', supabase
+    .from('students')
+    .select('*')
+    .eq('user_id', user.id));
+
+  const studentIds = students.map(student => student.id);
+
+  const bookings = studentIds.length === 0 ? [] : await fetchRows('bookings', supabase
+    .from('bookings')
+    .select('*')
+    .in('student_id', studentIds)
+    .order('booking_time', { ascending: true }));
+
+  const planPurchases = await fetchRows('plan purchases', supabase
+    .from('plan_purchases')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('purchased_at', { ascending: true }));
+
+  const studentPlans = studentIds.length === 0 ? [] : await fetchRows('student plans', supabase
+    .from('student_plans')
+    .select('*')
+    .in('student_id', studentIds));
+
+  const studentPlanIds = studentPlans.map(plan => plan.id);
+
+  const creditTransactions = studentPlanIds.length === 0 ? [] : await fetchRows('credit transactions', supabase
+    .from('credit_transactions')
+    .select('*')
+    .in('student_plan_id', studentPlanIds)
+    .order('created_at', { ascending: true }));
+
+  const planFreezes = studentPlanIds.length === 0 ? [] : await fetchRows('plan freezes', supabase
+    .from('plan_freezes')
+    .select('*')
+    .in('student_plan_id', studentPlanIds)
+    .order('start_date', { ascending: true }));
+
+  const creditAdjustments = studentIds.length === 0 ? [] : await fetchRows('credit adjustments', supabase
+    .from('credit_adjustments')
+    .select('*')
+    .in('student_id', studentIds)
+    .order('created_at', { ascending: true }));
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    students,
+    bookings,
+    plan_purchases: planPurchases,
+    student_plans: studentPlans,
+    credit_transactions: creditTransactions,
+    plan_freezes: planFreezes,
+    credit_adjustments: creditAdjustments
+  };
+}
+
+// Store the outcome of a compliance webhook so it can be audited and, for
+// data requests, handed to the merchant
+async function recordComplianceRequest({ topic, shopDomain, shopifyCustomerId, shopifyRequestId, userId, status, exportData }) {
+  const { data, error } = await supabase
+    .from('compliance_requests')
+    .insert({
+      topic,
+      shop_domain: shopDomain || null,
+      shopify_customer_id: shopifyCustomerId || null,
+      shopify_request_id: shopifyRequestId || null,
+      user_id: userId || null,
+      status,
+      export: exportData || null,
+      completed_at: new Date().toISOString()
+    })
+    .select('id, topic, status')
+    .single();
+
+  if (error) {
+    console.error('Error recording compliance request:', error);
+    throw new Error('Failed to record compliance request');
+  }
+
+  return data;
+}
+
+// Anonymize a customer's personal data, keeping their ledger.
+// Returns the redacted user ID, or null if the customer is unknown.
+async function redactCustomer(shopifyCustomerId) {
+  const { data: userId, error } = await supabase.rpc('redact_customer', {
+    p_shopify_customer_id: shopifyCustomerId
+  });
+
+  if (error) {
+    console.error('Error redacting customer:', error);
+    throw new Error('Failed to redact customer');
+  }
+
+  return userId || null;
+}
+
+// Delete every customer's data for the shop. Returns the number of
+// customer accounts removed.
+async function purgeCustomerData() {
+  const { data: deletedUsers, error } = await supabase.rpc('purge_customer_data');
+
+  if (error) {
+    console.error('Error purging shop data:', error);
+    throw new Error('Failed to purge shop data');
+  }
+
+  return deletedUsers || 0;
+}
+
+module.exports = {
+  exportCustomerData,
+  recordComplianceRequest,
+  redactCustomer,
+  purgeCustomerData
+};
@@ -0,0 +1,234 @@
+const Joi = require('joi');
+const { supabase } = require('../config/supabase');
+const { creditAdjustments } = require('../config/policies');
+
+const REASON_CODES = ['goodwill', 'correction', 'compensation', 'transfer', 'other'];
+
+// Errors raised by the credit adjustment database functions, plus request
+// validation
+const ADJUSTMENT_ERRORS = {
+  VALIDATION_FAILED: {
+    status: 400,
+    error: 'Validation failed',
+    message: 'The request body is not valid'
+  },
+  ADJUSTMENT_NOT_FOUND: {
+    status: 404,
+    error: 'Adjustment not found',
+    message: 'The requested credit adjustment does not exist'
+  },
+  ADJUSTMENT_NOT_PENDING: {
+    status: 409,
+    error: 'Adjustment not pending',
+    message: 'This adjustment has already been applied or rejected'
+  },
+  SELF_APPROVAL: {
+    status: 403,
+    error: 'Second approver required',
+    message: 'An adjustment must be approved by someone other than the person who requested it'
+  },
+  PLAN_NOT_FOUND: {
+    status: 404,
+    error: 'Plan not found',
+    message: 'The selected plan does not exist'
+  },
+  PLAN_MISMATCH: {
+    status: 400,
+    error: 'Plan mismatch',
+    message: 'Credits can only be transferred between plans of the same student'
+  },
+  PLAN_NOT_ACTIVE: {
+    status: 409,
+    error: 'Plan not active',
+    message: 'Credits can only be adjusted on active plans'
+  },
+  PLAN_UNLIMITED: {
+    status: 409,
+    error: 'Unlimited plan',
+    message: 'Unlimited plans have no credit balance to adjust'
+  },
+  INSUFFICIENT_CREDITS: {
+    status: 409,
+    error: 'Insufficient credits',
+    message: 'The plan does not have enough credits left'
+  }
+};
+
+class CreditAdjustmentError extends Error {
+  constructor(code, details = {}) {
+    const known = ADJUSTMENT_ERRORS[code] || {
+      status: 500,
+      error: 'Database error',
+      message: 'Failed to adjust credits'
+    };
+
+    super(known.message);
+    this.name = 'CreditAdjustmentError';
+    this.code = code;
+    this.status = known.status;
+    this.error = known.error;
+    this.details = details;
+  }
+
+  toResponse() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...(this.details.errors && { errors: this.details.errors })
+    };
+  }
+}
+
+const adjustmentSchema = Joi.object({
+  type: Joi.string().valid('grant', 'deduct', 'transfer').required(),
+  student_plan_id: Joi.string().guid().required(),
+  from_student_plan_id: Joi.when('type', {
+    is: 'transfer',
+    then: Joi.string().guid().invalid(Joi.ref('student_plan_id')).required(),
+    otherwise: Joi.forbidden()
+  }),
+  amount: Joi.number().integer().min(1).max(1000).required(),
+  reason_code: Joi.string().valid(...REASON_CODES).required(),
+  note: Joi.string().trim().max(1000).when('reason_code', {
+    is: 'other',
+    then: Joi.required(),
+    otherwise: Joi.allow('', null)
+  })
+});
+
+function rpcError(error, fallbackMessage) {
+  if (!(error.message in ADJUSTMENT_ERRORS)) {
+    console.error(fallbackMessage, error);
+  }
+  return new CreditAdjustmentError(error.message);
+}
+
+// Request a credit adjustment: a grant to a plan, a deduction from it, or a
+// transfer from another plan of the same student. Adjustments that keep the
+// student's recent total within the approval threshold are applied at once;
+// the rest are returned pending.
+async function requestAdjustment(body, { requestedBy }) {
+  const { value, error: validationError } = adjustmentSchema.validate(body, { abortEarly: false });
+
+  if (validationError) {
+    throw new CreditAdjustmentError('VALIDATION_FAILED', {
+      errors: validationError.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    });
+  }
+
+  const { data: adjustment, error } = await supabase.rpc('create_credit_adjustment', {
+    p_type: value.type,
+    p_student_plan_id: value.student_plan_id,
+    p_amount: value.amount,
+    p_reason_code: value.reason_code,
+    p_requested_by: requestedBy,
+    p_approval_threshold: creditAdjustments.approvalThreshold,
+    p_approval_window_days: creditAdjustments.approvalWindowDays,
+    p_from_student_plan_id: value.from_student_plan_id || null,
+    p_note: value.note || null
+  });
+
+  if (error) {
+    throw rpcError(error, 'Unexpected credit adjustment database error:');
+  }
+
+  return adjustment;
+}
+
+// Approve and apply a pending adjustment. The approver must not be the
+// person who requested it.
+async function approveAdjustment({ adjustmentId, approvedBy, note = null }) {
+  const { data: adjustment, error } = await supabase.rpc('approve_credit_adjustment', {
+    p_adjustment_id: adjustmentId,
+    p_approved_by: approvedBy,
+    p_note: note
+  });
+
+  if (error) {
+    throw rpcError(error, 'Unexpected credit adjustment approval database error:');
+  }
+
+  return adjustment;
+}
+
+// Reject a pending adjustment. Returns null if it does not exist or is no
+// longer pending.
+async function rejectAdjustment({ adjustmentId, rejectedBy, note = null }) {
+  const { data: adjustment, error } = await supabase
+    .from('credit_adjustments')
+    .update({
+      status: 'rejected',
+      decided_by: rejectedBy,
+      decided_at: new Date().toISOString(),
+      decision_note: note
+    })
+    .eq('id', adjustmentId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error rejecting credit adjustment:', error);
+    throw new Error('Failed to reject credit adjustment');
+  }
+
+  return adjustment;
+}
+
+// Credit adjustments, newest first. Filter by status (e.g. pending ones
+// waiting for approval) or student.
+async function listAdjustments({ status, studentId, limit = 100 } = {}) {
+  let query = supabase
+    .from('credit_adjustments')
+    .select(`
+      *,
+      student:students(
+        id,
+        full_name
+      ),
+      student_plan:student_plans!credit_adjustments_student_plan_id_fkey(
+        id,
+        remaining_credits,
+        plan:plans(
+          name
+        )
+      ),
+      from_student_plan:student_plans!credit_adjustments_from_student_plan_id_fkey(
+        id,
+        remaining_credits,
+        plan:plans(
+          name
+        )
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data: adjustments, error } = await query;
+
+  if (error) {
+    console.error('Error fetching credit adjustments:', error);
+    throw new Error('Failed to fetch credit adjustments');
+  }
+
+  return adjustments || [];
+}
+
+module.exports = {
+  CreditAdjustmentError,
+  requestAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+  listAdjustments
+};
@@ -0,0 +1,141 @@
+// Credit cost of sessions and the eligibility rules of plans.
+//
+// A session costs the credit_cost of its class, falling back to the cost of
+// the class type (1 credit unless configured otherwise).
+//
+// A plan's rules live in plans.eligibility. Every rule is optional and a plan
+// without rules can book any class:
+//   categories      class type categories the plan covers, e.g. ["yoga"]
+//   class_type_ids  class types the plan covers
+//   room_ids        rooms the plan covers
+//   days_of_week    days the plan covers, 0 (Sunday) to 6 (Saturday)
+//   hours           start time windows, e.g. [{ "from": "10:00", "to": "16:00" }]
+//                   for an off-peak plan; `to` is exclusive
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Session columns needed to price a session and check it against plan rules.
+// Append to a sessions select that already has session_date and session_time.
+const SESSION_RULES_FIELDS = `
+  room_id,
+  class:classes(
+    id,
+    room_id,
+    credit_cost,
+    class_type:class_types(
+      id,
+      name,
+      category,
+      credit_cost
+    )
+  )
+`;
+
+const asList = value => Array.isArray(value) ? value : [];
+const nonEmptyList = list => list.length > 0 ? list : null;
+
+// Keep the known rules of a plans.eligibility value, in a fixed key order so
+// two rule sets can be compared as JSON. Empty rules are dropped.
+function normalizeEligibility(raw) {
+  let rules = raw;
+
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return {};
+  }
+
+  const normalized = {};
+  const categories = nonEmptyList(asList(rules.categories));
+  const classTypeIds = nonEmptyList(asList(rules.class_type_ids));
+  const roomIds = nonEmptyList(asList(rules.room_ids));
+  const days = nonEmptyList(asList(rules.days_of_week)
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6));
+  const hours = nonEmptyList(asList(rules.hours)
+    .filter(window => TIME_PATTERN.test(window?.from) && TIME_PATTERN.test(window?.to))
+    .map(window => ({ from: window.from, to: window.to })));
+
+  if (categories) {
+    normalized.categories = categories.map(category => String(category).toLowerCase());
+  }
+  if (classTypeIds) {
+    normalized.class_type_ids = classTypeIds.map(String);
+  }
+  if (roomIds) {
+    normalized.room_ids = roomIds.map(String);
+  }
+  if (days) {
+    normalized.days_of_week = days;
+  }
+  if (hours) {
+    normalized.hours = hours;
+  }
+
+  return normalized;
+}
+
+// Credits a booking for the session costs
+function getSessionCreditCost(session) {
+  const cost = session?.class?.credit_cost ?? session?.class?.class_type?.credit_cost;
+  return Number.isInteger(cost) ? cost : 1;
+}
+
+// Why a plan's rules do not cover a session, as customer-facing sentences.
+// An empty list means the plan can be used for the session.
+function checkEligibility(eligibility, session) {
+  const rules = normalizeEligibility(eligibility);
+  const reasons = [];
+
+  if (!session) {
+    return reasons;
+  }
+
+  const classType = session.class?.class_type;
+  const roomId = session.room_id || session.class?.room_id;
+
+  if (rules.categories && !rules.categories.includes(classType?.category?.toLowerCase())) {
+    reasons.push(`Only valid for ${rules.categories.join(', ')} classes`);
+  }
+
+  if (rules.class_type_ids && !rules.class_type_ids.includes(classType?.id)) {
+    reasons.push(`Not valid for ${classType?.name || 'this class'}`);
+  }
+
+  if (rules.room_ids && !rules.room_ids.includes(roomId)) {
+    reasons.push('Not valid in this room');
+  }
+
+  if (rules.days_of_week) {
+    const day = new Date(`${session.session_date}T00:00:00Z`).getUTCDay();
+
+    if (!rules.days_of_week.includes(day)) {
+      reasons.push(`Only valid on ${rules.days_of_week.map(d => DAY_NAMES[d]).join(', ')}`);
+    }
+  }
+
+  if (rules.hours) {
+    const startTime = session.session_time.slice(0, 5);
+    const inWindow = rules.hours.some(window => window.from <= startTime && startTime < window.to);
+
+    if (!inWindow) {
+      reasons.push(`Only valid for classes starting ${rules.hours.map(window => `${window.from}-${window.to}`).join(' or ')}`);
+    }
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  SESSION_RULES_FIELDS,
+  normalizeEligibility,
+  getSessionCreditCost,
+  checkEligibility
+};
@@ -0,0 +1,250 @@
+const { supabase } = require('../config/supabase');
+const { recordCheckIn } = require('./checkIn');
+const { recordNoShow } = require('./penalties');
+const { localDate } = require('./sessions');
+
+// Booking statuses shown on a roster; cancelled bookings are left out
+const ROSTER_STATUSES = ['active', 'completed', 'no_show'];
+
+// The active instructor profile of a user, or null
+async function getInstructorForUser(userId) {
+  const { data: instructor, error } = await supabase
+    .from('instructors')
+    .select('id, user_id, is_active')
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching instructor profile:', error);
+    throw new Error('Failed to fetch instructor profile');
+  }
+
+  return instructor;
+}
+
+// An instructor's sessions between two dates (inclusive), with booking and
+// check-in counts
+async function listInstructorSessions(instructorId, { fromDate, toDate }) {
+  const { data: sessions, error } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      duration_minutes,
+      capacity,
+      spots_taken,
+      spots_left,
+      status,
+      notes,
+      class:classes(
+        id,
+        name,
+        class_type:class_types(
+          id,
+          name,
+          category
+        ),
+        room:rooms(
+          id,
+          name
+        )
+      ),
+      bookings(
+        status,
+        check_in_time
+      )
+    `)
+    .eq('instructor_id', instructorId)
+    .gte('session_date', fromDate)
+    .lte('session_date', toDate)
+    .order('session_date', { ascending: true })
+    .order('session_time', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching instructor sessions:', error);
+    throw new Error('Failed to fetch sessions');
+  }
+
+  return (sessions || []).map(({ bookings, ...session }) => {
+    const active = (bookings || []).filter(booking => booking.status === 'active');
+
+    return {
+      ...session,
+      booked_count: active.length,
+      checked_in_count: active.filter(booking => booking.check_in_time).length
+    };
+  });
+}
+
+// One of an instructor's sessions, or null if it does not exist or is taught
+// by someone else
+async function getInstructorSession(instructorId, sessionId) {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      duration_minutes,
+      capacity,
+      status,
+      notes,
+      class:classes(
+        id,
+        name
+      )
+    `)
+    .eq('id', sessionId)
+    .eq('instructor_id', instructorId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching instructor session:', error);
+    throw new Error('Failed to fetch session');
+  }
+
+  return session;
+}
+
+// The students booked into a session, with what an instructor needs to know
+// for safety. has_health_notes flags students with allergies or afflictions.
+async function getSessionRoster(sessionId) {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      status,
+      booking_time,
+      check_in_time,
+      student:students(
+        id,
+        full_name,
+        fitness_level,
+        allergies,
+        afflictions,
+        user:users(
+          first_name,
+          last_name
+        )
+      )
+    `)
+    .eq('session_id', sessionId)
+    .in('status', ROSTER_STATUSES)
+    .order('booking_time', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching session roster:', error);
+    throw new Error('Failed to fetch roster');
+  }
+
+  return (bookings || []).map(booking => {
+    const student = booking.student || {};
+    const name = student.full_name ||
+      [student.user?.first_name, student.user?.last_name].filter(Boolean).join(' ');
+
+    return {
+      booking_id: booking.id,
+      status: booking.status,
+      check_in_time: booking.check_in_time,
+      student: {
+        id: student.id,
+        name: name || 'Student',
+        fitness_level: student.fitness_level || null,
+        allergies: student.allergies || null,
+        afflictions: student.afflictions || null,
+        has_health_notes: Boolean(student.allergies || student.afflictions)
+      }
+    };
+  });
+}
+
+// Mark attendance for several bookings of a session at once. Each entry is
+// { booking_id, attended }: attended bookings are checked in, the others are
+// recorded as no-shows (with the usual penalties) once the session has
+// started. Returns one { booking_id, result } per entry, where result is
+// 'checked_in', 'no_show' or 'skipped' with a reason.
+async function markAttendance({ session, entries, staffId, now = new Date() }) {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      status,
+      student_id,
+      session_id,
+      check_in_time,
+      student:students(
+        user_id
+      )
+    `)
+    .eq('session_id', session.id)
+    .in('id', entries.map(entry => entry.booking_id));
+
+  if (error) {
+    console.error('Error fetching bookings for attendance:', error);
+    throw new Error('Failed to fetch bookings');
+  }
+
+  const bookingsById = new Map((bookings || []).map(booking => [booking.id, booking]));
+  const isUpcoming = session.session_date > localDate(now);
+  const hasStarted = now >= new Date(`${session.session_date}T${session.session_time}`);
+  const results = [];
+
+  for (const entry of entries) {
+    const booking = bookingsById.get(entry.booking_id);
+    const skip = reason => results.push({ booking_id: entry.booking_id, result: 'skipped', reason });
+
+    if (!booking) {
+      skip('Booking not found in this session');
+    } else if (booking.status !== 'active') {
+      skip(`Booking is ${booking.status}`);
+    } else if (isUpcoming) {
+      skip('Attendance can only be marked from the day of the session');
+    } else if (entry.attended) {
+      if (booking.check_in_time) {
+        skip('Already checked in');
+      } else if (await recordCheckIn(booking.id, staffId)) {
+        results.push({ booking_id: booking.id, result: 'checked_in' });
+      } else {
+        skip('Booking changed while marking attendance');
+      }
+    } else if (!hasStarted) {
+      skip('No-shows can only be marked once the session has started');
+    } else if (booking.check_in_time) {
+      skip('Already checked in');
+    } else if (await recordNoShow({ ...booking, session })) {
+      results.push({ booking_id: booking.id, result: 'no_show' });
+    } else {
+      skip('Booking changed while marking attendance');
+    }
+  }
+
+  return results;
+}
+
+// Replace a session's notes
+async function updateSessionNotes(sessionId, notes) {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .update({ notes })
+    .eq('id', sessionId)
+    .select('id, notes')
+    .single();
+
+  if (error) {
+    console.error('Error updating session notes:', error);
+    throw new Error('Failed to update session notes');
+  }
+
+  return session;
+}
+
+module.exports = {
+  getInstructorForUser,
+  listInstructorSessions,
+  getInstructorSession,
+  getSessionRoster,
+  markAttendance,
+  updateSessionNotes
+};
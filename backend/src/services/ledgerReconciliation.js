@@ -0,0 +1,324 @@
+const { supabase } = require('../config/supabase');
+
+// Credit ledger reconciliation. Each credit pack's ledger is replayed from
+// its initial_credits and compared with the stored remaining_credits.
+// Unlimited plans have no balance to reconcile; only their bookings are
+// checked for missing debits.
+
+const PLAN_BATCH_SIZE = 200;
+const PAGE_SIZE = 1000;
+
+// Likely causes of a mismatch, reported with the evidence found
+const CAUSES = {
+  balance_changed_outside_ledger: 'remaining_credits changed between ledger entries without a transaction (a direct edit, or a transaction that failed and was ignored)',
+  changed_after_last_entry: 'remaining_credits no longer matches the balance after the last ledger entry',
+  wrong_direction: 'a transaction moved the balance the opposite way to its type (e.g. a refund clawback recorded as a credit)',
+  amount_mismatch: 'a transaction moved the balance by a different amount than it records',
+  uncharged_bookings: 'bookings on this plan have no booking debit (e.g. debits skipped by the client)',
+  unlimited_debits_skipped: 'bookings on this unlimited plan have no booking debit (the client used to skip debits for unlimited plans)',
+  unrefunded_cancellations: 'bookings cancelled in time were charged but never refunded',
+  unknown: 'no specific cause found in the ledger'
+};
+
+// Causes that mean the stored balance is wrong too, not just the ledger.
+// Recording the difference would make the ledger agree with a wrong
+// balance, so --fix leaves these plans for staff to review.
+const SUSPECT_BALANCE_CAUSES = ['wrong_direction', 'amount_mismatch', 'unrefunded_cancellations'];
+
+// Fetch every row of a query, a page at a time
+async function fetchAll(label, buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`Error fetching ${label}:`, error);
+      throw new Error(`Failed to fetch ${label}`);
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+// Transactions written in one database transaction share a timestamp, so
+// within a timestamp follow the balance chain rather than the id order
+function orderLedger(transactions, openingBalance) {
+  const sorted = [...transactions].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const ordered = [];
+  let balance = openingBalance;
+
+  while (sorted.length > 0) {
+    const sameTime = sorted.filter(tx => tx.created_at === sorted[0].created_at);
+    const next = sameTime.find(tx => tx.balance_before === balance) || sameTime[0];
+
+    sorted.splice(sorted.indexOf(next), 1);
+    ordered.push(next);
+    balance = next.balance_after ?? balance;
+  }
+
+  return ordered;
+}
+
+const signedAmount = tx => (tx.transaction_type === 'debit' ? -tx.amount : tx.amount);
+
+// Net credits charged per booking, from its booking and cancellation entries
+function chargesByBooking(transactions) {
+  const charged = new Map();
+  for (const tx of transactions) {
+    if (['booking', 'cancellation'].includes(tx.reference_type)) {
+      charged.set(tx.reference_id, (charged.get(tx.reference_id) || 0) - signedAmount(tx));
+    }
+  }
+  return charged;
+}
+
+const planReport = (plan, fields) => ({
+  student_plan_id: plan.id,
+  student_id: plan.student_id,
+  plan_name: plan.plan?.name || null,
+  status: plan.status,
+  is_unlimited: plan.is_unlimited,
+  ...fields
+});
+
+// Unlimited plans have no balance, but each booking should still have its
+// debit entry. Returns the report, or null if every booking has one.
+function reconcileUnlimitedPlan(plan, transactions, bookings) {
+  const charged = chargesByBooking(transactions);
+  const uncharged = bookings.filter(booking => booking.status !== 'cancelled' && !charged.has(booking.id));
+
+  if (uncharged.length === 0) {
+    return null;
+  }
+
+  return planReport(plan, {
+    initial_credits: null,
+    stored_balance: null,
+    ledger_balance: null,
+    difference: 0,
+    causes: [{
+      code: 'unlimited_debits_skipped',
+      description: CAUSES.unlimited_debits_skipped,
+      booking_ids: uncharged.map(booking => booking.id)
+    }],
+    needs_review: true
+  });
+}
+
+// Replay one plan's ledger. Returns the mismatch report, or null if the
+// stored balance matches the ledger.
+function reconcilePlan(plan, transactions, bookings) {
+  if (plan.is_unlimited) {
+    return reconcileUnlimitedPlan(plan, transactions, bookings);
+  }
+
+  const ledgerBalance = transactions.reduce(
+    (balance, tx) => balance + signedAmount(tx),
+    plan.initial_credits
+  );
+
+  if (ledgerBalance === plan.remaining_credits) {
+    return null;
+  }
+
+  const causes = [];
+  const addCause = (code, evidence) => causes.push({ code, description: CAUSES[code], ...evidence });
+
+  // Walk the balance chain: each entry should start where the previous one
+  // ended and move the balance by its own amount, in its own direction
+  const gaps = [];
+  const wrongDirection = [];
+  const wrongAmount = [];
+  let balance = plan.initial_credits;
+
+  for (const tx of orderLedger(transactions, plan.initial_credits)) {
+    if (tx.balance_before !== null && tx.balance_before !== balance) {
+      gaps.push({ transaction_id: tx.id, expected: balance, found: tx.balance_before });
+    }
+
+    if (tx.balance_before !== null && tx.balance_after !== null) {
+      const moved = tx.balance_after - tx.balance_before;
+
+      if (moved !== 0 && Math.sign(moved) !== Math.sign(signedAmount(tx))) {
+        wrongDirection.push({ transaction_id: tx.id, reference_type: tx.reference_type, amount: tx.amount, moved });
+      } else if (Math.abs(moved) !== tx.amount) {
+        wrongAmount.push({ transaction_id: tx.id, amount: tx.amount, moved });
+      }
+    }
+
+    balance = tx.balance_after ?? balance + signedAmount(tx);
+  }
+
+  if (gaps.length > 0) {
+    addCause('balance_changed_outside_ledger', {
+      credits: gaps.reduce((total, gap) => total + gap.found - gap.expected, 0),
+      transactions: gaps
+    });
+  }
+
+  if (balance !== plan.remaining_credits) {
+    addCause('changed_after_last_entry', { credits: plan.remaining_credits - balance });
+  }
+
+  if (wrongDirection.length > 0) {
+    addCause('wrong_direction', { transactions: wrongDirection });
+  }
+
+  if (wrongAmount.length > 0) {
+    addCause('amount_mismatch', { transactions: wrongAmount });
+  }
+
+  const charged = chargesByBooking(transactions);
+  const uncharged = bookings.filter(booking => booking.status !== 'cancelled' && !charged.has(booking.id));
+  if (uncharged.length > 0) {
+    addCause('uncharged_bookings', { booking_ids: uncharged.map(booking => booking.id) });
+  }
+
+  const unrefunded = bookings.filter(booking =>
+    booking.status === 'cancelled' && !booking.late_cancellation && charged.get(booking.id) > 0
+  );
+  if (unrefunded.length > 0) {
+    addCause('unrefunded_cancellations', { booking_ids: unrefunded.map(booking => booking.id) });
+  }
+
+  if (causes.length === 0) {
+    addCause('unknown');
+  }
+
+  return planReport(plan, {
+    initial_credits: plan.initial_credits,
+    stored_balance: plan.remaining_credits,
+    ledger_balance: ledgerBalance,
+    difference: plan.remaining_credits - ledgerBalance,
+    causes,
+    needs_review: causes.some(cause => SUSPECT_BALANCE_CAUSES.includes(cause.code))
+  });
+}
+
+async function reconcileBatch(plans) {
+  const planIds = plans.map(plan => plan.id);
+
+  const transactions = await fetchAll('credit transactions', () => supabase
+    .from('credit_transactions')
+    .select('id, student_plan_id, transaction_type, amount, balance_before, balance_after, reference_id, reference_type, created_at')
+    .in('student_plan_id', planIds)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  const bookings = await fetchAll('bookings', () => supabase
+    .from('bookings')
+    .select('id, student_plan_id, status, late_cancellation')
+    .in('student_plan_id', planIds)
+    .order('id', { ascending: true }));
+
+  const byPlan = (rows) => {
+    const grouped = new Map(planIds.map(id => [id, []]));
+    rows.forEach(row => grouped.get(row.student_plan_id)?.push(row));
+    return grouped;
+  };
+  const transactionsByPlan = byPlan(transactions);
+  const bookingsByPlan = byPlan(bookings);
+
+  return plans
+    .map(plan => reconcilePlan(plan, transactionsByPlan.get(plan.id), bookingsByPlan.get(plan.id)))
+    .filter(Boolean);
+}
+
+// Record each mismatch as a correcting ledger entry. The difference is
+// recomputed in the database under a lock, so a booking made since the
+// report cannot be double counted.
+async function fixMismatch(mismatch) {
+  const { data: correction, error } = await supabase.rpc('record_ledger_correction', {
+    p_student_plan_id: mismatch.student_plan_id
+  });
+
+  if (error) {
+    console.error(`Error correcting ledger of plan ${mismatch.student_plan_id}:`, error);
+    throw new Error('Failed to record ledger correction');
+  }
+
+  // Nothing is returned if the plan balanced out in the meantime
+  return correction?.id ? correction : null;
+}
+
+// Replay the ledger of every plan (or one plan or student) and list the
+// plans whose stored balance disagrees, with likely causes, and unlimited
+// plans with bookings that were never debited. With fix, each difference is
+// recorded as an 'adjustment' transaction; the stored balance itself is left
+// alone. Plans that need review (a suspect stored balance, or an unlimited
+// plan) are reported but not corrected.
+async function reconcileCredits({ studentPlanId, studentId, fix = false } = {}) {
+  const plans = await fetchAll('student plans', () => {
+    let query = supabase
+      .from('student_plans')
+      .select(`
+        id,
+        student_id,
+        status,
+        is_unlimited,
+        initial_credits,
+        remaining_credits,
+        plan:plans(
+          name
+        )
+      `)
+      .order('id', { ascending: true });
+
+    if (studentPlanId) {
+      query = query.eq('id', studentPlanId);
+    }
+
+    if (studentId) {
+      query = query.eq('student_id', studentId);
+    }
+
+    return query;
+  });
+
+  const mismatches = [];
+  for (let i = 0; i < plans.length; i += PLAN_BATCH_SIZE) {
+    mismatches.push(...await reconcileBatch(plans.slice(i, i + PLAN_BATCH_SIZE)));
+  }
+
+  const summary = {
+    fix,
+    plans_checked: plans.length,
+    mismatches: mismatches.length,
+    // Absolute, so differences in opposite directions do not cancel out
+    credits_unexplained: mismatches.reduce((total, mismatch) => total + Math.abs(mismatch.difference), 0),
+    needs_review: mismatches.filter(mismatch => mismatch.needs_review).length,
+    corrected: 0,
+    failed: 0,
+    plans: mismatches
+  };
+
+  if (!fix) {
+    return summary;
+  }
+
+  for (const mismatch of mismatches) {
+    if (mismatch.needs_review) {
+      continue;
+    }
+
+    try {
+      const correction = await fixMismatch(mismatch);
+      mismatch.correction_transaction_id = correction?.id || null;
+      if (correction) summary.corrected++;
+    } catch (error) {
+      mismatch.correction_error = error.message;
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  reconcileCredits
+};
@@ -0,0 +1,166 @@
+const { supabase } = require('../config/supabase');
+
+// Delivery attempts before a notification is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || 5);
+
+// Queue customer notifications for delivery. Notifications with a dedupeKey
+// that was already queued are ignored, so callers can safely retry.
+async function queueNotifications(notifications) {
+  if (notifications.length === 0) {
+    return [];
+  }
+
+  const rows = notifications.map(notification => ({
+    user_id: notification.userId || null,
+    student_id: notification.studentId || null,
+    type: notification.type,
+    subject: notification.subject,
+    body: notification.body,
+    data: notification.data || {},
+    dedupe_key: notification.dedupeKey || null,
+    status: 'queued'
+  }));
+
+  const { data, error } = await supabase
+    .from('notifications')
+    .upsert(rows, {
+      onConflict: 'dedupe_key',
+      ignoreDuplicates: true
+    })
+    .select('id');
+
+  if (error) {
+    console.error('Error queueing notifications:', error);
+    throw new Error('Failed to queue notifications');
+  }
+
+  return data || [];
+}
+
+// Queue a single customer notification
+async function queueNotification(notification) {
+  const [queued] = await queueNotifications([notification]);
+  return queued || null;
+}
+
+// Delivery of queued notifications. The studio's delivery webhook receives
+// each notification as JSON ({ id, type, to, subject, body, data }) and
+// sends the email; a 2xx response counts as delivered.
+function createNotificationSender({
+  url = process.env.NOTIFICATION_WEBHOOK_URL,
+  token = process.env.NOTIFICATION_WEBHOOK_TOKEN,
+  fetchImpl = fetch
+} = {}) {
+  if (!url) {
+    throw new Error('NOTIFICATION_WEBHOOK_URL is not configured');
+  }
+
+  async function send(notification) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(notification)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notification delivery failed (${response.status})`);
+    }
+  }
+
+  return { send };
+}
+
+// Record the outcome of one delivery attempt
+async function recordDelivery(notification, deliveryError) {
+  const attempts = (notification.attempts || 0) + 1;
+  const update = deliveryError
+    ? {
+        attempts,
+        last_error: deliveryError,
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued'
+      }
+    : { attempts, last_error: null, status: 'sent', sent_at: new Date().toISOString() };
+
+  const { error } = await supabase
+    .from('notifications')
+    .update(update)
+    .eq('id', notification.id)
+    .eq('status', 'queued');
+
+  if (error) {
+    console.error(`Error recording delivery of notification ${notification.id}:`, error);
+  }
+
+  return update.status;
+}
+
+// Send queued notifications, oldest first, to the user's email address.
+// Failed deliveries stay queued for the next run until they run out of
+// attempts. With dryRun the queue is only counted.
+async function sendQueuedNotifications({ sender, limit = 100, dryRun = false } = {}) {
+  const { data: queued, error } = await supabase
+    .from('notifications')
+    .select(`
+      id,
+      type,
+      subject,
+      body,
+      data,
+      attempts,
+      user:users(
+        email
+      )
+    `)
+    .eq('status', 'queued')
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching queued notifications:', error);
+    throw new Error('Failed to fetch queued notifications');
+  }
+
+  const summary = { dry_run: dryRun, queued: (queued || []).length, sent: 0, retrying: 0, failed: 0 };
+
+  if (dryRun || summary.queued === 0) {
+    return summary;
+  }
+
+  const delivery = sender || createNotificationSender();
+
+  for (const notification of queued) {
+    let deliveryError = null;
+
+    if (!notification.user?.email) {
+      deliveryError = 'The customer has no email address';
+    } else {
+      try {
+        await delivery.send({
+          id: notification.id,
+          type: notification.type,
+          to: notification.user.email,
+          subject: notification.subject,
+          body: notification.body,
+          data: notification.data
+        });
+      } catch (sendError) {
+        deliveryError = sendError.message;
+      }
+    }
+
+    const status = await recordDelivery(notification, deliveryError);
+    summary[{ sent: 'sent', queued: 'retrying', failed: 'failed' }[status]]++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  queueNotification,
+  queueNotifications,
+  createNotificationSender,
+  sendQueuedNotifications
+};
@@ -0,0 +1,270 @@
+const { supabase } = require('../config/supabase');
+const { noShowBlock } = require('../config/policies');
+const { queueNotifications } = require('./notifications');
+const { localDate } = require('./sessions');
+
+// Sessions older than this are not checked for no-shows, so a job that was
+// paused does not mark old history all at once
+const NO_SHOW_LOOKBACK_DAYS = 7;
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// Whether a session has ended
+function hasEnded(session, now) {
+  const start = new Date(`${session.session_date}T${session.session_time}`);
+  return now >= new Date(start.getTime() + (session.duration_minutes || 0) * 60 * 1000);
+}
+
+// Active bookings of ended sessions that were never checked in
+async function findMissedBookings(now) {
+  const { data: sessions, error: sessionsError } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      duration_minutes,
+      class:classes(
+        name
+      )
+    `)
+    .neq('status', 'cancelled')
+    .gte('session_date', addDays(localDate(now), -NO_SHOW_LOOKBACK_DAYS))
+    .lte('session_date', localDate(now));
+
+  if (sessionsError) {
+    console.error('Error fetching ended sessions:', sessionsError);
+    throw new Error('Failed to fetch sessions');
+  }
+
+  const endedSessions = new Map((sessions || [])
+    .filter(session => hasEnded(session, now))
+    .map(session => [session.id, session]));
+
+  if (endedSessions.size === 0) {
+    return [];
+  }
+
+  const { data: bookings, error: bookingsError } = await supabase
+    .from('bookings')
+    .select('id, student_id, session_id, student:students(user_id)')
+    .eq('status', 'active')
+    .is('check_in_time', null)
+    .in('session_id', [...endedSessions.keys()]);
+
+  if (bookingsError) {
+    console.error('Error fetching missed bookings:', bookingsError);
+    throw new Error('Failed to fetch bookings');
+  }
+
+  return (bookings || []).map(booking => ({
+    ...booking,
+    session: endedSessions.get(booking.session_id)
+  }));
+}
+
+function buildNoShowNotices(booking, result) {
+  const className = booking.session.class?.name || 'your class';
+  const fee = Number(result.fee_amount) > 0
+    ? ` A no-show fee of ${Number(result.fee_amount).toFixed(2)} applies.`
+    : ' The credit for this booking has been used.';
+  const notices = [{
+    userId: booking.student?.user_id,
+    studentId: booking.student_id,
+    type: 'no_show',
+    subject: `Missed ${className} on ${booking.session.session_date}`,
+    body: `You were booked for ${className} on ${booking.session.session_date} at ${booking.session.session_time} but did not check in.${fee}`,
+    data: {
+      booking_id: booking.id,
+      session_id: booking.session_id,
+      fee_amount: Number(result.fee_amount)
+    },
+    dedupeKey: `no_show:${booking.id}`
+  }];
+
+  if (result.blocked_until) {
+    notices.push({
+      userId: booking.student?.user_id,
+      studentId: booking.student_id,
+      type: 'booking_blocked',
+      subject: 'Booking paused on your account',
+      body: `After ${result.no_show_count} no-shows in ${noShowBlock.windowDays} days you cannot book classes until ${result.blocked_until}.`,
+      data: {
+        blocked_until: result.blocked_until,
+        no_show_count: result.no_show_count
+      },
+      dedupeKey: `booking_blocked:${booking.student_id}:${result.blocked_until}`
+    });
+  }
+
+  return notices;
+}
+
+// Mark one booking as a no-show under the configured block policy and notify
+// the student. The booking needs its session (with class name) and student
+// user. Returns { fee_amount, no_show_count, blocked_until }, or null if the
+// booking was checked in or is no longer active.
+async function recordNoShow(booking) {
+  const { data: results, error } = await supabase.rpc('mark_no_show', {
+    p_booking_id: booking.id,
+    p_threshold: noShowBlock.threshold,
+    p_window_days: noShowBlock.windowDays,
+    p_block_days: noShowBlock.blockDays
+  });
+
+  if (error) {
+    console.error(`Error marking booking ${booking.id} as no-show:`, error);
+    throw new Error('Failed to mark no-show');
+  }
+
+  const [result] = results || [];
+  if (!result) {
+    return null;
+  }
+
+  try {
+    await queueNotifications(buildNoShowNotices(booking, result));
+  } catch (error) {
+    // The no-show is already recorded
+    console.error('Error queueing no-show notices:', error);
+  }
+
+  return result;
+}
+
+// Mark active bookings of ended sessions that were never checked in as
+// no-shows. Each booking is handled in its own transaction, which forfeits
+// the credit (or records the class type's no-show fee on unlimited plans) and
+// blocks students who reach the no-show threshold. With dryRun the bookings
+// are only counted.
+async function markNoShows({ now = new Date(), dryRun = false } = {}) {
+  const missed = await findMissedBookings(now);
+  const summary = {
+    dry_run: dryRun,
+    missed: missed.length,
+    marked: 0,
+    fees_pending: 0,
+    students_blocked: 0,
+    failed: 0
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  for (const booking of missed) {
+    let result;
+    try {
+      result = await recordNoShow(booking);
+    } catch (error) {
+      summary.failed++;
+      continue;
+    }
+
+    // Nothing is returned if the booking was checked in or cancelled meanwhile
+    if (!result) {
+      continue;
+    }
+
+    summary.marked++;
+    if (Number(result.fee_amount) > 0) summary.fees_pending++;
+    if (result.blocked_until) summary.students_blocked++;
+  }
+
+  return summary;
+}
+
+// Penalties recorded for late cancellations and no-shows, newest first.
+// Filter by fee status (e.g. pending fees to charge) or student.
+async function listPenalties({ feeStatus, studentId, limit = 100 } = {}) {
+  let query = supabase
+    .from('booking_penalties')
+    .select(`
+      *,
+      booking:bookings(
+        id,
+        session:sessions(
+          id,
+          session_date,
+          session_time,
+          class:classes(
+            name
+          )
+        )
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (feeStatus) {
+    query = query.eq('fee_status', feeStatus);
+  }
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data: penalties, error } = await query;
+
+  if (error) {
+    console.error('Error fetching penalties:', error);
+    throw new Error('Failed to fetch penalties');
+  }
+
+  return penalties || [];
+}
+
+// Record that a pending fee was charged or waived. Returns null if the
+// penalty does not exist or its fee is not pending.
+async function resolvePenaltyFee({ penaltyId, feeStatus, resolvedBy }) {
+  const { data: penalty, error } = await supabase
+    .from('booking_penalties')
+    .update({
+      fee_status: feeStatus,
+      resolved_at: new Date().toISOString(),
+      resolved_by: resolvedBy || null
+    })
+    .eq('id', penaltyId)
+    .eq('fee_status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error resolving penalty fee:', error);
+    throw new Error('Failed to update penalty');
+  }
+
+  return penalty;
+}
+
+// Lift a student's booking block before it runs out
+async function liftBookingBlock(studentId) {
+  const { data: student, error } = await supabase
+    .from('students')
+    .update({
+      booking_blocked_until: null,
+      booking_block_reason: null
+    })
+    .eq('id', studentId)
+    .select('id, booking_blocked_until, booking_block_reason')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error lifting booking block:', error);
+    throw new Error('Failed to lift booking block');
+  }
+
+  return student;
+}
+
+module.exports = {
+  recordNoShow,
+  markNoShows,
+  listPenalties,
+  resolvePenaltyFee,
+  liftBookingBlock
+};
@@ -0,0 +1,138 @@
+const { supabase } = require('../config/supabase');
+const { planFreeze } = require('../config/policies');
+const { localDate } = require('./sessions');
+
+// Errors raised by the freeze_student_plan database function
+const FREEZE_ERRORS = {
+  FREEZE_INVALID_DATES: {
+    status: 400,
+    error: 'Invalid dates',
+    message: 'The freeze must end on or after its start date'
+  },
+  FREEZE_IN_PAST: {
+    status: 400,
+    error: 'Invalid dates',
+    message: 'A freeze cannot start in the past'
+  },
+  FREEZE_AFTER_PLAN_END: {
+    status: 400,
+    error: 'Invalid dates',
+    message: 'A freeze must start before the plan expires'
+  },
+  FREEZE_OVERLAPS: {
+    status: 409,
+    error: 'Freeze overlaps',
+    message: 'This plan is already frozen for part of these dates'
+  },
+  FREEZE_LIMIT_REACHED: {
+    status: 409,
+    error: 'Freeze limit reached',
+    message: `A plan can be frozen at most ${planFreeze.maxFreezesPerPlan} times`
+  },
+  FREEZE_TOO_LONG: {
+    status: 409,
+    error: 'Freeze too long',
+    message: `A plan can be frozen for at most ${planFreeze.maxTotalDays} days in total`
+  },
+  FREEZE_HAS_BOOKINGS: {
+    status: 409,
+    error: 'Bookings during freeze',
+    message: 'Cancel the bookings made with this plan during these dates before freezing it'
+  },
+  PLAN_NOT_FOUND: {
+    status: 404,
+    error: 'Plan not found',
+    message: 'The selected plan does not exist'
+  },
+  PLAN_NOT_ACTIVE: {
+    status: 409,
+    error: 'Plan not active',
+    message: 'Only active plans can be frozen'
+  }
+};
+
+class PlanFreezeError extends Error {
+  constructor(code) {
+    const known = FREEZE_ERRORS[code] || {
+      status: 500,
+      error: 'Database error',
+      message: 'Failed to freeze plan'
+    };
+
+    super(known.message);
+    this.name = 'PlanFreezeError';
+    this.code = code;
+    this.status = known.status;
+    this.error = known.error;
+  }
+
+  toResponse() {
+    return {
+      error: this.error,
+      message: this.message
+    };
+  }
+}
+
+// Freeze a plan for a date range (inclusive) and push its end date out by
+// the frozen days. Throws a PlanFreezeError if the freeze breaks a rule.
+async function freezePlan({ studentPlanId, startDate, endDate, reason = null, createdBy = null }) {
+  const { data: freeze, error } = await supabase.rpc('freeze_student_plan', {
+    p_student_plan_id: studentPlanId,
+    p_start_date: startDate,
+    p_end_date: endDate,
+    p_reason: reason,
+    p_created_by: createdBy,
+    p_max_freezes: planFreeze.maxFreezesPerPlan,
+    p_max_days: planFreeze.maxTotalDays
+  });
+
+  if (error) {
+    if (!(error.message in FREEZE_ERRORS)) {
+      console.error('Unexpected plan freeze database error:', error);
+    }
+    throw new PlanFreezeError(error.message);
+  }
+
+  return freeze;
+}
+
+// Add the freeze state to a student plan with embedded `freezes`:
+// is_frozen, frozen_until and resumes_on for a freeze covering today, and
+// the next upcoming freeze if any
+function withFreezeState(studentPlan, today = localDate()) {
+  const freezes = [...(studentPlan.freezes || [])]
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+  const current = freezes.find(freeze => freeze.start_date <= today && freeze.end_date >= today);
+  const upcoming = freezes.find(freeze => freeze.start_date > today);
+
+  let resumesOn = null;
+  if (current) {
+    const resume = new Date(`${current.end_date}T00:00:00Z`);
+    resume.setUTCDate(resume.getUTCDate() + 1);
+    resumesOn = resume.toISOString().split('T')[0];
+  }
+
+  return {
+    ...studentPlan,
+    freezes,
+    is_frozen: Boolean(current),
+    frozen_until: current ? current.end_date : null,
+    resumes_on: resumesOn,
+    upcoming_freeze: upcoming || null
+  };
+}
+
+// Whether a plan is frozen on a date, given its embedded `freezes`
+function isFrozenOn(studentPlan, date) {
+  return (studentPlan.freezes || []).some(freeze =>
+    freeze.start_date <= date && freeze.end_date >= date
+  );
+}
+
+module.exports = {
+  PlanFreezeError,
+  freezePlan,
+  withFreezeState,
+  isFrozenOn
+};
@@ -0,0 +1,177 @@
+const { supabase } = require('../config/supabase');
+const { planLifecycle } = require('../config/policies');
+const { queueNotifications } = require('./notifications');
+const { localDate } = require('./sessions');
+
+const PLAN_NOTICE_QUERY = `
+  id,
+  student_id,
+  end_date,
+  remaining_credits,
+  is_unlimited,
+  plan:plans(
+    name
+  ),
+  student:students(
+    user_id
+  )
+`;
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+const formatCredits = credits => `${credits} ${credits === 1 ? 'credit' : 'credits'}`;
+
+// Move active plans past their end date to expired, forfeiting the credits
+// left on them with an expiry debit
+async function expirePlans({ today, dryRun }) {
+  if (dryRun) {
+    const { data: plans, error } = await supabase
+      .from('student_plans')
+      .select('id, remaining_credits, is_unlimited')
+      .eq('status', 'active')
+      .lt('end_date', today);
+
+    if (error) {
+      console.error('Error fetching plans to expire:', error);
+      throw new Error('Failed to fetch plans');
+    }
+
+    return (plans || []).map(plan => ({
+      student_plan_id: plan.id,
+      credits_forfeited: plan.is_unlimited ? 0 : Math.max(plan.remaining_credits, 0)
+    }));
+  }
+
+  const { data: expired, error } = await supabase.rpc('expire_student_plans', {
+    p_today: today
+  });
+
+  if (error) {
+    console.error('Error expiring plans:', error);
+    throw new Error('Failed to expire plans');
+  }
+
+  return expired || [];
+}
+
+// Active plans matching a query, with their student's user for notices
+async function fetchActivePlans(applyFilters) {
+  const { data: plans, error } = await applyFilters(
+    supabase
+      .from('student_plans')
+      .select(PLAN_NOTICE_QUERY)
+      .eq('status', 'active')
+  );
+
+  if (error) {
+    console.error('Error fetching plans for notices:', error);
+    throw new Error('Failed to fetch plans');
+  }
+
+  return plans || [];
+}
+
+// Warn customers about plans expiring within the notice window. A plan is
+// warned once per end date, so a freeze that moves the end date out gets a
+// fresh warning later.
+async function buildExpiryNotices(today) {
+  const plans = await fetchActivePlans(query => query
+    .gte('end_date', today)
+    .lte('end_date', addDays(today, planLifecycle.expiryNoticeDays)));
+
+  return plans.map(plan => {
+    const name = plan.plan?.name || 'Your plan';
+    const balance = plan.is_unlimited
+      ? ''
+      : ` You have ${formatCredits(plan.remaining_credits)} left, which will be forfeited if unused.`;
+
+    return {
+      userId: plan.student?.user_id,
+      studentId: plan.student_id,
+      type: 'plan_expiring',
+      subject: `${name} expires on ${plan.end_date}`,
+      body: `${name} expires on ${plan.end_date}.${balance}`,
+      data: {
+        student_plan_id: plan.id,
+        end_date: plan.end_date,
+        remaining_credits: plan.is_unlimited ? null : plan.remaining_credits
+      },
+      dedupeKey: `plan_expiring:${plan.id}:${plan.end_date}`
+    };
+  });
+}
+
+// Tell customers when a credit pack is running low. Each plan gets this
+// notice once.
+async function buildLowBalanceNotices(today) {
+  const plans = await fetchActivePlans(query => query
+    .eq('is_unlimited', false)
+    .gte('end_date', today)
+    .gt('remaining_credits', 0)
+    .lte('remaining_credits', planLifecycle.lowBalanceCredits));
+
+  return plans.map(plan => {
+    const name = plan.plan?.name || 'Your plan';
+
+    return {
+      userId: plan.student?.user_id,
+      studentId: plan.student_id,
+      type: 'plan_low_balance',
+      subject: `${formatCredits(plan.remaining_credits)} left on ${name}`,
+      body: `You have ${formatCredits(plan.remaining_credits)} left on ${name}, valid until ${plan.end_date}.`,
+      data: {
+        student_plan_id: plan.id,
+        remaining_credits: plan.remaining_credits,
+        end_date: plan.end_date
+      },
+      dedupeKey: `plan_low_balance:${plan.id}`
+    };
+  });
+}
+
+// Expire past-due plans, then queue expiry warnings and low-balance notices
+// (sent by the send-notifications job). Safe to run repeatedly: expired plans
+// are no longer active and notices are deduplicated. With dryRun nothing is
+// written and the notices that would be considered are counted instead.
+// Pass today (YYYY-MM-DD) to run the job as of another date; a future date
+// would expire plans early, so it is only allowed with dryRun.
+async function runPlanLifecycle({ today = localDate(), dryRun = false } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+    throw new Error('The date must be formatted as YYYY-MM-DD');
+  }
+
+  if (!dryRun && today > localDate()) {
+    throw new Error('A future date can only be used with --dry-run');
+  }
+
+  const expired = await expirePlans({ today, dryRun });
+  const expiryNotices = await buildExpiryNotices(today);
+  const lowBalanceNotices = await buildLowBalanceNotices(today);
+
+  const summary = {
+    today,
+    dry_run: dryRun,
+    plans_expired: expired.length,
+    credits_forfeited: expired.reduce((total, plan) => total + plan.credits_forfeited, 0),
+    expiry_notices: expiryNotices.length,
+    low_balance_notices: lowBalanceNotices.length
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  // Only newly queued notices are returned; already sent ones are skipped
+  summary.expiry_notices = (await queueNotifications(expiryNotices)).length;
+  summary.low_balance_notices = (await queueNotifications(lowBalanceNotices)).length;
+
+  return summary;
+}
+
+module.exports = {
+  runPlanLifecycle
+};
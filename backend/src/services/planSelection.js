@@ -0,0 +1,224 @@
+const { supabase } = require('../config/supabase');
+const { BookingError } = require('./bookings');
+const { isFrozenOn } = require('./planFreezes');
+const { getSessionCreditCost, checkEligibility } = require('./eligibility');
+const { localDate } = require('./sessions');
+
+// Plan selection policy for paying for a booking:
+//  1. A plan the customer picked explicitly is always honored, as long as it
+//     can pay for the session (active, unexpired, not frozen, eligible for
+//     the class, enough credits for its cost).
+//  2. Otherwise credit packs are used before unlimited plans, since unused
+//     pack credits are lost when the pack expires.
+//  3. Among credit packs, the one with the nearest end_date is used first;
+//     ties go to the pack with fewer credits left, then the oldest pack.
+//  4. Unlimited plans are used last, nearest end_date first.
+// Plans frozen on the session date or whose eligibility rules do not cover
+// the session are never chosen.
+
+const PLAN_SELECTION_QUERY = `
+  id,
+  start_date,
+  end_date,
+  remaining_credits,
+  is_unlimited,
+  status,
+  plan:plans(
+    id,
+    name,
+    credits,
+    eligibility
+  ),
+  freezes:plan_freezes(
+    start_date,
+    end_date
+  )
+`;
+
+// Order plans by the selection policy (rules 2-4 above)
+function comparePlans(a, b) {
+  if (a.is_unlimited !== b.is_unlimited) {
+    return a.is_unlimited ? 1 : -1;
+  }
+
+  return a.end_date.localeCompare(b.end_date) ||
+    (a.is_unlimited ? 0 : a.remaining_credits - b.remaining_credits) ||
+    a.start_date.localeCompare(b.start_date);
+}
+
+// Everything that stops a plan from paying for a session, most fundamental
+// first, as [{ code, reason }] with a BookingError code and a
+// customer-facing reason. An empty list means the plan can pay.
+function findPlanIssues(studentPlan, session, creditCost, today) {
+  const sessionDate = session?.session_date || today;
+  const issues = [];
+
+  if (studentPlan.status !== 'active' || studentPlan.end_date < today) {
+    issues.push({ code: 'PLAN_NOT_ACTIVE', reason: 'This plan is no longer active' });
+  }
+
+  if (isFrozenOn(studentPlan, sessionDate)) {
+    issues.push({ code: 'PLAN_FROZEN', reason: 'Frozen on the date of this session' });
+  }
+
+  for (const reason of checkEligibility(studentPlan.plan?.eligibility, session)) {
+    issues.push({ code: 'PLAN_NOT_ELIGIBLE', reason });
+  }
+
+  if (!studentPlan.is_unlimited && studentPlan.remaining_credits < creditCost) {
+    issues.push({
+      code: 'INSUFFICIENT_CREDITS',
+      reason: `Needs ${creditCost} ${creditCost === 1 ? 'credit' : 'credits'}, ${studentPlan.remaining_credits} left`
+    });
+  }
+
+  return issues;
+}
+
+function describePlan(studentPlan) {
+  const name = studentPlan.plan?.name || 'your plan';
+  return studentPlan.is_unlimited
+    ? `${name} (unlimited, valid until ${studentPlan.end_date})`
+    : `${name} (${studentPlan.remaining_credits} credits, expires ${studentPlan.end_date})`;
+}
+
+function describeCost(creditCost) {
+  return `${creditCost} ${creditCost === 1 ? 'credit' : 'credits'}`;
+}
+
+// Fetch a student's plans and check each against a session. Returns
+// { creditCost, options }, with one { studentPlan, issues } per plan and
+// the plans that can pay first, in selection order.
+async function evaluatePlans({ studentId, session = null, studentPlanId = null }) {
+  const today = localDate();
+  const creditCost = getSessionCreditCost(session);
+
+  let query = supabase
+    .from('student_plans')
+    .select(PLAN_SELECTION_QUERY)
+    .eq('student_id', studentId);
+
+  query = studentPlanId
+    ? query.eq('id', studentPlanId)
+    : query.eq('status', 'active').gte('end_date', today);
+
+  const { data: studentPlans, error } = await query;
+
+  if (error) {
+    console.error('Error fetching student plans:', error);
+    throw new Error('Failed to fetch user plans');
+  }
+
+  const options = (studentPlans || [])
+    .map(studentPlan => ({
+      studentPlan,
+      issues: findPlanIssues(studentPlan, session, creditCost, today)
+    }))
+    .sort((a, b) =>
+      (a.issues.length > 0) - (b.issues.length > 0) ||
+      comparePlans(a.studentPlan, b.studentPlan)
+    );
+
+  return { creditCost, options };
+}
+
+// Choose the plan that pays for a booking. Returns
+// { plan, reason, explanation, creditCost }, where reason is
+// 'selected_by_customer', 'soonest_expiring_credits' or 'unlimited_plan'.
+// If no plan can pay, plan is null, reason is 'no_usable_plan' and
+// `rejected` lists why each plan was passed over.
+// Throws a BookingError if the customer's explicit choice cannot be used.
+async function selectPlan({ studentId, session = null, studentPlanId = null }) {
+  const { creditCost, options } = await evaluatePlans({ studentId, session, studentPlanId });
+  const cost = describeCost(creditCost);
+
+  if (studentPlanId) {
+    const [selected] = options;
+
+    if (!selected) {
+      throw new BookingError('PLAN_NOT_FOUND');
+    }
+
+    if (selected.issues.length > 0) {
+      throw new BookingError(selected.issues[0].code, {
+        reasons: selected.issues.map(issue => issue.reason)
+      });
+    }
+
+    return {
+      plan: selected.studentPlan,
+      reason: 'selected_by_customer',
+      creditCost,
+      explanation: `Used ${describePlan(selected.studentPlan)} for this ${cost} class because you selected it`
+    };
+  }
+
+  const usable = options.filter(option => option.issues.length === 0);
+
+  if (usable.length === 0) {
+    const rejected = options.map(({ studentPlan, issues }) => ({
+      student_plan_id: studentPlan.id,
+      plan_name: studentPlan.plan?.name,
+      reasons: issues.map(issue => issue.reason)
+    }));
+
+    return {
+      plan: null,
+      reason: 'no_usable_plan',
+      creditCost,
+      rejected,
+      explanation: rejected.length === 0
+        ? 'You need to purchase a class pack to book sessions'
+        : `None of your plans can be used for this ${cost} class: ` +
+          rejected.map(plan => `${plan.plan_name || 'plan'} (${plan.reasons.join('; ')})`).join(', ')
+    };
+  }
+
+  const best = usable[0].studentPlan;
+
+  return best.is_unlimited
+    ? {
+      plan: best,
+      reason: 'unlimited_plan',
+      creditCost,
+      explanation: `Used ${describePlan(best)} because you have no credit packs available for this session`
+    }
+    : {
+      plan: best,
+      reason: 'soonest_expiring_credits',
+      creditCost,
+      explanation: `Used ${cost} from ${describePlan(best)} because its credits expire soonest`
+    };
+}
+
+// Find the plan the policy would use for a session, or null if none can pay
+async function findAvailablePlan(studentId, session = null) {
+  const selection = await selectPlan({ studentId, session });
+  return selection.plan;
+}
+
+// Every active plan of a student with whether it can pay for a session and
+// why not, for the booking screen to show before the customer picks one
+async function listPlanOptions({ studentId, session }) {
+  const { creditCost, options } = await evaluatePlans({ studentId, session });
+
+  return {
+    credit_cost: creditCost,
+    recommended_plan_id: options[0]?.issues.length === 0 ? options[0].studentPlan.id : null,
+    plans: options.map(({ studentPlan, issues }) => ({
+      student_plan_id: studentPlan.id,
+      plan_name: studentPlan.plan?.name,
+      is_unlimited: studentPlan.is_unlimited,
+      remaining_credits: studentPlan.remaining_credits,
+      end_date: studentPlan.end_date,
+      usable: issues.length === 0,
+      reasons: issues.map(issue => issue.reason)
+    }))
+  };
+}
+
+module.exports = {
+  selectPlan,
+  findAvailablePlan,
+  listPlanOptions
+};
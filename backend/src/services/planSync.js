@@ -0,0 +1,184 @@
+const { supabase } = require('../config/supabase');
+const { createShopifyClient } = require('./shopify');
+const { normalizeEligibility } = require('./eligibility');
+
+// Plan fields compared when diffing the catalog against the plans table
+const SYNCED_FIELDS = ['shopify_product_id', 'name', 'description', 'credits', 'duration_days', 'price', 'is_unlimited', 'is_active', 'eligibility'];
+
+const findMetafield = (owner, key) => owner.metafields?.find(m => m.key === key)?.value;
+
+// Whether a Shopify product is sold as a class plan
+function isClassPlanProduct(product) {
+  return Boolean(product.tags?.includes('class-plan') ||
+    product.product_type === 'Class Plan' ||
+    product.metafields?.some(m => m.key === 'is_class_plan'));
+}
+
+// Extract plan details from variant metafields, falling back to the title
+function extractPlanData(variant) {
+  const credits = parseInt(findMetafield(variant, 'credits')) ||
+                 parseInt(variant.title.match(/(\d+)/)?.[1]) || 10;
+  const durationDays = parseInt(findMetafield(variant, 'duration_days')) || 30;
+  const isUnlimited = findMetafield(variant, 'is_unlimited') === 'true' ||
+                     variant.title.toLowerCase().includes('unlimited');
+
+  return {
+    credits: isUnlimited ? 999 : credits,
+    duration_days: durationDays,
+    is_unlimited: isUnlimited,
+    price: parseFloat(variant.price),
+    // JSON rules limiting which classes the plan can book, see eligibility.js
+    eligibility: normalizeEligibility(findMetafield(variant, 'eligibility'))
+  };
+}
+
+// The plans row for one variant of a class plan product
+function buildPlanRow(product, variant) {
+  const planData = extractPlanData(variant);
+
+  return {
+    shopify_product_id: product.id.toString(),
+    shopify_variant_id: variant.id.toString(),
+    name: variant.title || product.title,
+    description: product.body_html?.replace(/<[^>]*>/g, '') || '', // Strip HTML
+    credits: planData.credits,
+    duration_days: planData.duration_days,
+    price: planData.price,
+    is_unlimited: planData.is_unlimited,
+    eligibility: planData.eligibility,
+    is_active: product.status === 'active'
+  };
+}
+
+// Fields of a plan that differ from the catalog, as { field: { from, to } }
+function diffPlan(existing, row) {
+  const changes = {};
+
+  for (const field of SYNCED_FIELDS) {
+    const from = existing[field];
+    const to = row[field];
+    let same;
+
+    if (field === 'eligibility') {
+      same = JSON.stringify(normalizeEligibility(from)) === JSON.stringify(to);
+    } else {
+      same = typeof to === 'number' ? Number(from) === to : (from ?? '') === to;
+    }
+
+    if (!same) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+// Sync the whole Shopify catalog into plans: create and update the plans of
+// every class plan variant, and deactivate plans whose variant was deleted or
+// whose product is no longer a class plan. Returns a diff report; with
+// dryRun nothing is written.
+async function syncProducts({ dryRun = false, client = createShopifyClient() } = {}) {
+  const products = await client.listProducts();
+
+  const rows = new Map();
+  const shopifyVariantIds = new Set();
+
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      shopifyVariantIds.add(variant.id.toString());
+
+      if (isClassPlanProduct(product)) {
+        rows.set(variant.id.toString(), buildPlanRow(product, variant));
+      }
+    }
+  }
+
+  const { data: plans, error } = await supabase
+    .from('plans')
+    .select(`id, shopify_variant_id, ${SYNCED_FIELDS.join(', ')}`)
+    .not('shopify_variant_id', 'is', null);
+
+  if (error) {
+    console.error('Error fetching plans:', error);
+    throw new Error('Failed to fetch plans');
+  }
+
+  const existingByVariant = new Map(plans.map(plan => [plan.shopify_variant_id, plan]));
+  const report = {
+    dry_run: dryRun,
+    products_scanned: products.length,
+    created: [],
+    updated: [],
+    deactivated: [],
+    unchanged: 0
+  };
+
+  for (const [variantId, row] of rows) {
+    const existing = existingByVariant.get(variantId);
+
+    if (!existing) {
+      report.created.push(row);
+      continue;
+    }
+
+    const changes = diffPlan(existing, row);
+
+    if (Object.keys(changes).length === 0) {
+      report.unchanged++;
+    } else {
+      report.updated.push({ plan_id: existing.id, shopify_variant_id: variantId, name: row.name, changes });
+    }
+  }
+
+  for (const plan of plans) {
+    if (plan.is_active && !rows.has(plan.shopify_variant_id)) {
+      report.deactivated.push({
+        plan_id: plan.id,
+        shopify_variant_id: plan.shopify_variant_id,
+        name: plan.name,
+        reason: shopifyVariantIds.has(plan.shopify_variant_id) ? 'not_class_plan' : 'variant_deleted'
+      });
+    }
+  }
+
+  if (dryRun) {
+    return report;
+  }
+
+  const upserts = [
+    ...report.created,
+    ...report.updated.map(update => rows.get(update.shopify_variant_id))
+  ].map(row => ({ ...row, updated_at: new Date().toISOString() }));
+
+  if (upserts.length > 0) {
+    const { error: upsertError } = await supabase
+      .from('plans')
+      .upsert(upserts, { onConflict: 'shopify_variant_id' });
+
+    if (upsertError) {
+      console.error('Error upserting plans:', upsertError);
+      throw new Error('Failed to save plans');
+    }
+  }
+
+  if (report.deactivated.length > 0) {
+    const { error: deactivateError } = await supabase
+      .from('plans')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .in('id', report.deactivated.map(plan => plan.plan_id));
+
+    if (deactivateError) {
+      console.error('Error deactivating plans:', deactivateError);
+      throw new Error('Failed to deactivate plans');
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  isClassPlanProduct,
+  extractPlanData,
+  buildPlanRow,
+  syncProducts
+};
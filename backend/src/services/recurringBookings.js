@@ -0,0 +1,272 @@
+const { supabase } = require('../config/supabase');
+const {
+  BookingError,
+  isBeforeBookingCutoff,
+  isBeforeCancellationCutoff,
+  createBooking,
+  cancelBooking
+} = require('./bookings');
+const { findAvailablePlan } = require('./planSelection');
+const { SESSION_RULES_FIELDS, getSessionCreditCost } = require('./eligibility');
+const { promoteFromWaitlist } = require('./waitlist');
+const { toDayIndex, localDate } = require('./sessions');
+
+// Record why a series could not book its latest session
+async function recordSeriesError(seriesId, message) {
+  await supabase
+    .from('recurring_bookings')
+    .update({
+      last_error: message,
+      last_error_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', seriesId);
+}
+
+// Book every upcoming scheduled session covered by active recurring bookings.
+// Safe to run repeatedly: sessions the student already has a booking for
+// (including ones they cancelled themselves) and skipped weeks are left alone.
+// Narrow the run with recurringBookingId or classId.
+async function fulfilRecurringBookings({ recurringBookingId, classId } = {}) {
+  const today = localDate();
+  const summary = { series: 0, booked: 0, skipped: 0, failed: 0 };
+
+  let seriesQuery = supabase
+    .from('recurring_bookings')
+    .select(`
+      id,
+      student_id,
+      class_id,
+      start_date,
+      end_date,
+      last_error,
+      skips:recurring_booking_skips(session_date)
+    `)
+    .eq('status', 'active');
+
+  if (recurringBookingId) {
+    seriesQuery = seriesQuery.eq('id', recurringBookingId);
+  }
+
+  if (classId) {
+    seriesQuery = seriesQuery.eq('class_id', classId);
+  }
+
+  const { data: seriesList, error: seriesError } = await seriesQuery;
+
+  if (seriesError) {
+    console.error('Error fetching recurring bookings:', seriesError);
+    throw new Error('Failed to fetch recurring bookings');
+  }
+
+  for (const series of seriesList || []) {
+    summary.series++;
+
+    const fromDate = series.start_date > today ? series.start_date : today;
+    let sessionsQuery = supabase
+      .from('sessions')
+      .select(`
+        id,
+        session_date,
+        session_time,
+        booking_cutoff_minutes,
+        status,
+        ${SESSION_RULES_FIELDS}
+      `)
+      .eq('class_id', series.class_id)
+      .eq('status', 'scheduled')
+      .gte('session_date', fromDate)
+      .order('session_date', { ascending: true });
+
+    if (series.end_date) {
+      sessionsQuery = sessionsQuery.lte('session_date', series.end_date);
+    }
+
+    const { data: sessions, error: sessionsError } = await sessionsQuery;
+
+    if (sessionsError) {
+      console.error(`Error fetching sessions for recurring booking ${series.id}:`, sessionsError);
+      summary.failed++;
+      continue;
+    }
+
+    if (!sessions || sessions.length === 0) {
+      continue;
+    }
+
+    const { data: existingBookings } = await supabase
+      .from('bookings')
+      .select('session_id')
+      .eq('student_id', series.student_id)
+      .in('session_id', sessions.map(session => session.id));
+
+    const bookedSessionIds = new Set((existingBookings || []).map(booking => booking.session_id));
+    const skippedDates = new Set((series.skips || []).map(skip => skip.session_date));
+    let seriesError = null;
+
+    for (const session of sessions) {
+      if (skippedDates.has(session.session_date)) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (bookedSessionIds.has(session.id) || !isBeforeBookingCutoff(session)) {
+        continue;
+      }
+
+      const availablePlan = await findAvailablePlan(series.student_id, session);
+
+      if (!availablePlan) {
+        seriesError = `No credits available to book ${session.session_date}`;
+        summary.failed++;
+        break;
+      }
+
+      try {
+        await createBooking({
+          studentId: series.student_id,
+          session,
+          studentPlanId: availablePlan.id,
+          creditCost: getSessionCreditCost(session),
+          recurringBookingId: series.id
+        });
+
+        summary.booked++;
+      } catch (error) {
+        if (!(error instanceof BookingError)) {
+          throw error;
+        }
+
+        seriesError = `Could not book ${session.session_date}: ${error.message}`;
+        summary.failed++;
+      }
+    }
+
+    if (seriesError) {
+      await recordSeriesError(series.id, seriesError);
+    } else if (series.last_error) {
+      await recordSeriesError(series.id, null);
+    }
+  }
+
+  return summary;
+}
+
+// Cancel a series booking if it is still inside the refund window and
+// pass the spot on to the waitlist. Returns the cancelled booking or null.
+async function releaseSeriesBooking(booking, reason) {
+  if (booking.status !== 'active' || !isBeforeCancellationCutoff(booking.session)) {
+    return null;
+  }
+
+  const cancelled = await cancelBooking({ bookingId: booking.id, reason });
+
+  try {
+    await promoteFromWaitlist(booking.session.id);
+  } catch (error) {
+    console.error('Error promoting from waitlist:', error);
+  }
+
+  return cancelled;
+}
+
+// Skip one week of a series, cancelling that week's booking if already made.
+// The series needs its class's day_of_week (series.class); a date the class
+// is not held on is refused with a BookingError.
+async function skipRecurringDate(series, sessionDate) {
+  if (new Date(`${sessionDate}T00:00:00Z`).getUTCDay() !== toDayIndex(series.class.day_of_week)) {
+    throw new BookingError('NOT_CLASS_DAY');
+  }
+
+  const { data: skip, error } = await supabase
+    .from('recurring_booking_skips')
+    .upsert({
+      recurring_booking_id: series.id,
+      session_date: sessionDate
+    }, {
+      onConflict: 'recurring_booking_id,session_date'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error skipping recurring booking date:', error);
+    throw new Error('Failed to skip date');
+  }
+
+  const { data: bookings } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      status,
+      session:sessions!inner(
+        id,
+        session_date,
+        session_time,
+        cancellation_cutoff_hours
+      )
+    `)
+    .eq('recurring_booking_id', series.id)
+    .eq('status', 'active')
+    .eq('session.session_date', sessionDate);
+
+  let cancelledBooking = null;
+  for (const booking of bookings || []) {
+    cancelledBooking = await releaseSeriesBooking(booking, 'Skipped week of recurring booking');
+  }
+
+  return { skip, cancelledBooking };
+}
+
+// End a series and cancel its future bookings that can still be refunded
+async function endRecurringBooking(series) {
+  const today = localDate();
+
+  const { data: ended, error } = await supabase
+    .from('recurring_bookings')
+    .update({
+      status: 'ended',
+      end_date: today,
+      ended_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', series.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error ending recurring booking:', error);
+    throw new Error('Failed to end recurring booking');
+  }
+
+  const { data: bookings } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      status,
+      session:sessions!inner(
+        id,
+        session_date,
+        session_time,
+        cancellation_cutoff_hours
+      )
+    `)
+    .eq('recurring_booking_id', series.id)
+    .eq('status', 'active')
+    .gte('session.session_date', today);
+
+  let cancelledCount = 0;
+  for (const booking of bookings || []) {
+    if (await releaseSeriesBooking(booking, 'Recurring booking ended')) {
+      cancelledCount++;
+    }
+  }
+
+  return { series: ended, cancelledCount };
+}
+
+module.exports = {
+  fulfilRecurringBookings,
+  skipRecurringDate,
+  endRecurringBooking
+};
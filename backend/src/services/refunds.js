@@ -0,0 +1,25 @@
+const { supabase } = require('../config/supabase');
+
+// Refund some units of a plan purchase: claws back the credits they granted,
+// cancelling future bookings only if the plan cannot cover the clawback.
+// Applying the same refundKey twice returns the first result.
+async function refundPurchase({ purchaseId, refundKey, quantity, amount = 0, shopifyRefundId = null }) {
+  const { data: refund, error } = await supabase.rpc('refund_plan_purchase', {
+    p_purchase_id: purchaseId,
+    p_refund_key: refundKey,
+    p_quantity: quantity,
+    p_amount: amount,
+    p_shopify_refund_id: shopifyRefundId
+  });
+
+  if (error) {
+    console.error('Error refunding plan purchase:', error);
+    throw new Error('Failed to refund plan purchase');
+  }
+
+  return refund;
+}
+
+module.exports = {
+  refundPurchase
+};
@@ -0,0 +1,181 @@
+const { supabase } = require('../config/supabase');
+const { fulfilRecurringBookings } = require('./recurringBookings');
+const { toDayIndex, localDate } = require('./sessions');
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Add days to a YYYY-MM-DD date string (UTC, so DST never shifts the date)
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Create sessions for every active class over a rolling window of weeks.
+// Dates in studio_closures are skipped, and a class never gets a second
+// session on the same date (enforced by a unique index, so concurrent runs
+// are safe), so reruns only fill in what is missing.
+// With dryRun the plan is returned without writing anything.
+async function generateSessions({ weeks = 4, fromDate, classId, dryRun = false } = {}) {
+  const startDate = fromDate || localDate();
+  const endDate = addDays(startDate, weeks * 7 - 1);
+
+  let classesQuery = supabase
+    .from('classes')
+    .select(`
+      id,
+      name,
+      day_of_week,
+      time,
+      duration_minutes,
+      capacity,
+      room_id,
+      instructor_id
+    `)
+    .eq('is_active', true);
+
+  if (classId) {
+    classesQuery = classesQuery.eq('id', classId);
+  }
+
+  const [classesResult, closuresResult] = await Promise.all([
+    classesQuery,
+    supabase
+      .from('studio_closures')
+      .select('closure_date, reason')
+      .gte('closure_date', startDate)
+      .lte('closure_date', endDate)
+  ]);
+
+  if (classesResult.error) {
+    console.error('Error fetching classes:', classesResult.error);
+    throw new Error('Failed to fetch classes');
+  }
+
+  if (closuresResult.error) {
+    console.error('Error fetching studio closures:', closuresResult.error);
+    throw new Error('Failed to fetch studio closures');
+  }
+
+  const classes = classesResult.data || [];
+  const closures = new Map((closuresResult.data || []).map(c => [c.closure_date, c.reason]));
+
+  const summary = {
+    from_date: startDate,
+    to_date: endDate,
+    dry_run: dryRun,
+    created: [],
+    existing: 0,
+    skipped_closures: [],
+    invalid_classes: []
+  };
+
+  if (classes.length === 0) {
+    return summary;
+  }
+
+  const existingKeys = new Set();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: existingSessions, error: existingError } = await supabase
+      .from('sessions')
+      .select('class_id, session_date')
+      .in('class_id', classes.map(c => c.id))
+      .gte('session_date', startDate)
+      .lte('session_date', endDate)
+      .order('session_date', { ascending: true })
+      .order('class_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (existingError) {
+      console.error('Error fetching existing sessions:', existingError);
+      throw new Error('Failed to fetch existing sessions');
+    }
+
+    (existingSessions || []).forEach(session => existingKeys.add(`${session.class_id}:${session.session_date}`));
+
+    if (!existingSessions || existingSessions.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const newSessions = [];
+  for (const classData of classes) {
+    const dayIndex = toDayIndex(classData.day_of_week);
+
+    if (dayIndex < 0 || dayIndex > 6 || !classData.time) {
+      summary.invalid_classes.push({ class_id: classData.id, name: classData.name });
+      continue;
+    }
+
+    for (let offset = 0; offset < weeks * 7; offset++) {
+      const sessionDate = addDays(startDate, offset);
+
+      if (new Date(`${sessionDate}T00:00:00Z`).getUTCDay() !== dayIndex) {
+        continue;
+      }
+
+      if (closures.has(sessionDate)) {
+        summary.skipped_closures.push({
+          class_id: classData.id,
+          session_date: sessionDate,
+          reason: closures.get(sessionDate)
+        });
+        continue;
+      }
+
+      if (existingKeys.has(`${classData.id}:${sessionDate}`)) {
+        summary.existing++;
+        continue;
+      }
+
+      newSessions.push({
+        class_id: classData.id,
+        instructor_id: classData.instructor_id,
+        room_id: classData.room_id,
+        session_date: sessionDate,
+        session_time: classData.time,
+        duration_minutes: classData.duration_minutes,
+        capacity: classData.capacity,
+        status: 'scheduled'
+      });
+    }
+  }
+
+  if (dryRun || newSessions.length === 0) {
+    summary.created = newSessions;
+    return summary;
+  }
+
+  // Another run may have created some of the sessions since they were
+  // checked; the unique (class_id, session_date) index skips those
+  const { data: created, error: insertError } = await supabase
+    .from('sessions')
+    .upsert(newSessions, { onConflict: 'class_id,session_date', ignoreDuplicates: true })
+    .select('id, class_id, session_date, session_time');
+
+  if (insertError) {
+    console.error('Error creating sessions:', insertError);
+    throw new Error('Failed to create sessions');
+  }
+
+  summary.created = created || [];
+  summary.existing += newSessions.length - summary.created.length;
+
+  // Book standing reservations into the new sessions
+  const classIds = [...new Set(summary.created.map(session => session.class_id))];
+  for (const id of classIds) {
+    try {
+      await fulfilRecurringBookings({ classId: id });
+    } catch (error) {
+      console.error(`Error fulfilling recurring bookings for class ${id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  generateSessions
+};
@@ -0,0 +1,102 @@
+const { supabase } = require('../config/supabase');
+const { toBookingError } = require('./bookings');
+const { queueNotifications } = require('./notifications');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Normalize classes.day_of_week (0-6 with Sunday = 0, or a day name) to 0-6
+function toDayIndex(dayOfWeek) {
+  if (typeof dayOfWeek === 'number') {
+    return dayOfWeek;
+  }
+
+  const name = String(dayOfWeek).trim().toLowerCase();
+  return /^\d$/.test(name) ? parseInt(name) : DAY_NAMES.indexOf(name);
+}
+
+// Session dates and times are the studio's local time, which is the server's
+// time zone (sessions start at new Date(`${date}T${time}`)), so the studio's
+// today is the local date rather than the UTC one
+function localDate(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Cancel a whole session: every active booking is cancelled and refunded in
+// one transaction, then each affected student is sent a notice.
+async function cancelSession({ sessionId, reason }) {
+  const { data: cancelledBookings, error } = await supabase.rpc('cancel_session', {
+    p_session_id: sessionId,
+    p_reason: reason
+  });
+
+  if (error) {
+    throw toBookingError(error);
+  }
+
+  const { data: session } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      status,
+      cancellation_reason,
+      cancelled_at,
+      class:classes(
+        id,
+        name
+      )
+    `)
+    .eq('id', sessionId)
+    .single();
+
+  const bookings = cancelledBookings || [];
+  let notified = 0;
+
+  if (bookings.length > 0) {
+    const { data: students } = await supabase
+      .from('students')
+      .select('id, user_id')
+      .in('id', bookings.map(booking => booking.student_id));
+
+    const userIds = new Map((students || []).map(student => [student.id, student.user_id]));
+    const className = session?.class?.name || 'Your class';
+
+    try {
+      const queued = await queueNotifications(bookings.map(booking => ({
+        userId: userIds.get(booking.student_id),
+        studentId: booking.student_id,
+        type: 'session_cancelled',
+        subject: `${className} on ${session.session_date} has been cancelled`,
+        body: `${className} on ${session.session_date} at ${session.session_time} has been cancelled: ${reason}. ` +
+          (booking.credit_refunded
+            ? 'Your credit has been refunded to your plan.'
+            : 'Your booking has been cancelled.'),
+        data: {
+          session_id: sessionId,
+          booking_id: booking.id,
+          reason,
+          credit_refunded: booking.credit_refunded
+        },
+        dedupeKey: `session_cancelled:${booking.id}`
+      })));
+      notified = queued.length;
+    } catch (error) {
+      // The cancellation and refunds are already committed
+      console.error('Error queueing session cancellation notices:', error);
+    }
+  }
+
+  return {
+    session,
+    cancelledBookings: bookings,
+    notified
+  };
+}
+
+module.exports = {
+  toDayIndex,
+  localDate,
+  cancelSession
+};
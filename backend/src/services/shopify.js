@@ -0,0 +1,140 @@
+// Shopify Admin API client. Jobs and services take a client as an option so a
+// local mock ({ listProducts, getCustomer }) can stand in for Shopify in tests.
+
+const API_VERSION = '2024-07';
+const PRODUCTS_PAGE_SIZE = 50;
+
+const PRODUCTS_QUERY = `
+  query Products($cursor: String, $pageSize: Int!) {
+    products(first: $pageSize, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        legacyResourceId
+        title
+        descriptionHtml
+        productType
+        status
+        tags
+        metafields(first: 25) {
+          nodes { namespace key value }
+        }
+        variants(first: 100) {
+          nodes {
+            legacyResourceId
+            title
+            price
+            metafields(first: 25) {
+              nodes { namespace key value }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const CUSTOMER_QUERY = `
+  query Customer($id: ID!) {
+    customer(id: $id) {
+      legacyResourceId
+      email
+      firstName
+      lastName
+      phone
+    }
+  }
+`;
+
+// Convert a GraphQL product into the shape of a products/update webhook
+// payload, so webhook and sync code can share plan extraction
+function toWebhookProduct(node) {
+  return {
+    id: node.legacyResourceId,
+    title: node.title,
+    body_html: node.descriptionHtml,
+    product_type: node.productType,
+    status: node.status?.toLowerCase(),
+    tags: (node.tags || []).join(', '),
+    metafields: node.metafields?.nodes || [],
+    variants: (node.variants?.nodes || []).map(variant => ({
+      id: variant.legacyResourceId,
+      title: variant.title,
+      price: variant.price,
+      metafields: variant.metafields?.nodes || []
+    }))
+  };
+}
+
+function createShopifyClient({
+  shopDomain = process.env.SHOPIFY_SHOP_DOMAIN,
+  accessToken = process.env.SHOPIFY_ACCESS_TOKEN,
+  // Point at a local mock server instead of Shopify, e.g. http://localhost:4010
+  baseUrl = process.env.SHOPIFY_ADMIN_API_URL || `https://${shopDomain}`,
+  fetchImpl = fetch
+} = {}) {
+  async function graphql(query, variables) {
+    const response = await fetchImpl(`${baseUrl}/admin/api/${API_VERSION}/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || payload.errors) {
+      console.error('Shopify API error:', response.status, payload.errors);
+      throw new Error(`Shopify API request failed (${response.status})`);
+    }
+
+    return payload.data;
+  }
+
+  // Fetch every product in the catalog, following pagination cursors
+  async function listProducts() {
+    const products = [];
+    let cursor = null;
+
+    do {
+      const { products: page } = await graphql(PRODUCTS_QUERY, {
+        cursor,
+        pageSize: PRODUCTS_PAGE_SIZE
+      });
+
+      products.push(...page.nodes.map(toWebhookProduct));
+      cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return products;
+  }
+
+  // Fetch a customer by numeric ID, in the shape of a customers/update
+  // webhook payload. Returns null if the customer does not exist.
+  async function getCustomer(customerId) {
+    const { customer } = await graphql(CUSTOMER_QUERY, {
+      id: `gid://shopify/Customer/${customerId}`
+    });
+
+    return customer && {
+      id: customer.legacyResourceId,
+      email: customer.email,
+      first_name: customer.firstName,
+      last_name: customer.lastName,
+      phone: customer.phone
+    };
+  }
+
+  return {
+    listProducts,
+    getCustomer
+  };
+}
+
+module.exports = {
+  createShopifyClient
+};
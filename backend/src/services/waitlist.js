@@ -0,0 +1,165 @@
+const { supabase } = require('../config/supabase');
+const { BookingError, isBeforeBookingCutoff, createBooking } = require('./bookings');
+const { findAvailablePlan } = require('./planSelection');
+const { SESSION_RULES_FIELDS, getSessionCreditCost } = require('./eligibility');
+
+// Get a student's place in line for each session they are waiting on
+async function getStudentWaitlist(studentId) {
+  const { data: entries, error } = await supabase
+    .from('waitlist_positions')
+    .select(`
+      id,
+      session_id,
+      status,
+      position,
+      created_at,
+      session:sessions(
+        id,
+        session_date,
+        session_time,
+        duration_minutes,
+        spots_left,
+        status,
+        class:classes(
+          id,
+          name
+        )
+      )
+    `)
+    .eq('student_id', studentId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching waitlist:', error);
+    throw new Error('Failed to fetch waitlist');
+  }
+
+  return entries || [];
+}
+
+// Update the status of a waitlist entry
+async function updateEntry(entryId, updates) {
+  const { error } = await supabase
+    .from('waitlist_entries')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', entryId);
+
+  if (error) {
+    console.error('Error updating waitlist entry:', error);
+    throw new Error('Failed to update waitlist entry');
+  }
+}
+
+// Promote the first eligible student in line into a freed spot.
+// Entries whose student has no usable credits (or is already booked) are
+// skipped so the spot moves on to the next person. Returns the new booking,
+// or null when nobody could be promoted.
+async function promoteFromWaitlist(sessionId) {
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      session_date,
+      session_time,
+      spots_left,
+      booking_cutoff_minutes,
+      status,
+      ${SESSION_RULES_FIELDS}
+    `)
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError || !session) {
+    console.error('Error fetching session for waitlist promotion:', sessionError);
+    return null;
+  }
+
+  if (session.status !== 'scheduled' || session.spots_left <= 0) {
+    return null;
+  }
+
+  // Nobody is promoted into a session that can no longer be booked
+  if (!isBeforeBookingCutoff(session)) {
+    return null;
+  }
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('waitlist_entries')
+    .select('id, student_id')
+    .eq('session_id', sessionId)
+    .eq('status', 'waiting')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (entriesError) {
+    console.error('Error fetching waitlist entries:', entriesError);
+    return null;
+  }
+
+  for (const entry of entries || []) {
+    const { data: existingBooking } = await supabase
+      .from('bookings')
+      .select('id')
+      .eq('student_id', entry.student_id)
+      .eq('session_id', sessionId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (existingBooking) {
+      await updateEntry(entry.id, {
+        status: 'skipped',
+        status_reason: 'Already booked for this session'
+      });
+      continue;
+    }
+
+    const availablePlan = await findAvailablePlan(entry.student_id, session);
+
+    if (!availablePlan) {
+      await updateEntry(entry.id, {
+        status: 'skipped',
+        status_reason: 'No credits available at promotion time'
+      });
+      continue;
+    }
+
+    let booking;
+    try {
+      // Marks the entry as promoted in the same transaction as the booking
+      booking = await createBooking({
+        studentId: entry.student_id,
+        session,
+        studentPlanId: availablePlan.id,
+        creditCost: getSessionCreditCost(session),
+        waitlistEntryId: entry.id
+      });
+    } catch (error) {
+      if (!(error instanceof BookingError)) {
+        throw error;
+      }
+
+      // Someone else took the spot, or the session closed meanwhile
+      if (['SESSION_FULL', 'SESSION_NOT_AVAILABLE', 'SESSION_NOT_FOUND'].includes(error.code)) {
+        return null;
+      }
+
+      await updateEntry(entry.id, {
+        status: 'skipped',
+        status_reason: error.message
+      });
+      continue;
+    }
+
+    return booking;
+  }
+
+  return null;
+}
+
+module.exports = {
+  getStudentWaitlist,
+  promoteFromWaitlist
+};
@@ -0,0 +1,207 @@
+const { supabase } = require('../config/supabase');
+
+// A delivery still marked as processing after this long is assumed to have
+// crashed and may be picked up again by a retry
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Failed deliveries are retried after 1, 2, 4, ... minutes (at most 6 hours
+// apart) and parked as dead once they have been attempted this many times
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+function isStaleProcessing(event) {
+  return event.status === 'processing' &&
+    Date.now() - new Date(event.updated_at).getTime() > STALE_PROCESSING_MS;
+}
+
+// Whether a recorded delivery may be processed again
+function isRetryable(event) {
+  return event.status === 'failed' || event.status === 'dead' || isStaleProcessing(event);
+}
+
+// Claim a recorded delivery for another attempt. Returns the claimed event,
+// or null if it is not retryable or a concurrent attempt got there first.
+async function claimExistingEvent(existing) {
+  if (!isRetryable(existing)) {
+    return null;
+  }
+
+  const { data: claimed, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: existing.attempts + 1,
+      error: null,
+      next_attempt_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', existing.id)
+    .eq('status', existing.status)
+    .eq('updated_at', existing.updated_at)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error claiming webhook event:', error);
+    throw new Error('Failed to claim webhook event');
+  }
+
+  return claimed;
+}
+
+// Record a webhook delivery before processing it. Returns { event, duplicate }:
+// duplicate is true when this delivery ID was already processed (or is being
+// processed right now) and must be acknowledged without side effects.
+// Deliveries that previously failed are claimed again so retries can succeed.
+async function claimWebhookEvent({ webhookId, topic, shopDomain, payload }) {
+  const { data: inserted, error: insertError } = await supabase
+    .from('webhook_events')
+    .insert({
+      webhook_id: webhookId,
+      topic,
+      shop_domain: shopDomain || null,
+      payload,
+      status: 'processing'
+    })
+    .select()
+    .single();
+
+  if (!insertError) {
+    return { event: inserted, duplicate: false };
+  }
+
+  // Anything but a unique violation on webhook_id is a real failure
+  if (insertError.code !== '23505') {
+    console.error('Error recording webhook event:', insertError);
+    throw new Error('Failed to record webhook event');
+  }
+
+  const existing = await getWebhookEvent({ webhookId });
+
+  if (!existing) {
+    throw new Error('Failed to fetch webhook event');
+  }
+
+  const claimed = await claimExistingEvent(existing);
+
+  return claimed
+    ? { event: claimed, duplicate: false }
+    : { event: existing, duplicate: true };
+}
+
+// Fetch a recorded delivery by ID or by X-Shopify-Webhook-Id
+async function getWebhookEvent({ id, webhookId }) {
+  let query = supabase
+    .from('webhook_events')
+    .select('*');
+
+  query = id ? query.eq('id', id) : query.eq('webhook_id', webhookId);
+
+  const { data: event, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('Error fetching webhook event:', error);
+    throw new Error('Failed to fetch webhook event');
+  }
+
+  return event;
+}
+
+// Mark a claimed delivery as successfully processed
+async function markWebhookProcessed(eventId) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processed',
+      error: null,
+      next_attempt_at: null,
+      processed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', eventId);
+
+  if (error) {
+    console.error('Error marking webhook event processed:', error);
+  }
+}
+
+// Mark a claimed delivery as failed and schedule its next retry, or park it
+// as dead once it has used up its attempts
+async function markWebhookFailed(event, failure) {
+  const isDead = event.attempts >= MAX_ATTEMPTS;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (event.attempts - 1), RETRY_MAX_MS);
+
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: isDead ? 'dead' : 'failed',
+      error: failure?.message || String(failure),
+      next_attempt_at: isDead ? null : new Date(Date.now() + delay).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (error) {
+    console.error('Error marking webhook event failed:', error);
+  }
+}
+
+// Failed deliveries whose next retry is due, oldest first
+async function listDueWebhookEvents(limit = 50) {
+  const { data: events, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('status', 'failed')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching due webhook events:', error);
+    throw new Error('Failed to fetch webhook events');
+  }
+
+  return events || [];
+}
+
+// Deliveries that need attention: failed, dead, or stuck in processing.
+// Pass a status to only list one of them. Payloads are left out.
+async function listStuckWebhookEvents({ status, limit = 100 } = {}) {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS).toISOString();
+
+  let query = supabase
+    .from('webhook_events')
+    .select('id, webhook_id, topic, shop_domain, status, attempts, error, received_at, updated_at, next_attempt_at')
+    .order('received_at', { ascending: true })
+    .limit(limit);
+
+  if (status === 'processing') {
+    query = query.eq('status', 'processing').lt('updated_at', staleBefore);
+  } else if (status) {
+    query = query.eq('status', status);
+  } else {
+    query = query.or(`status.in.(failed,dead),and(status.eq.processing,updated_at.lt."${staleBefore}")`);
+  }
+
+  const { data: events, error } = await query;
+
+  if (error) {
+    console.error('Error fetching stuck webhook events:', error);
+    throw new Error('Failed to fetch webhook events');
+  }
+
+  return events || [];
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  isRetryable,
+  claimExistingEvent,
+  claimWebhookEvent,
+  getWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed,
+  listDueWebhookEvents,
+  listStuckWebhookEvents
+};
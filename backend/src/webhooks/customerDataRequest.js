@@ -0,0 +1,33 @@
+const { supabase } = require('../config/supabase');
+const { exportCustomerData, recordComplianceRequest } = require('../services/compliance');
+
+// GDPR: export everything we hold about a customer. The export is stored in
+// compliance_requests for the merchant to send on to the customer.
+async function handleCustomerDataRequest(payload, { topic }) {
+  const shopifyCustomerId = payload.customer?.id?.toString();
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('*')
+    .eq('shopify_customer_id', shopifyCustomerId)
+    .maybeSingle();
+
+  const request = await recordComplianceRequest({
+    topic,
+    shopDomain: payload.shop_domain,
+    shopifyCustomerId,
+    shopifyRequestId: payload.data_request?.id?.toString(),
+    userId: user?.id,
+    status: user ? 'completed' : 'customer_not_found',
+    exportData: user ? await exportCustomerData(user) : null
+  });
+
+  return user
+    ? `Customer data exported (request ${request.id})`
+    : 'Customer not found, nothing to export';
+}
+
+module.exports = {
+  topics: ['customers/data_request'],
+  handle: handleCustomerDataRequest
+};
@@ -0,0 +1,23 @@
+const { recordComplianceRequest, redactCustomer } = require('../services/compliance');
+
+// GDPR: anonymize a customer. Bookings, plans, purchases and credit
+// transactions are kept so ledger totals are unchanged.
+async function handleCustomerRedact(payload, { topic }) {
+  const shopifyCustomerId = payload.customer?.id?.toString();
+  const userId = await redactCustomer(shopifyCustomerId);
+
+  await recordComplianceRequest({
+    topic,
+    shopDomain: payload.shop_domain,
+    shopifyCustomerId,
+    userId,
+    status: userId ? 'completed' : 'customer_not_found'
+  });
+
+  return userId ? 'Customer redacted' : 'Customer not found, nothing to redact';
+}
+
+module.exports = {
+  topics: ['customers/redact'],
+  handle: handleCustomerRedact
+};
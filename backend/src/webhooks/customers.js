@@ -0,0 +1,29 @@
+const { supabase } = require('../config/supabase');
+
+// Update or create the user for a Shopify customer
+async function handleCustomer(customer) {
+  const { error } = await supabase
+    .from('users')
+    .upsert({
+      shopify_customer_id: customer.id.toString(),
+      email: customer.email,
+      first_name: customer.first_name || '',
+      last_name: customer.last_name || '',
+      phone_number: customer.phone || null,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'shopify_customer_id'
+    });
+
+  if (error) {
+    console.error('Error upserting customer:', error);
+    throw new Error('Error processing customer');
+  }
+
+  return 'Customer processed successfully';
+}
+
+module.exports = {
+  topics: ['customers/create', 'customers/update'],
+  handle: handleCustomer
+};
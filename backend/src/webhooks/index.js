@@ -0,0 +1,183 @@
+const {
+  isRetryable,
+  claimExistingEvent,
+  claimWebhookEvent,
+  getWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed,
+  listDueWebhookEvents
+} = require('../services/webhookEvents');
+
+// Webhook topic handlers. Each module exports the topics it handles and a
+// handle(payload, context) function that returns a short result message and
+// throws if the delivery should be retried. To support a new topic, add a
+// module here.
+const handlerModules = [
+  require('./customers'),
+  require('./orders'),
+  require('./orderCancellations'),
+  require('./refunds'),
+  require('./products'),
+  require('./customerDataRequest'),
+  require('./customerRedact'),
+  require('./shopRedact')
+];
+
+const handlers = new Map();
+
+// Register a handler module for each of its topics
+function registerWebhookHandler(handlerModule) {
+  for (const topic of handlerModule.topics) {
+    if (handlers.has(topic)) {
+      throw new Error(`Webhook topic ${topic} already has a handler`);
+    }
+
+    handlers.set(topic, handlerModule.handle);
+  }
+}
+
+handlerModules.forEach(registerWebhookHandler);
+
+// Topics with a registered handler
+function getWebhookTopics() {
+  return [...handlers.keys()];
+}
+
+// Run the handler for a claimed delivery and record the outcome. Failures are
+// kept with their error for retry.
+async function runClaimedEvent(event, handler) {
+  let result;
+  try {
+    result = await handler();
+  } catch (error) {
+    await markWebhookFailed(event, error);
+    throw error;
+  }
+
+  await markWebhookProcessed(event.id);
+  return result;
+}
+
+// Run a webhook handler at most once per delivery. Shopify sends the same
+// X-Shopify-Webhook-Id on every retry, so a delivery that was already
+// processed is acknowledged without running the handler again.
+// Returns { duplicate, result } with the handler's return value.
+async function processWebhookOnce({ webhookId, topic, shopDomain, payload }, handler) {
+  if (!webhookId) {
+    console.warn(`Webhook ${topic} received without X-Shopify-Webhook-Id; processing without deduplication`);
+    return { duplicate: false, result: await handler() };
+  }
+
+  const { event, duplicate } = await claimWebhookEvent({
+    webhookId,
+    topic,
+    shopDomain,
+    payload
+  });
+
+  if (duplicate) {
+    console.log(`Duplicate webhook ${webhookId} (${event.status}), skipping`);
+    return { duplicate: true };
+  }
+
+  return { duplicate: false, result: await runClaimedEvent(event, handler) };
+}
+
+// Dispatch a verified delivery to the handler registered for its topic.
+// Returns { handled, duplicate, message }; handled is false for topics
+// without a handler.
+async function dispatchWebhook({ webhookId, topic, shopDomain, payload }) {
+  const handler = handlers.get(topic);
+
+  if (!handler) {
+    return { handled: false, duplicate: false, message: 'Webhook topic not handled' };
+  }
+
+  const { duplicate, result } = await processWebhookOnce(
+    { webhookId, topic, shopDomain, payload },
+    () => handler(payload, { webhookId, topic, shopDomain })
+  );
+
+  return {
+    handled: true,
+    duplicate,
+    message: duplicate ? 'Webhook already processed' : result
+  };
+}
+
+// Process a stored delivery again from its saved payload. Returns
+// { status, message }; status is 'processed', 'failed' or 'skipped' (another
+// attempt claimed it first or it no longer needs processing).
+async function retryWebhookEvent(storedEvent) {
+  const event = await claimExistingEvent(storedEvent);
+
+  if (!event) {
+    return { status: 'skipped', message: 'Webhook event is not waiting for a retry' };
+  }
+
+  const handler = handlers.get(event.topic);
+
+  if (!handler || !event.payload) {
+    const error = new Error(handler
+      ? 'Webhook payload is no longer stored'
+      : `No handler registered for topic ${event.topic}`);
+    await markWebhookFailed(event, error);
+    return { status: 'failed', message: error.message };
+  }
+
+  try {
+    const message = await runClaimedEvent(event, () => handler(event.payload, {
+      webhookId: event.webhook_id,
+      topic: event.topic,
+      shopDomain: event.shop_domain
+    }));
+
+    return { status: 'processed', message };
+  } catch (error) {
+    console.error(`Retry of webhook ${event.webhook_id} failed:`, error);
+    return { status: 'failed', message: error.message };
+  }
+}
+
+// Retry failed deliveries whose backoff has elapsed
+async function retryDueWebhooks({ limit = 50 } = {}) {
+  const summary = { due: 0, processed: 0, failed: 0, skipped: 0 };
+  const events = await listDueWebhookEvents(limit);
+
+  for (const event of events) {
+    summary.due++;
+    const { status } = await retryWebhookEvent(event);
+    summary[status]++;
+  }
+
+  return summary;
+}
+
+// Replay one failed, dead or stuck delivery by hand. Returns null if the
+// event does not exist.
+async function replayWebhookEvent(eventId) {
+  const event = await getWebhookEvent({ id: eventId });
+
+  if (!event) {
+    return null;
+  }
+
+  if (!isRetryable(event)) {
+    return {
+      event_id: event.id,
+      status: 'skipped',
+      message: `Webhook event is ${event.status} and cannot be replayed`
+    };
+  }
+
+  const outcome = await retryWebhookEvent(event);
+  return { event_id: event.id, ...outcome };
+}
+
+module.exports = {
+  registerWebhookHandler,
+  getWebhookTopics,
+  dispatchWebhook,
+  retryDueWebhooks,
+  replayWebhookEvent
+};
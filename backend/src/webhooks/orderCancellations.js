@@ -0,0 +1,32 @@
+const { supabase } = require('../config/supabase');
+const { refundPurchase } = require('../services/refunds');
+
+// Take back every unit of the plans bought with a cancelled order. Units
+// already taken back by a refunds/create delivery are not clawed back twice,
+// and a later refund for the same units only records the refunded amount.
+async function handleOrderCancellation(order) {
+  const { data: purchases, error } = await supabase
+    .from('plan_purchases')
+    .select('id, quantity, refunded_quantity')
+    .eq('shopify_order_id', order.id.toString());
+
+  if (error) {
+    console.error('Error fetching purchases for cancelled order:', error);
+    throw new Error('Failed to fetch purchases');
+  }
+
+  for (const purchase of purchases || []) {
+    await refundPurchase({
+      purchaseId: purchase.id,
+      refundKey: `cancel:${purchase.id}`,
+      quantity: purchase.quantity - purchase.refunded_quantity
+    });
+  }
+
+  return 'Order cancellation processed successfully';
+}
+
+module.exports = {
+  topics: ['orders/cancelled'],
+  handle: handleOrderCancellation
+};
@@ -0,0 +1,201 @@
+const { supabase } = require('../config/supabase');
+const { localDate } = require('../services/sessions');
+
+// Helper function to find or create user from Shopify customer
+async function findOrCreateUser(shopifyCustomer) {
+  const { data: existingUser } = await supabase
+    .from('users')
+    .select('*')
+    .eq('shopify_customer_id', shopifyCustomer.id.toString())
+    .single();
+
+  if (existingUser) {
+    return existingUser;
+  }
+
+  const { data: newUser, error } = await supabase
+    .from('users')
+    .insert({
+      shopify_customer_id: shopifyCustomer.id.toString(),
+      email: shopifyCustomer.email,
+      first_name: shopifyCustomer.first_name || '',
+      last_name: shopifyCustomer.last_name || '',
+      phone_number: shopifyCustomer.phone || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating user:', error);
+    throw new Error('Failed to create user');
+  }
+
+  return newUser;
+}
+
+// Helper function to find plan by Shopify product/variant ID
+async function findPlanByShopifyId(productId, variantId = null) {
+  let query = supabase
+    .from('plans')
+    .select('*')
+    .eq('shopify_product_id', productId.toString());
+
+  if (variantId) {
+    query = query.eq('shopify_variant_id', variantId.toString());
+  }
+
+  const { data: plan } = await query.single();
+  return plan;
+}
+
+// Helper function to create student plan from purchase.
+// Returns the existing plan if one was already created for the purchase.
+async function createStudentPlan(purchase, student, plan) {
+  const startDate = new Date();
+  const endDate = new Date(startDate.getTime() + (plan.duration_days * 24 * 60 * 60 * 1000));
+
+  const { data: studentPlan, error } = await supabase
+    .from('student_plans')
+    .insert({
+      student_id: student.id,
+      plan_id: plan.id,
+      purchase_id: purchase.id,
+      start_date: localDate(startDate),
+      end_date: localDate(endDate),
+      initial_credits: plan.credits * purchase.quantity,
+      remaining_credits: plan.credits * purchase.quantity,
+      is_unlimited: plan.is_unlimited,
+      status: 'active'
+    })
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    const { data: existingPlan, error: fetchError } = await supabase
+      .from('student_plans')
+      .select('*')
+      .eq('purchase_id', purchase.id)
+      .single();
+
+    if (!fetchError && existingPlan) {
+      return { studentPlan: existingPlan, created: false };
+    }
+  }
+
+  if (error) {
+    console.error('Error creating student plan:', error);
+    throw new Error('Failed to create student plan');
+  }
+
+  return { studentPlan, created: true };
+}
+
+// Record the purchase of one order line item. A line item is only ever
+// recorded once, however many deliveries or topics mention its order.
+async function findOrCreatePurchase(order, lineItem, user, student, plan) {
+  const { data: purchase, error } = await supabase
+    .from('plan_purchases')
+    .insert({
+      shopify_order_id: order.id.toString(),
+      shopify_order_number: order.order_number?.toString(),
+      shopify_line_item_id: lineItem.id.toString(),
+      user_id: user.id,
+      student_id: student.id,
+      plan_id: plan.id,
+      quantity: lineItem.quantity,
+      total_paid: parseFloat(lineItem.price) * lineItem.quantity,
+      purchased_at: new Date(order.created_at).toISOString(),
+      metadata: {
+        order_name: order.name,
+        line_item_id: lineItem.id,
+        variant_title: lineItem.variant_title,
+        product_title: lineItem.title
+      }
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return purchase;
+  }
+
+  if (error.code !== '23505') {
+    console.error('Error creating purchase:', error);
+    throw new Error('Failed to create purchase');
+  }
+
+  const { data: existingPurchase, error: fetchError } = await supabase
+    .from('plan_purchases')
+    .select('*')
+    .eq('shopify_line_item_id', lineItem.id.toString())
+    .single();
+
+  if (fetchError || !existingPurchase) {
+    console.error('Error fetching existing purchase:', fetchError);
+    throw new Error('Failed to fetch purchase');
+  }
+
+  return existingPurchase;
+}
+
+// Grant plans for the class plan line items of an order.
+// orders/create and orders/paid both arrive for the same order; each line
+// item still only produces one purchase and one student plan.
+async function handleOrder(order) {
+  // Find or create user
+  const user = await findOrCreateUser(order.customer);
+
+  // Find or create student profile
+  let { data: student } = await supabase
+    .from('students')
+    .select('*')
+    .eq('user_id', user.id)
+    .single();
+
+  if (!student) {
+    const { data: newStudent, error } = await supabase
+      .from('students')
+      .insert({
+        user_id: user.id,
+        full_name: `${user.first_name} ${user.last_name}`.trim(),
+        birthdate: null, // Asked for when the student completes their profile
+        phone_number: user.phone_number
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating student:', error);
+      throw new Error('Error creating student profile');
+    }
+    student = newStudent;
+  }
+
+  // Process each line item that represents a class plan
+  for (const lineItem of order.line_items) {
+    const plan = await findPlanByShopifyId(lineItem.product_id, lineItem.variant_id);
+
+    if (!plan) {
+      console.log(`No plan found for product ${lineItem.product_id}, skipping...`);
+      continue;
+    }
+
+    const purchase = await findOrCreatePurchase(order, lineItem, user, student, plan);
+
+    // Create student plan (active credit balance) unless an earlier
+    // delivery already did
+    const { studentPlan, created } = await createStudentPlan(purchase, student, plan);
+
+    if (created) {
+      console.log(`Created student plan ${studentPlan.id} for purchase ${purchase.id}`);
+    }
+  }
+
+  return 'Order processed successfully';
+}
+
+module.exports = {
+  topics: ['orders/create', 'orders/paid'],
+  handle: handleOrder
+};
@@ -0,0 +1,33 @@
+const { supabase } = require('../config/supabase');
+const { isClassPlanProduct, buildPlanRow } = require('../services/planSync');
+
+// Sync the variants of a class plan product into plans
+async function handleProduct(product) {
+  if (!isClassPlanProduct(product)) {
+    return 'Product is not a class plan, skipping';
+  }
+
+  // Update or create plans for each variant
+  for (const variant of product.variants) {
+    const { error } = await supabase
+      .from('plans')
+      .upsert({
+        ...buildPlanRow(product, variant),
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'shopify_variant_id'
+      });
+
+    if (error) {
+      console.error('Error upserting plan:', error);
+      throw new Error('Error syncing product plans');
+    }
+  }
+
+  return 'Product updated successfully';
+}
+
+module.exports = {
+  topics: ['products/create', 'products/update'],
+  handle: handleProduct
+};
@@ -0,0 +1,45 @@
+const { supabase } = require('../config/supabase');
+const { refundPurchase } = require('../services/refunds');
+
+// Apply a (possibly partial) refund to the plan purchases of its line items.
+// Line items that are not class plans have no purchase and are skipped.
+async function handleRefund(refund) {
+  let refundedItems = 0;
+
+  for (const refundLineItem of refund.refund_line_items || []) {
+    const { data: purchase, error } = await supabase
+      .from('plan_purchases')
+      .select('id')
+      .eq('shopify_line_item_id', refundLineItem.line_item_id.toString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching purchase for refund:', error);
+      throw new Error('Failed to fetch purchase');
+    }
+
+    if (!purchase) {
+      continue;
+    }
+
+    const result = await refundPurchase({
+      purchaseId: purchase.id,
+      refundKey: refundLineItem.id.toString(),
+      quantity: refundLineItem.quantity,
+      amount: parseFloat(refundLineItem.subtotal) || 0,
+      shopifyRefundId: refund.id.toString()
+    });
+
+    console.log(`Refund ${refund.id}: clawed back ${result.credits_clawed_back} credits from purchase ${purchase.id}`);
+    refundedItems++;
+  }
+
+  return refundedItems > 0
+    ? `Refund applied to ${refundedItems} plan purchase(s)`
+    : 'Refund has no class plan line items, skipping';
+}
+
+module.exports = {
+  topics: ['refunds/create'],
+  handle: handleRefund
+};
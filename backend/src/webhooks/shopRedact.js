@@ -0,0 +1,25 @@
+const { recordComplianceRequest, purgeCustomerData } = require('../services/compliance');
+
+// GDPR: purge all customer data 48 hours after the app is uninstalled.
+// This API serves a single shop, so deliveries for other shops are ignored.
+async function handleShopRedact(payload, { topic }) {
+  if (payload.shop_domain !== process.env.SHOPIFY_SHOP_DOMAIN) {
+    console.warn(`Ignoring shop/redact for unknown shop ${payload.shop_domain}`);
+    return 'Shop not found, nothing to redact';
+  }
+
+  const deletedUsers = await purgeCustomerData();
+
+  await recordComplianceRequest({
+    topic,
+    shopDomain: payload.shop_domain,
+    status: 'completed'
+  });
+
+  return `Shop data purged (${deletedUsers} customers)`;
+}
+
+module.exports = {
+  topics: ['shop/redact'],
+  handle: handleShopRedact
+};
@@ -0,0 +1,35 @@
+-- Waitlist for full sessions
+-- Customers queue for a session that has no spots left. When an active booking
+-- is cancelled the oldest waiting entry is promoted to a booking.
+
+create table if not exists public.waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references public.sessions(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'promoted', 'skipped', 'left')),
+  booking_id uuid references public.bookings(id) on delete set null,
+  status_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A student can only hold one place in line per session
+create unique index if not exists waitlist_entries_one_waiting_per_student
+  on public.waitlist_entries (session_id, student_id)
+  where status = 'waiting';
+
+create index if not exists waitlist_entries_queue_idx
+  on public.waitlist_entries (session_id, created_at)
+  where status = 'waiting';
+
+-- Live queue positions (1 = next in line)
+create or replace view public.waitlist_positions as
+select
+  we.*,
+  row_number() over (
+    partition by we.session_id
+    order by we.created_at, we.id
+  ) as position
+from public.waitlist_entries we
+where we.status = 'waiting';
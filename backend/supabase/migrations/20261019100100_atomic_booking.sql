@@ -0,0 +1,180 @@
+-- Atomic booking and cancellation
+-- Booking, capacity check and credit debit (and cancellation plus refund) run
+-- in a single transaction. The session row is locked first so concurrent
+-- requests for the same session are serialized and cannot oversell it.
+--
+-- Errors are raised with a stable code as the message (e.g. SESSION_FULL) so
+-- the API can map them to HTTP responses.
+--
+-- Capacity is enforced by counting active bookings rather than with a table
+-- constraint: some historical sessions are already over capacity and must
+-- stay valid, they simply cannot take further bookings.
+
+create or replace function public.book_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_student_plan_id uuid,
+  p_credit_cost integer default 1,
+  p_waitlist_entry_id uuid default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_active_count integer;
+  v_booking public.bookings%rowtype;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  if exists (
+    select 1 from public.bookings
+    where session_id = p_session_id
+      and student_id = p_student_id
+      and status = 'active'
+  ) then
+    raise exception 'ALREADY_BOOKED';
+  end if;
+
+  select count(*) into v_active_count
+  from public.bookings
+  where session_id = p_session_id
+    and status = 'active';
+
+  if v_active_count >= v_session.capacity then
+    raise exception 'SESSION_FULL';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+    and student_id = p_student_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if not v_plan.is_unlimited and v_plan.remaining_credits < p_credit_cost then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.bookings (student_id, session_id, student_plan_id, status)
+  values (p_student_id, p_session_id, p_student_plan_id, 'active')
+  returning * into v_booking;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => 'debit',
+    p_amount => p_credit_cost,
+    p_reference_id => v_booking.id,
+    p_reference_type => 'booking',
+    p_description => format('Booked session: %s at %s', v_session.session_date, v_session.session_time)
+  );
+
+  if p_waitlist_entry_id is not null then
+    update public.waitlist_entries
+    set status = 'promoted',
+        booking_id = v_booking.id,
+        status_reason = null,
+        updated_at = now()
+    where id = p_waitlist_entry_id
+      and status = 'waiting';
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+-- Cancels an active booking and refunds exactly what was debited for it.
+-- Bookings that were never charged (legacy free bookings) are cancelled
+-- without a refund. Pass p_student_id to restrict to the owner's bookings.
+create or replace function public.cancel_booking(
+  p_booking_id uuid,
+  p_student_id uuid default null,
+  p_reason text default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session_id uuid;
+  v_session public.sessions%rowtype;
+  v_booking public.bookings%rowtype;
+  v_charged integer;
+begin
+  select session_id into v_session_id
+  from public.bookings
+  where id = p_booking_id
+    and (p_student_id is null or student_id = p_student_id);
+
+  if not found then
+    raise exception 'BOOKING_NOT_FOUND';
+  end if;
+
+  -- Lock the session before the booking, matching book_session's lock order
+  select * into v_session
+  from public.sessions
+  where id = v_session_id
+  for update;
+
+  select * into v_booking
+  from public.bookings
+  where id = p_booking_id
+  for update;
+
+  if v_booking.status <> 'active' then
+    raise exception 'BOOKING_NOT_ACTIVE';
+  end if;
+
+  select coalesce(sum(case when transaction_type = 'debit' then amount else -amount end), 0)
+  into v_charged
+  from public.credit_transactions
+  where reference_id = p_booking_id
+    and reference_type in ('booking', 'cancellation');
+
+  if v_charged > 0 then
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_booking.student_plan_id,
+      p_transaction_type => 'credit',
+      p_amount => v_charged,
+      p_reference_id => v_booking.id,
+      p_reference_type => 'cancellation',
+      p_description => format('Cancelled session: %s at %s', v_session.session_date, v_session.session_time)
+    );
+  end if;
+
+  update public.bookings
+  set status = 'cancelled',
+      cancelled_at = now(),
+      cancellation_reason = coalesce(p_reason, 'Cancelled by user'),
+      credit_refunded = v_charged > 0
+  where id = p_booking_id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+revoke execute on function public.book_session(uuid, uuid, uuid, integer, uuid) from public, anon, authenticated;
+revoke execute on function public.cancel_booking(uuid, uuid, text) from public, anon, authenticated;
@@ -0,0 +1,40 @@
+-- Recurring bookings
+-- A standing reservation for a weekly class. Each scheduled session of the
+-- class is booked for the student automatically unless that week is skipped.
+
+create table if not exists public.recurring_bookings (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.students(id) on delete cascade,
+  class_id uuid not null references public.classes(id) on delete cascade,
+  status text not null default 'active'
+    check (status in ('active', 'ended')),
+  start_date date not null default current_date,
+  end_date date,
+  last_error text,
+  last_error_at timestamptz,
+  ended_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists recurring_bookings_one_active_per_class
+  on public.recurring_bookings (student_id, class_id)
+  where status = 'active';
+
+-- Individual weeks the student opted out of
+create table if not exists public.recurring_booking_skips (
+  id uuid primary key default gen_random_uuid(),
+  recurring_booking_id uuid not null references public.recurring_bookings(id) on delete cascade,
+  session_date date not null,
+  created_at timestamptz not null default now(),
+  unique (recurring_booking_id, session_date)
+);
+
+-- Bookings made on behalf of a series
+alter table public.bookings
+  add column if not exists recurring_booking_id uuid
+    references public.recurring_bookings(id) on delete set null;
+
+create index if not exists bookings_recurring_booking_idx
+  on public.bookings (recurring_booking_id)
+  where recurring_booking_id is not null;
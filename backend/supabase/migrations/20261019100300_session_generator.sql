@@ -0,0 +1,21 @@
+-- Session generator
+-- Sessions are materialized from the weekly classes schedule. Closure dates
+-- (public holidays, studio closures) are never generated.
+
+create table if not exists public.studio_closures (
+  id uuid primary key default gen_random_uuid(),
+  closure_date date not null unique,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Room and instructor are copied from the class onto each generated session
+alter table public.classes
+  add column if not exists instructor_id uuid references public.instructors(id),
+  add column if not exists is_active boolean not null default true;
+
+alter table public.sessions
+  add column if not exists room_id uuid references public.rooms(id);
+
+create index if not exists sessions_class_date_idx
+  on public.sessions (class_id, session_date);
@@ -0,0 +1,85 @@
+-- Admin cancellation of a whole session
+-- Every active booking is cancelled and refunded through cancel_booking (and
+-- so create_credit_transaction) in the same transaction as the status change.
+
+alter table public.sessions
+  add column if not exists cancellation_reason text,
+  add column if not exists cancelled_at timestamptz;
+
+-- Outgoing customer notifications, delivered by a separate worker
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references public.users(id) on delete cascade,
+  student_id uuid references public.students(id) on delete cascade,
+  type text not null,
+  subject text not null,
+  body text not null,
+  data jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'sent', 'failed')),
+  -- Optional key that stops the same notice from being queued twice
+  dedupe_key text unique,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists notifications_queued_idx
+  on public.notifications (created_at)
+  where status = 'queued';
+
+create or replace function public.cancel_session(
+  p_session_id uuid,
+  p_reason text
+)
+returns setof public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_booking_id uuid;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  update public.sessions
+  set status = 'cancelled',
+      cancellation_reason = p_reason,
+      cancelled_at = now()
+  where id = p_session_id;
+
+  -- Nobody can be promoted into a cancelled session
+  update public.waitlist_entries
+  set status = 'skipped',
+      status_reason = 'Session cancelled',
+      updated_at = now()
+  where session_id = p_session_id
+    and status = 'waiting';
+
+  for v_booking_id in
+    select id from public.bookings
+    where session_id = p_session_id
+      and status = 'active'
+  loop
+    return next public.cancel_booking(
+      p_booking_id => v_booking_id,
+      p_reason => format('Session cancelled: %s', p_reason)
+    );
+  end loop;
+
+  return;
+end;
+$$;
+
+revoke execute on function public.cancel_session(uuid, text) from public, anon, authenticated;
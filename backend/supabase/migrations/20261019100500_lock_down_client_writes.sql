@@ -0,0 +1,31 @@
+-- Lock down direct client access
+-- The customer account extension now goes through the backend API, which
+-- uses the service role key. The anon/authenticated roles can no longer write
+-- customer data or move credits directly.
+
+alter table public.users enable row level security;
+alter table public.students enable row level security;
+alter table public.student_plans enable row level security;
+alter table public.plan_purchases enable row level security;
+alter table public.bookings enable row level security;
+alter table public.credit_transactions enable row level security;
+alter table public.waitlist_entries enable row level security;
+alter table public.recurring_bookings enable row level security;
+alter table public.recurring_booking_skips enable row level security;
+alter table public.notifications enable row level security;
+
+revoke insert, update, delete on
+  public.users,
+  public.students,
+  public.student_plans,
+  public.plan_purchases,
+  public.bookings,
+  public.credit_transactions,
+  public.waitlist_entries,
+  public.recurring_bookings,
+  public.recurring_booking_skips,
+  public.notifications,
+  public.sessions
+from anon, authenticated;
+
+revoke execute on function public.create_credit_transaction from public, anon, authenticated;
@@ -0,0 +1,53 @@
+-- Idempotent webhook processing
+-- Shopify retries deliveries and sends several topics for one order, so every
+-- delivery is recorded by its X-Shopify-Webhook-Id and each order line item
+-- may only ever produce one purchase and one student plan.
+
+create table if not exists public.webhook_events (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id text not null unique,
+  topic text not null,
+  shop_domain text,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed')),
+  attempts integer not null default 1,
+  error text,
+  payload jsonb,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists webhook_events_failed_idx
+  on public.webhook_events (received_at)
+  where status = 'failed';
+
+alter table public.webhook_events enable row level security;
+revoke all on public.webhook_events from anon, authenticated;
+
+alter table public.plan_purchases
+  add column if not exists shopify_line_item_id text;
+
+-- Backfill from the metadata written by earlier versions. Only the first
+-- purchase of a line item is linked; later duplicates keep a null ID.
+update public.plan_purchases p
+set shopify_line_item_id = first_purchase.line_item_id
+from (
+  select distinct on (metadata->>'line_item_id')
+    id,
+    metadata->>'line_item_id' as line_item_id
+  from public.plan_purchases
+  where metadata->>'line_item_id' is not null
+  order by metadata->>'line_item_id', purchased_at, id
+) first_purchase
+where p.id = first_purchase.id
+  and p.shopify_line_item_id is null;
+
+create unique index if not exists plan_purchases_line_item_unique
+  on public.plan_purchases (shopify_line_item_id)
+  where shopify_line_item_id is not null;
+
+-- One credit balance per purchase
+create unique index if not exists student_plans_purchase_unique
+  on public.student_plans (purchase_id)
+  where purchase_id is not null;
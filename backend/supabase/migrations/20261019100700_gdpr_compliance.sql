@@ -0,0 +1,129 @@
+-- GDPR compliance webhooks
+-- customers/data_request exports, customers/redact anonymizes one customer
+-- and shop/redact purges all customer data. Redaction keeps bookings, plans,
+-- purchases and credit transactions so ledger totals still add up; only
+-- personal data is removed.
+
+create table if not exists public.compliance_requests (
+  id uuid primary key default gen_random_uuid(),
+  topic text not null
+    check (topic in ('customers/data_request', 'customers/redact', 'shop/redact')),
+  shop_domain text,
+  shopify_customer_id text,
+  -- data_request.id from the customers/data_request payload
+  shopify_request_id text,
+  user_id uuid references public.users(id) on delete set null,
+  status text not null
+    check (status in ('completed', 'customer_not_found')),
+  export jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+alter table public.compliance_requests enable row level security;
+revoke all on public.compliance_requests from anon, authenticated;
+
+alter table public.users
+  add column if not exists redacted_at timestamptz;
+
+-- Redaction clears the birthdate
+alter table public.students
+  alter column birthdate drop not null;
+
+-- Anonymize a customer. Returns the redacted user ID, or null if the
+-- customer is unknown (stored webhook payloads are scrubbed either way).
+create or replace function public.redact_customer(p_shopify_customer_id text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid;
+begin
+  select id into v_user_id
+  from public.users
+  where shopify_customer_id = p_shopify_customer_id
+  for update;
+
+  if found then
+    update public.students
+    set full_name = 'Redacted customer',
+        birthdate = null,
+        phone_number = null,
+        allergies = null,
+        afflictions = null,
+        emergency_contact_name = null,
+        emergency_contact_phone = null,
+        fitness_level = null,
+        fitness_goals = null,
+        updated_at = now()
+    where user_id = v_user_id;
+
+    update public.users
+    set email = 'redacted+' || v_user_id || '@redacted.invalid',
+        first_name = 'Redacted',
+        last_name = '',
+        phone_number = null,
+        shopify_customer_id = null,
+        redacted_at = now(),
+        updated_at = now()
+    where id = v_user_id;
+
+    delete from public.notifications
+    where user_id = v_user_id
+       or student_id in (select id from public.students where user_id = v_user_id);
+
+    update public.compliance_requests
+    set export = null
+    where user_id = v_user_id;
+  end if;
+
+  -- Customer and order payloads carry names, emails and addresses
+  update public.webhook_events
+  set payload = null
+  where payload is not null
+    and (
+      (topic like 'customers/%' and payload->>'id' = p_shopify_customer_id)
+      or payload->'customer'->>'id' = p_shopify_customer_id
+    );
+
+  return v_user_id;
+end;
+$$;
+
+-- Delete every customer's data. Studio configuration (plans, classes,
+-- sessions, rooms, instructors) and staff accounts are kept.
+create or replace function public.purge_customer_data()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_count integer;
+begin
+  delete from public.waitlist_entries;
+  delete from public.bookings;
+  delete from public.recurring_bookings;
+  delete from public.credit_transactions;
+  delete from public.student_plans;
+  delete from public.plan_purchases;
+  delete from public.notifications;
+  delete from public.students;
+  delete from public.compliance_requests where topic <> 'shop/redact';
+  delete from public.webhook_events;
+
+  delete from public.users where role = 'user';
+  get diagnostics v_user_count = row_count;
+
+  update public.sessions s
+  set spots_left = s.capacity
+  where s.status = 'scheduled';
+
+  return v_user_count;
+end;
+$$;
+
+revoke execute on function public.redact_customer(text) from public, anon, authenticated;
+revoke execute on function public.purge_customer_data() from public, anon, authenticated;
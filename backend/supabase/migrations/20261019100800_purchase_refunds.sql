@@ -0,0 +1,172 @@
+-- Partial refunds of plan purchases
+-- A refund of some units of a purchased line item removes the credits those
+-- units granted, as a debit on the student plan. Future bookings are only
+-- cancelled when the plan does not have enough credits left to cover the
+-- clawback. Each refund line item is applied once.
+
+alter table public.plan_purchases
+  add column if not exists refunded_quantity integer not null default 0,
+  add column if not exists refunded_amount numeric(10, 2) not null default 0;
+
+create table if not exists public.plan_purchase_refunds (
+  id uuid primary key default gen_random_uuid(),
+  purchase_id uuid not null references public.plan_purchases(id) on delete cascade,
+  student_plan_id uuid references public.student_plans(id) on delete set null,
+  shopify_refund_id text,
+  -- Shopify refund line item ID, or cancel:<purchase ID> for cancelled orders
+  refund_key text not null unique,
+  quantity integer not null check (quantity >= 0),
+  amount numeric(10, 2) not null default 0,
+  credits_clawed_back integer not null default 0,
+  -- Credits already used on past sessions that could not be taken back
+  credits_unrecovered integer not null default 0,
+  bookings_cancelled integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists plan_purchase_refunds_purchase_idx
+  on public.plan_purchase_refunds (purchase_id);
+
+alter table public.plan_purchase_refunds enable row level security;
+revoke all on public.plan_purchase_refunds from anon, authenticated;
+
+create or replace function public.refund_plan_purchase(
+  p_purchase_id uuid,
+  p_refund_key text,
+  p_quantity integer,
+  p_amount numeric default 0,
+  p_shopify_refund_id text default null
+)
+returns public.plan_purchase_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_refund public.plan_purchase_refunds%rowtype;
+  v_purchase public.plan_purchases%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_quantity integer;
+  v_fully_refunded boolean;
+  v_clawback integer := 0;
+  v_cancelled integer := 0;
+  v_unrecovered integer := 0;
+  v_booking record;
+begin
+  select * into v_refund
+  from public.plan_purchase_refunds
+  where refund_key = p_refund_key;
+
+  if found then
+    return v_refund;
+  end if;
+
+  select * into v_purchase
+  from public.plan_purchases
+  where id = p_purchase_id
+  for update;
+
+  if not found then
+    raise exception 'PURCHASE_NOT_FOUND';
+  end if;
+
+  -- Units refunded earlier (e.g. by an order cancellation) are not refunded twice
+  v_quantity := greatest(least(p_quantity, v_purchase.quantity - v_purchase.refunded_quantity), 0);
+  v_fully_refunded := v_purchase.refunded_quantity + v_quantity >= v_purchase.quantity;
+
+  select * into v_plan
+  from public.student_plans
+  where purchase_id = p_purchase_id
+  for update;
+
+  if found and v_quantity > 0 then
+    if not v_plan.is_unlimited then
+      v_clawback := (v_plan.initial_credits / greatest(v_purchase.quantity, 1)) * v_quantity;
+    end if;
+
+    -- Cancel future bookings, latest first, until the plan can cover the
+    -- clawback. Unlimited plans lose all future bookings once fully refunded.
+    for v_booking in
+      select b.id
+      from public.bookings b
+      join public.sessions s on s.id = b.session_id
+      where b.student_plan_id = v_plan.id
+        and b.status = 'active'
+        and (s.session_date + s.session_time) > now()
+      order by s.session_date desc, s.session_time desc
+    loop
+      if v_plan.is_unlimited then
+        exit when not v_fully_refunded;
+      else
+        select remaining_credits into v_plan.remaining_credits
+        from public.student_plans
+        where id = v_plan.id;
+
+        exit when v_plan.remaining_credits >= v_clawback;
+      end if;
+
+      perform public.cancel_booking(v_booking.id, null, 'Plan refunded');
+      v_cancelled := v_cancelled + 1;
+    end loop;
+
+    if v_clawback > 0 then
+      select remaining_credits into v_plan.remaining_credits
+      from public.student_plans
+      where id = v_plan.id;
+
+      v_unrecovered := greatest(v_clawback - v_plan.remaining_credits, 0);
+
+      if v_clawback - v_unrecovered > 0 then
+        perform public.create_credit_transaction(
+          p_student_plan_id => v_plan.id,
+          p_transaction_type => 'debit',
+          p_amount => v_clawback - v_unrecovered,
+          p_reference_id => v_purchase.id,
+          p_reference_type => 'refund',
+          p_description => format('Refunded %s of %s units', v_quantity, v_purchase.quantity)
+        );
+      end if;
+    end if;
+
+    if v_fully_refunded then
+      update public.student_plans
+      set status = 'cancelled',
+          updated_at = now()
+      where id = v_plan.id;
+    end if;
+  end if;
+
+  update public.plan_purchases
+  set refunded_quantity = refunded_quantity + v_quantity,
+      refunded_amount = refunded_amount + coalesce(p_amount, 0)
+  where id = p_purchase_id;
+
+  insert into public.plan_purchase_refunds (
+    purchase_id,
+    student_plan_id,
+    shopify_refund_id,
+    refund_key,
+    quantity,
+    amount,
+    credits_clawed_back,
+    credits_unrecovered,
+    bookings_cancelled
+  )
+  values (
+    p_purchase_id,
+    v_plan.id,
+    p_shopify_refund_id,
+    p_refund_key,
+    v_quantity,
+    coalesce(p_amount, 0),
+    v_clawback - v_unrecovered,
+    v_unrecovered,
+    v_cancelled
+  )
+  returning * into v_refund;
+
+  return v_refund;
+end;
+$$;
+
+revoke execute on function public.refund_plan_purchase(uuid, text, integer, numeric, text) from public, anon, authenticated;
@@ -0,0 +1,24 @@
+-- Webhook dead-letter queue
+-- Failed deliveries keep their payload and error and are retried with
+-- exponential backoff. After too many attempts they are parked as 'dead'
+-- until an operator replays them.
+
+alter table public.webhook_events
+  drop constraint if exists webhook_events_status_check;
+
+alter table public.webhook_events
+  add constraint webhook_events_status_check
+    check (status in ('processing', 'processed', 'failed', 'dead'));
+
+alter table public.webhook_events
+  add column if not exists next_attempt_at timestamptz;
+
+drop index if exists public.webhook_events_failed_idx;
+
+create index if not exists webhook_events_retry_idx
+  on public.webhook_events (next_attempt_at)
+  where status = 'failed';
+
+create index if not exists webhook_events_stuck_idx
+  on public.webhook_events (received_at)
+  where status in ('processing', 'failed', 'dead');
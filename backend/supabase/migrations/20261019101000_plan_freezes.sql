@@ -0,0 +1,222 @@
+-- Plan freezes
+-- A student (or staff on their behalf) pauses a plan for a date range. The
+-- plan's end_date moves out by the frozen days and the plan cannot pay for
+-- sessions inside the range. Limits on the number of freezes per plan and
+-- total frozen days are passed in by the API from its policy config.
+
+create table if not exists public.plan_freezes (
+  id uuid primary key default gen_random_uuid(),
+  student_plan_id uuid not null references public.student_plans(id) on delete cascade,
+  start_date date not null,
+  end_date date not null,
+  days integer not null check (days > 0),
+  reason text,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (end_date >= start_date)
+);
+
+create index if not exists plan_freezes_plan_idx
+  on public.plan_freezes (student_plan_id, start_date);
+
+alter table public.plan_freezes enable row level security;
+revoke all on public.plan_freezes from anon, authenticated;
+
+create or replace function public.freeze_student_plan(
+  p_student_plan_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_reason text default null,
+  p_created_by uuid default null,
+  p_max_freezes integer default null,
+  p_max_days integer default null
+)
+returns public.plan_freezes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_plan public.student_plans%rowtype;
+  v_days integer;
+  v_freeze_count integer;
+  v_frozen_days integer;
+  v_freeze public.plan_freezes%rowtype;
+begin
+  if p_end_date < p_start_date then
+    raise exception 'FREEZE_INVALID_DATES';
+  end if;
+
+  if p_start_date < current_date then
+    raise exception 'FREEZE_IN_PAST';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if p_start_date > v_plan.end_date then
+    raise exception 'FREEZE_AFTER_PLAN_END';
+  end if;
+
+  if exists (
+    select 1 from public.plan_freezes
+    where student_plan_id = p_student_plan_id
+      and start_date <= p_end_date
+      and end_date >= p_start_date
+  ) then
+    raise exception 'FREEZE_OVERLAPS';
+  end if;
+
+  v_days := p_end_date - p_start_date + 1;
+
+  select count(*), coalesce(sum(days), 0)
+  into v_freeze_count, v_frozen_days
+  from public.plan_freezes
+  where student_plan_id = p_student_plan_id;
+
+  if p_max_freezes is not null and v_freeze_count >= p_max_freezes then
+    raise exception 'FREEZE_LIMIT_REACHED';
+  end if;
+
+  if p_max_days is not null and v_frozen_days + v_days > p_max_days then
+    raise exception 'FREEZE_TOO_LONG';
+  end if;
+
+  if exists (
+    select 1
+    from public.bookings b
+    join public.sessions s on s.id = b.session_id
+    where b.student_plan_id = p_student_plan_id
+      and b.status = 'active'
+      and s.session_date between p_start_date and p_end_date
+  ) then
+    raise exception 'FREEZE_HAS_BOOKINGS';
+  end if;
+
+  insert into public.plan_freezes (student_plan_id, start_date, end_date, days, reason, created_by)
+  values (p_student_plan_id, p_start_date, p_end_date, v_days, p_reason, p_created_by)
+  returning * into v_freeze;
+
+  update public.student_plans
+  set end_date = end_date + v_days,
+      updated_at = now()
+  where id = p_student_plan_id;
+
+  return v_freeze;
+end;
+$$;
+
+-- book_session, now refusing plans that are frozen on the session date
+create or replace function public.book_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_student_plan_id uuid,
+  p_credit_cost integer default 1,
+  p_waitlist_entry_id uuid default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_active_count integer;
+  v_booking public.bookings%rowtype;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  if exists (
+    select 1 from public.bookings
+    where session_id = p_session_id
+      and student_id = p_student_id
+      and status = 'active'
+  ) then
+    raise exception 'ALREADY_BOOKED';
+  end if;
+
+  select count(*) into v_active_count
+  from public.bookings
+  where session_id = p_session_id
+    and status = 'active';
+
+  if v_active_count >= v_session.capacity then
+    raise exception 'SESSION_FULL';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+    and student_id = p_student_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if exists (
+    select 1 from public.plan_freezes
+    where student_plan_id = p_student_plan_id
+      and v_session.session_date between start_date and end_date
+  ) then
+    raise exception 'PLAN_FROZEN';
+  end if;
+
+  if not v_plan.is_unlimited and v_plan.remaining_credits < p_credit_cost then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.bookings (student_id, session_id, student_plan_id, status)
+  values (p_student_id, p_session_id, p_student_plan_id, 'active')
+  returning * into v_booking;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => 'debit',
+    p_amount => p_credit_cost,
+    p_reference_id => v_booking.id,
+    p_reference_type => 'booking',
+    p_description => format('Booked session: %s at %s', v_session.session_date, v_session.session_time)
+  );
+
+  if p_waitlist_entry_id is not null then
+    update public.waitlist_entries
+    set status = 'promoted',
+        booking_id = v_booking.id,
+        status_reason = null,
+        updated_at = now()
+    where id = p_waitlist_entry_id
+      and status = 'waiting';
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+revoke execute on function public.freeze_student_plan(uuid, date, date, text, uuid, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,21 @@
+-- Per-class credit cost and plan eligibility rules
+-- A class costs the credit_cost of its class type unless the class overrides
+-- it. Plans carry optional eligibility rules (class categories, class types,
+-- rooms, days and start-time windows) that the API checks before it lets a
+-- plan pay for a session; a plan without rules can book any class.
+
+alter table public.class_types
+  add column if not exists credit_cost integer not null default 1
+    check (credit_cost >= 0);
+
+alter table public.classes
+  add column if not exists credit_cost integer
+    check (credit_cost >= 0);
+
+-- Shape (every key optional):
+--   { "categories": ["yoga"], "class_type_ids": [uuid], "room_ids": [uuid],
+--     "days_of_week": [1, 2, 3, 4, 5],
+--     "hours": [{ "from": "10:00", "to": "16:00" }] }
+alter table public.plans
+  add column if not exists eligibility jsonb not null default '{}'::jsonb
+    check (jsonb_typeof(eligibility) = 'object');
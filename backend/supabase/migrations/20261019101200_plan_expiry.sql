@@ -0,0 +1,64 @@
+-- Plan expiry
+-- Plans past their end_date are moved to expired by the plan-lifecycle job.
+-- Credits left on an expired credit pack are forfeited with an expiry debit
+-- so the ledger balance matches remaining_credits. Plans are expired one at
+-- a time under a row lock, so overlapping runs never debit a plan twice.
+
+create index if not exists student_plans_active_end_date_idx
+  on public.student_plans (end_date)
+  where status = 'active';
+
+create or replace function public.expire_student_plans(
+  p_today date default current_date
+)
+returns table (
+  student_plan_id uuid,
+  student_id uuid,
+  credits_forfeited integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_plan public.student_plans%rowtype;
+  v_forfeited integer;
+begin
+  for v_plan in
+    select *
+    from public.student_plans
+    where status = 'active'
+      and end_date < p_today
+    order by end_date
+    for update skip locked
+  loop
+    v_forfeited := case
+      when v_plan.is_unlimited then 0
+      else greatest(v_plan.remaining_credits, 0)
+    end;
+
+    if v_forfeited > 0 then
+      perform public.create_credit_transaction(
+        p_student_plan_id => v_plan.id,
+        p_transaction_type => 'debit',
+        p_amount => v_forfeited,
+        p_reference_id => v_plan.id,
+        p_reference_type => 'expiry',
+        p_description => format('%s unused credits expired on %s', v_forfeited, v_plan.end_date)
+      );
+    end if;
+
+    update public.student_plans
+    set status = 'expired',
+        updated_at = now()
+    where id = v_plan.id;
+
+    student_plan_id := v_plan.id;
+    student_id := v_plan.student_id;
+    credits_forfeited := v_forfeited;
+    return next;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.expire_student_plans(date) from public, anon, authenticated;
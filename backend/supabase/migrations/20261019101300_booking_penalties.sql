@@ -0,0 +1,400 @@
+-- Late-cancellation and no-show penalties
+-- Customers may cancel after a session's cancellation cutoff. Unless the
+-- class type refunds late cancellations, a credit pack forfeits the credits
+-- charged for the booking and an unlimited plan is charged the class type's
+-- late-cancel fee instead. Active bookings not checked in by the end of the
+-- session are marked no_show by the mark-no-shows job, forfeiting the credit
+-- (or the no-show fee on unlimited plans). Students with too many no-shows
+-- in a rolling window are blocked from booking for a while; the thresholds
+-- are passed in by the API from its policy config.
+
+alter table public.class_types
+  add column if not exists late_cancel_policy text not null default 'forfeit'
+    check (late_cancel_policy in ('forfeit', 'refund')),
+  add column if not exists late_cancel_fee numeric(10, 2) not null default 0
+    check (late_cancel_fee >= 0),
+  add column if not exists no_show_fee numeric(10, 2) not null default 0
+    check (no_show_fee >= 0);
+
+alter table public.bookings
+  add column if not exists late_cancellation boolean not null default false,
+  add column if not exists no_show_at timestamptz;
+
+alter table public.students
+  add column if not exists booking_blocked_until timestamptz,
+  add column if not exists booking_block_reason text;
+
+-- Fees are recorded here for staff to charge (or waive) through Shopify
+create table if not exists public.booking_penalties (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references public.bookings(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade,
+  type text not null check (type in ('late_cancel', 'no_show')),
+  credits_forfeited integer not null default 0,
+  fee_amount numeric(10, 2) not null default 0,
+  fee_status text not null default 'none'
+    check (fee_status in ('none', 'pending', 'charged', 'waived')),
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  resolved_by uuid references public.users(id) on delete set null,
+  unique (booking_id, type)
+);
+
+create index if not exists booking_penalties_student_idx
+  on public.booking_penalties (student_id, created_at);
+
+create index if not exists booking_penalties_pending_idx
+  on public.booking_penalties (created_at)
+  where fee_status = 'pending';
+
+alter table public.booking_penalties enable row level security;
+revoke all on public.booking_penalties from anon, authenticated;
+
+-- cancel_booking gains p_late_cancel; drop the old signature so three-argument
+-- calls are not ambiguous
+drop function if exists public.cancel_booking(uuid, uuid, text);
+
+create or replace function public.cancel_booking(
+  p_booking_id uuid,
+  p_student_id uuid default null,
+  p_reason text default null,
+  p_late_cancel boolean default false
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session_id uuid;
+  v_session public.sessions%rowtype;
+  v_booking public.bookings%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_class_type public.class_types%rowtype;
+  v_charged integer;
+  v_penalize boolean := false;
+  v_fee numeric(10, 2) := 0;
+begin
+  select session_id into v_session_id
+  from public.bookings
+  where id = p_booking_id
+    and (p_student_id is null or student_id = p_student_id);
+
+  if not found then
+    raise exception 'BOOKING_NOT_FOUND';
+  end if;
+
+  -- Lock the session before the booking, matching book_session's lock order
+  select * into v_session
+  from public.sessions
+  where id = v_session_id
+  for update;
+
+  select * into v_booking
+  from public.bookings
+  where id = p_booking_id
+  for update;
+
+  if v_booking.status <> 'active' then
+    raise exception 'BOOKING_NOT_ACTIVE';
+  end if;
+
+  select coalesce(sum(case when transaction_type = 'debit' then amount else -amount end), 0)
+  into v_charged
+  from public.credit_transactions
+  where reference_id = p_booking_id
+    and reference_type in ('booking', 'cancellation');
+
+  if p_late_cancel then
+    select ct.* into v_class_type
+    from public.classes c
+    join public.class_types ct on ct.id = c.class_type_id
+    where c.id = v_session.class_id;
+
+    v_penalize := coalesce(v_class_type.late_cancel_policy, 'forfeit') = 'forfeit';
+  end if;
+
+  if v_penalize then
+    select * into v_plan
+    from public.student_plans
+    where id = v_booking.student_plan_id;
+
+    -- Credit packs lose the credits charged; unlimited plans pay the fee
+    if v_plan.is_unlimited then
+      v_fee := coalesce(v_class_type.late_cancel_fee, 0);
+      v_penalize := v_fee > 0;
+    else
+      v_penalize := v_charged > 0;
+    end if;
+  end if;
+
+  if v_charged > 0 and not (v_penalize and not v_plan.is_unlimited) then
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_booking.student_plan_id,
+      p_transaction_type => 'credit',
+      p_amount => v_charged,
+      p_reference_id => v_booking.id,
+      p_reference_type => 'cancellation',
+      p_description => format('Cancelled session: %s at %s', v_session.session_date, v_session.session_time)
+    );
+  end if;
+
+  if v_penalize then
+    insert into public.booking_penalties (
+      booking_id,
+      student_id,
+      type,
+      credits_forfeited,
+      fee_amount,
+      fee_status
+    )
+    values (
+      v_booking.id,
+      v_booking.student_id,
+      'late_cancel',
+      case when v_plan.is_unlimited then 0 else v_charged end,
+      v_fee,
+      case when v_fee > 0 then 'pending' else 'none' end
+    )
+    on conflict (booking_id, type) do nothing;
+  end if;
+
+  update public.bookings
+  set status = 'cancelled',
+      cancelled_at = now(),
+      cancellation_reason = coalesce(p_reason, 'Cancelled by user'),
+      credit_refunded = v_charged > 0 and not (v_penalize and not v_plan.is_unlimited),
+      late_cancellation = p_late_cancel
+  where id = p_booking_id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+-- Mark an active booking that was never checked in as a no-show, forfeiting
+-- its credit (or recording the no-show fee on unlimited plans), and block
+-- the student from booking for p_block_days once they reach p_threshold
+-- no-shows within p_window_days. Returns nothing if the booking is no longer
+-- active or was checked in, so reruns are harmless.
+create or replace function public.mark_no_show(
+  p_booking_id uuid,
+  p_threshold integer,
+  p_window_days integer,
+  p_block_days integer
+)
+returns table (
+  booking_id uuid,
+  student_id uuid,
+  fee_amount numeric,
+  no_show_count integer,
+  blocked_until timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_booking public.bookings%rowtype;
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_class_type public.class_types%rowtype;
+  v_charged integer;
+  v_fee numeric(10, 2) := 0;
+  v_count integer;
+  v_blocked_until timestamptz;
+begin
+  select * into v_booking
+  from public.bookings b
+  where b.id = p_booking_id
+  for update;
+
+  if not found or v_booking.status <> 'active' or v_booking.check_in_time is not null then
+    return;
+  end if;
+
+  select * into v_session
+  from public.sessions s
+  where s.id = v_booking.session_id;
+
+  select ct.* into v_class_type
+  from public.classes c
+  join public.class_types ct on ct.id = c.class_type_id
+  where c.id = v_session.class_id;
+
+  select * into v_plan
+  from public.student_plans sp
+  where sp.id = v_booking.student_plan_id;
+
+  select coalesce(sum(case when ct.transaction_type = 'debit' then ct.amount else -ct.amount end), 0)
+  into v_charged
+  from public.credit_transactions ct
+  where ct.reference_id = p_booking_id
+    and ct.reference_type in ('booking', 'cancellation');
+
+  if v_plan.is_unlimited then
+    v_fee := coalesce(v_class_type.no_show_fee, 0);
+  end if;
+
+  update public.bookings b
+  set status = 'no_show',
+      no_show_at = now()
+  where b.id = p_booking_id;
+
+  insert into public.booking_penalties (
+    booking_id,
+    student_id,
+    type,
+    credits_forfeited,
+    fee_amount,
+    fee_status
+  )
+  values (
+    v_booking.id,
+    v_booking.student_id,
+    'no_show',
+    case when v_plan.is_unlimited then 0 else v_charged end,
+    v_fee,
+    case when v_fee > 0 then 'pending' else 'none' end
+  )
+  on conflict on constraint booking_penalties_booking_id_type_key do nothing;
+
+  select count(*) into v_count
+  from public.bookings b
+  join public.sessions s on s.id = b.session_id
+  where b.student_id = v_booking.student_id
+    and b.status = 'no_show'
+    and s.session_date > v_session.session_date - p_window_days;
+
+  if p_threshold > 0 and v_count >= p_threshold then
+    v_blocked_until := now() + make_interval(days => p_block_days);
+
+    update public.students st
+    set booking_blocked_until = greatest(coalesce(st.booking_blocked_until, now()), v_blocked_until),
+        booking_block_reason = format('%s no-shows in %s days', v_count, p_window_days)
+    where st.id = v_booking.student_id
+    returning st.booking_blocked_until into v_blocked_until;
+  end if;
+
+  booking_id := v_booking.id;
+  student_id := v_booking.student_id;
+  fee_amount := v_fee;
+  no_show_count := v_count;
+  blocked_until := v_blocked_until;
+  return next;
+end;
+$$;
+
+-- Bookings are refused while the student is blocked after repeated no-shows
+create or replace function public.book_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_student_plan_id uuid,
+  p_credit_cost integer default 1,
+  p_waitlist_entry_id uuid default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_active_count integer;
+  v_booking public.bookings%rowtype;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  if exists (
+    select 1 from public.students
+    where id = p_student_id
+      and booking_blocked_until > now()
+  ) then
+    raise exception 'BOOKING_BLOCKED';
+  end if;
+
+  if exists (
+    select 1 from public.bookings
+    where session_id = p_session_id
+      and student_id = p_student_id
+      and status = 'active'
+  ) then
+    raise exception 'ALREADY_BOOKED';
+  end if;
+
+  select count(*) into v_active_count
+  from public.bookings
+  where session_id = p_session_id
+    and status = 'active';
+
+  if v_active_count >= v_session.capacity then
+    raise exception 'SESSION_FULL';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+    and student_id = p_student_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if exists (
+    select 1 from public.plan_freezes
+    where student_plan_id = p_student_plan_id
+      and v_session.session_date between start_date and end_date
+  ) then
+    raise exception 'PLAN_FROZEN';
+  end if;
+
+  if not v_plan.is_unlimited and v_plan.remaining_credits < p_credit_cost then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.bookings (student_id, session_id, student_plan_id, status)
+  values (p_student_id, p_session_id, p_student_plan_id, 'active')
+  returning * into v_booking;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => 'debit',
+    p_amount => p_credit_cost,
+    p_reference_id => v_booking.id,
+    p_reference_type => 'booking',
+    p_description => format('Booked session: %s at %s', v_session.session_date, v_session.session_time)
+  );
+
+  if p_waitlist_entry_id is not null then
+    update public.waitlist_entries
+    set status = 'promoted',
+        booking_id = v_booking.id,
+        status_reason = null,
+        updated_at = now()
+    where id = p_waitlist_entry_id
+      and status = 'waiting';
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+revoke execute on function public.cancel_booking(uuid, uuid, text, boolean) from public, anon, authenticated;
+revoke execute on function public.mark_no_show(uuid, integer, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,10 @@
+-- Attendance check-in
+-- Staff record check-in by scanning the signed QR code (or typing the short
+-- code) shown on the customer's booking. Bookings still active and not
+-- checked in when the session ends are picked up by the no-show job.
+
+alter table public.bookings
+  add column if not exists checked_in_by uuid references public.users(id) on delete set null;
+
+create index if not exists bookings_session_status_idx
+  on public.bookings (session_id, status);
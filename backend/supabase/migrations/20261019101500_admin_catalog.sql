@@ -0,0 +1,47 @@
+-- Admin catalog management
+-- Class types, classes, rooms, instructors and plans are edited through the
+-- admin API instead of by hand. Nothing is deleted: rows are archived by
+-- clearing is_active so past sessions, bookings and purchases keep their
+-- references. Every change made through the API is recorded in audit_log
+-- with the admin who made it and the fields before and after.
+
+alter table public.class_types
+  add column if not exists is_active boolean not null default true,
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.classes
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.rooms
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.instructors
+  add column if not exists updated_at timestamptz not null default now();
+
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid references public.users(id) on delete set null,
+  action text not null check (action in ('create', 'update', 'archive')),
+  entity_type text not null,
+  entity_id uuid not null,
+  -- { field: { "from": old, "to": new } } for the fields that changed
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_entity_idx
+  on public.audit_log (entity_type, entity_id, created_at desc);
+
+create index if not exists audit_log_created_at_idx
+  on public.audit_log (created_at desc);
+
+alter table public.audit_log enable row level security;
+
+revoke insert, update, delete on
+  public.class_types,
+  public.classes,
+  public.rooms,
+  public.instructors,
+  public.plans,
+  public.audit_log
+from anon, authenticated;
@@ -0,0 +1,253 @@
+-- Manual credit adjustments
+-- Staff grant goodwill credits, correct mistakes and move credits between a
+-- student's plans through the ledger instead of editing remaining_credits.
+-- Every adjustment records a reason code and who asked for it. Adjustments
+-- of more than the approval threshold (passed in by the API from its policy
+-- config) stay pending until a second staff member approves them; the
+-- requester cannot approve their own. Applied adjustments write credit
+-- transactions with reference_type 'adjustment', so they show in the
+-- customer's transaction history.
+
+create table if not exists public.credit_adjustments (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.students(id) on delete cascade,
+  -- The plan credited by grants and transfers, or debited by deductions
+  student_plan_id uuid not null references public.student_plans(id) on delete cascade,
+  -- The plan credits are moved from by a transfer
+  from_student_plan_id uuid references public.student_plans(id) on delete cascade,
+  type text not null check (type in ('grant', 'deduct', 'transfer')),
+  amount integer not null check (amount > 0),
+  reason_code text not null
+    check (reason_code in ('goodwill', 'correction', 'compensation', 'transfer', 'other')),
+  note text,
+  status text not null default 'pending'
+    check (status in ('pending', 'applied', 'rejected')),
+  requested_by uuid references public.users(id) on delete set null,
+  decided_by uuid references public.users(id) on delete set null,
+  decided_at timestamptz,
+  decision_note text,
+  created_at timestamptz not null default now(),
+  check ((type = 'transfer') = (from_student_plan_id is not null)),
+  check (from_student_plan_id is distinct from student_plan_id)
+);
+
+create index if not exists credit_adjustments_status_idx
+  on public.credit_adjustments (status, created_at);
+
+create index if not exists credit_adjustments_student_idx
+  on public.credit_adjustments (student_id, created_at desc);
+
+alter table public.credit_adjustments enable row level security;
+revoke all on public.credit_adjustments from anon, authenticated;
+
+-- Check an adjustment against the current plans and, unless p_check_only,
+-- write its credit transactions. The plans are locked in id order so two
+-- adjustments touching the same plans cannot deadlock.
+create or replace function public.apply_credit_adjustment(
+  p_adjustment public.credit_adjustments,
+  p_check_only boolean default false
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_plan public.student_plans%rowtype;
+  v_target public.student_plans%rowtype;
+  v_source public.student_plans%rowtype;
+  v_target_name text;
+  v_source_name text;
+  v_reason text := replace(p_adjustment.reason_code, '_', ' ');
+begin
+  for v_plan in
+    select *
+    from public.student_plans
+    where id in (p_adjustment.student_plan_id, p_adjustment.from_student_plan_id)
+    order by id
+    for update
+  loop
+    if v_plan.id = p_adjustment.student_plan_id then
+      v_target := v_plan;
+    else
+      v_source := v_plan;
+    end if;
+  end loop;
+
+  if v_target.id is null
+    or (p_adjustment.type = 'transfer' and v_source.id is null) then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_target.student_id <> p_adjustment.student_id
+    or (v_source.id is not null and v_source.student_id <> p_adjustment.student_id) then
+    raise exception 'PLAN_MISMATCH';
+  end if;
+
+  if v_target.status <> 'active' or v_target.end_date < current_date
+    or (v_source.id is not null and (v_source.status <> 'active' or v_source.end_date < current_date)) then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if v_target.is_unlimited or coalesce(v_source.is_unlimited, false) then
+    raise exception 'PLAN_UNLIMITED';
+  end if;
+
+  if (p_adjustment.type = 'deduct' and v_target.remaining_credits < p_adjustment.amount)
+    or (p_adjustment.type = 'transfer' and v_source.remaining_credits < p_adjustment.amount) then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  if p_check_only then
+    return;
+  end if;
+
+  select name into v_target_name from public.plans where id = v_target.plan_id;
+
+  if p_adjustment.type = 'grant' then
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_target.id,
+      p_transaction_type => 'credit',
+      p_amount => p_adjustment.amount,
+      p_reference_id => p_adjustment.id,
+      p_reference_type => 'adjustment',
+      p_description => format('Credits added by the studio (%s)', v_reason)
+    );
+  elsif p_adjustment.type = 'deduct' then
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_target.id,
+      p_transaction_type => 'debit',
+      p_amount => p_adjustment.amount,
+      p_reference_id => p_adjustment.id,
+      p_reference_type => 'adjustment',
+      p_description => format('Credits removed by the studio (%s)', v_reason)
+    );
+  else
+    select name into v_source_name from public.plans where id = v_source.plan_id;
+
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_source.id,
+      p_transaction_type => 'debit',
+      p_amount => p_adjustment.amount,
+      p_reference_id => p_adjustment.id,
+      p_reference_type => 'adjustment',
+      p_description => format('Credits moved to %s', coalesce(v_target_name, 'another plan'))
+    );
+
+    perform public.create_credit_transaction(
+      p_student_plan_id => v_target.id,
+      p_transaction_type => 'credit',
+      p_amount => p_adjustment.amount,
+      p_reference_id => p_adjustment.id,
+      p_reference_type => 'adjustment',
+      p_description => format('Credits moved from %s', coalesce(v_source_name, 'another plan'))
+    );
+  end if;
+end;
+$$;
+
+-- Record an adjustment. It is applied straight away when its amount is
+-- within p_approval_threshold, otherwise it waits for approval.
+create or replace function public.create_credit_adjustment(
+  p_type text,
+  p_student_plan_id uuid,
+  p_amount integer,
+  p_reason_code text,
+  p_requested_by uuid,
+  p_approval_threshold integer,
+  p_from_student_plan_id uuid default null,
+  p_note text default null
+)
+returns public.credit_adjustments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_adjustment public.credit_adjustments%rowtype;
+  v_student_id uuid;
+begin
+  select student_id into v_student_id
+  from public.student_plans
+  where id = p_student_plan_id;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  insert into public.credit_adjustments (
+    student_id, student_plan_id, from_student_plan_id, type, amount,
+    reason_code, note, requested_by
+  )
+  values (
+    v_student_id, p_student_plan_id, p_from_student_plan_id, p_type, p_amount,
+    p_reason_code, p_note, p_requested_by
+  )
+  returning * into v_adjustment;
+
+  if p_amount > p_approval_threshold then
+    -- Fail now rather than when an approver gets to it
+    perform public.apply_credit_adjustment(v_adjustment, true);
+    return v_adjustment;
+  end if;
+
+  perform public.apply_credit_adjustment(v_adjustment);
+
+  update public.credit_adjustments
+  set status = 'applied',
+      decided_at = now()
+  where id = v_adjustment.id
+  returning * into v_adjustment;
+
+  return v_adjustment;
+end;
+$$;
+
+-- Approve and apply a pending adjustment
+create or replace function public.approve_credit_adjustment(
+  p_adjustment_id uuid,
+  p_approved_by uuid,
+  p_note text default null
+)
+returns public.credit_adjustments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_adjustment public.credit_adjustments%rowtype;
+begin
+  select * into v_adjustment
+  from public.credit_adjustments
+  where id = p_adjustment_id
+  for update;
+
+  if not found then
+    raise exception 'ADJUSTMENT_NOT_FOUND';
+  end if;
+
+  if v_adjustment.status <> 'pending' then
+    raise exception 'ADJUSTMENT_NOT_PENDING';
+  end if;
+
+  if v_adjustment.requested_by = p_approved_by then
+    raise exception 'SELF_APPROVAL';
+  end if;
+
+  perform public.apply_credit_adjustment(v_adjustment);
+
+  update public.credit_adjustments
+  set status = 'applied',
+      decided_by = p_approved_by,
+      decided_at = now(),
+      decision_note = p_note
+  where id = p_adjustment_id
+  returning * into v_adjustment;
+
+  return v_adjustment;
+end;
+$$;
+
+revoke execute on function public.apply_credit_adjustment(public.credit_adjustments, boolean) from public, anon, authenticated;
+revoke execute on function public.create_credit_adjustment(text, uuid, integer, text, uuid, integer, uuid, text) from public, anon, authenticated;
+revoke execute on function public.approve_credit_adjustment(uuid, uuid, text) from public, anon, authenticated;
@@ -0,0 +1,77 @@
+-- Credit ledger reconciliation
+-- A credit pack's remaining_credits should equal its initial_credits plus
+-- the credits and minus the debits in credit_transactions. Older code paths
+-- broke this (balances edited directly, failed transactions ignored, refunds
+-- recorded in the wrong direction). The reconcile-credits job reports the
+-- plans that disagree; with --fix it records the unexplained difference as
+-- an 'adjustment' transaction so the ledger explains the stored balance.
+-- The correction does not change remaining_credits: what the customer holds
+-- stays the same, and staff can still move it with a credit adjustment.
+
+create index if not exists credit_transactions_plan_created_idx
+  on public.credit_transactions (student_plan_id, created_at);
+
+-- Record a plan's unexplained balance difference as a correcting ledger
+-- entry. The difference is recomputed under the plan's row lock. Returns
+-- the new transaction, or null if the plan is unlimited or already balanced.
+create or replace function public.record_ledger_correction(
+  p_student_plan_id uuid,
+  p_description text default 'Balance correction after ledger reconciliation'
+)
+returns public.credit_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_plan public.student_plans%rowtype;
+  v_ledger_balance integer;
+  v_difference integer;
+  v_transaction public.credit_transactions%rowtype;
+begin
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.is_unlimited then
+    return null;
+  end if;
+
+  select v_plan.initial_credits
+    + coalesce(sum(case when transaction_type = 'debit' then -amount else amount end), 0)
+  into v_ledger_balance
+  from public.credit_transactions
+  where student_plan_id = p_student_plan_id;
+
+  v_difference := v_plan.remaining_credits - v_ledger_balance;
+
+  if v_difference = 0 then
+    return null;
+  end if;
+
+  insert into public.credit_transactions (
+    student_plan_id, transaction_type, amount, balance_before, balance_after,
+    reference_id, reference_type, description
+  )
+  values (
+    p_student_plan_id,
+    case when v_difference > 0 then 'credit' else 'debit' end,
+    abs(v_difference),
+    v_ledger_balance,
+    v_plan.remaining_credits,
+    p_student_plan_id,
+    'adjustment',
+    p_description
+  )
+  returning * into v_transaction;
+
+  return v_transaction;
+end;
+$$;
+
+revoke execute on function public.record_ledger_correction(uuid, text) from public, anon, authenticated;
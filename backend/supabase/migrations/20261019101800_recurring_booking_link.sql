@@ -0,0 +1,133 @@
+-- Recurring booking link
+-- Bookings made for a recurring booking record the series in the same
+-- transaction that creates them, so a series booking is never left without
+-- its recurring_booking_id (which skipping a week and ending the series rely
+-- on). The series must be active and belong to the student and the session's
+-- class.
+
+-- book_session gains p_recurring_booking_id; drop the old signature so
+-- five-argument calls are not ambiguous
+drop function if exists public.book_session(uuid, uuid, uuid, integer, uuid);
+
+create or replace function public.book_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_student_plan_id uuid,
+  p_credit_cost integer default 1,
+  p_waitlist_entry_id uuid default null,
+  p_recurring_booking_id uuid default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_active_count integer;
+  v_booking public.bookings%rowtype;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  if exists (
+    select 1 from public.students
+    where id = p_student_id
+      and booking_blocked_until > now()
+  ) then
+    raise exception 'BOOKING_BLOCKED';
+  end if;
+
+  if p_recurring_booking_id is not null and not exists (
+    select 1 from public.recurring_bookings
+    where id = p_recurring_booking_id
+      and student_id = p_student_id
+      and class_id = v_session.class_id
+      and status = 'active'
+  ) then
+    raise exception 'RECURRING_BOOKING_NOT_FOUND';
+  end if;
+
+  if exists (
+    select 1 from public.bookings
+    where session_id = p_session_id
+      and student_id = p_student_id
+      and status = 'active'
+  ) then
+    raise exception 'ALREADY_BOOKED';
+  end if;
+
+  select count(*) into v_active_count
+  from public.bookings
+  where session_id = p_session_id
+    and status = 'active';
+
+  if v_active_count >= v_session.capacity then
+    raise exception 'SESSION_FULL';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+    and student_id = p_student_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if exists (
+    select 1 from public.plan_freezes
+    where student_plan_id = p_student_plan_id
+      and v_session.session_date between start_date and end_date
+  ) then
+    raise exception 'PLAN_FROZEN';
+  end if;
+
+  if not v_plan.is_unlimited and v_plan.remaining_credits < p_credit_cost then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.bookings (student_id, session_id, student_plan_id, status, recurring_booking_id)
+  values (p_student_id, p_session_id, p_student_plan_id, 'active', p_recurring_booking_id)
+  returning * into v_booking;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => 'debit',
+    p_amount => p_credit_cost,
+    p_reference_id => v_booking.id,
+    p_reference_type => 'booking',
+    p_description => format('Booked session: %s at %s', v_session.session_date, v_session.session_time)
+  );
+
+  if p_waitlist_entry_id is not null then
+    update public.waitlist_entries
+    set status = 'promoted',
+        booking_id = v_booking.id,
+        status_reason = null,
+        updated_at = now()
+    where id = p_waitlist_entry_id
+      and status = 'waiting';
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+revoke execute on function public.book_session(uuid, uuid, uuid, integer, uuid, uuid) from public, anon, authenticated;
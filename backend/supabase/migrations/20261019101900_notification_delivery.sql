@@ -0,0 +1,9 @@
+-- Notification delivery
+-- The send-notifications job posts queued notifications to the studio's
+-- delivery webhook (NOTIFICATION_WEBHOOK_URL), which sends the email. A
+-- delivery that fails stays queued and is retried on the next run until it
+-- has failed NOTIFICATION_MAX_ATTEMPTS times, then it is marked failed.
+
+alter table public.notifications
+  add column if not exists attempts integer not null default 0,
+  add column if not exists last_error text;
@@ -0,0 +1,302 @@
+-- Atomic catalog writes
+-- Creating, updating and archiving a catalog entry runs its dependency
+-- checks, the write and the audit_log entry in one transaction. The entry is
+-- locked first and referenced rows are locked for share, so a class cannot
+-- be added to a room while the room is being archived, and a change is never
+-- saved without its audit entry. Checks raise the API's catalog error codes
+-- (IN_USE, INVALID_REFERENCE, ...) with the message in the detail.
+
+-- Table of each catalog entity, or null
+create or replace function public.catalog_table(p_entity text)
+returns text
+language sql
+immutable
+as $$
+  select case p_entity
+    when 'class_type' then 'class_types'
+    when 'class' then 'classes'
+    when 'room' then 'rooms'
+    when 'instructor' then 'instructors'
+    when 'plan' then 'plans'
+  end
+$$;
+
+-- { field: { "from": old, "to": new } } for the fields that differ between
+-- two versions of a row (before is null for a created row). Timestamps that
+-- change on every write are left out.
+create or replace function public.audit_changes(p_before jsonb, p_after jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(
+    jsonb_object_agg(
+      key,
+      jsonb_build_object(
+        'from', coalesce(p_before -> key, 'null'::jsonb),
+        'to', coalesce(p_after -> key, 'null'::jsonb)
+      )
+    ),
+    '{}'::jsonb
+  )
+  from jsonb_object_keys(coalesce(p_before, '{}'::jsonb) || coalesce(p_after, '{}'::jsonb)) as key
+  where key not in ('created_at', 'updated_at')
+    and coalesce(p_before -> key, 'null'::jsonb) is distinct from coalesce(p_after -> key, 'null'::jsonb)
+$$;
+
+create or replace function public.catalog_count(p_count integer, p_singular text, p_plural text)
+returns text
+language sql
+immutable
+as $$
+  select format('%s %s', p_count, case when p_count = 1 then p_singular else p_plural end)
+$$;
+
+-- Lock a row another catalog entry points at, raising INVALID_REFERENCE
+-- unless it exists and is active
+create or replace function public.lock_catalog_reference(p_table text, p_id uuid, p_field text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb;
+begin
+  execute format('select to_jsonb(t.*) from public.%I t where t.id = $1 for share', p_table)
+  into v_row
+  using p_id;
+
+  if v_row is null or coalesce((v_row ->> 'is_active')::boolean, true) = false then
+    raise exception 'INVALID_REFERENCE'
+      using detail = format('%s does not match an active record', p_field);
+  end if;
+
+  return v_row;
+end;
+$$;
+
+-- Create (p_id null) or update a catalog entry from validated values, and
+-- record it in the audit log. Returns the saved row.
+create or replace function public.save_catalog_entry(
+  p_entity text,
+  p_id uuid,
+  p_values jsonb,
+  p_actor_id uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_table text := public.catalog_table(p_entity);
+  v_before jsonb;
+  v_row jsonb;
+  v_after jsonb;
+  v_room jsonb;
+  v_columns text;
+  v_classes text;
+begin
+  if v_table is null then
+    raise exception 'UNKNOWN_ENTITY';
+  end if;
+
+  if p_id is not null then
+    execute format('select to_jsonb(t.*) from public.%I t where t.id = $1 for update', v_table)
+    into v_before
+    using p_id;
+
+    if v_before is null then
+      raise exception 'NOT_FOUND';
+    end if;
+  end if;
+
+  -- The row as it will be saved
+  v_row := coalesce(v_before, '{}'::jsonb) || p_values;
+
+  if p_entity = 'class' then
+    perform public.lock_catalog_reference('class_types', (v_row ->> 'class_type_id')::uuid, 'class_type_id');
+
+    if v_row ->> 'instructor_id' is not null then
+      perform public.lock_catalog_reference('instructors', (v_row ->> 'instructor_id')::uuid, 'instructor_id');
+    end if;
+
+    if v_row ->> 'room_id' is not null then
+      v_room := public.lock_catalog_reference('rooms', (v_row ->> 'room_id')::uuid, 'room_id');
+
+      if (v_room ->> 'capacity')::integer < (v_row ->> 'capacity')::integer then
+        raise exception 'VALIDATION_FAILED'
+          using detail = format('Capacity cannot exceed the room capacity of %s', v_room ->> 'capacity');
+      end if;
+    end if;
+  elsif p_entity = 'room' and v_before is not null
+    and (v_row ->> 'capacity')::integer < (v_before ->> 'capacity')::integer then
+    select string_agg(format('%s (%s)', name, capacity), ', ' order by name)
+    into v_classes
+    from public.classes
+    where room_id = p_id
+      and is_active
+      and capacity > (v_row ->> 'capacity')::integer;
+
+    if v_classes is not null then
+      raise exception 'IN_USE'
+        using detail = 'Capacity is below the capacity of classes held in this room: ' || v_classes;
+    end if;
+  elsif p_entity = 'instructor' and v_before is null then
+    perform 1 from public.users where id = (v_row ->> 'user_id')::uuid for update;
+
+    if not found then
+      raise exception 'INVALID_REFERENCE' using detail = 'user_id does not match a user';
+    end if;
+
+    if exists (select 1 from public.instructors where user_id = (v_row ->> 'user_id')::uuid) then
+      raise exception 'ALREADY_EXISTS' using detail = 'This user already has an instructor profile';
+    end if;
+  elsif p_entity = 'plan' and v_before ->> 'shopify_variant_id' is not null then
+    raise exception 'MANAGED_BY_SHOPIFY';
+  end if;
+
+  select string_agg(quote_ident(key), ', ')
+  into v_columns
+  from jsonb_object_keys(p_values) as key;
+
+  if v_before is null then
+    execute format(
+      'insert into public.%1$I as t (%2$s, is_active)
+       select %2$s, true from jsonb_populate_record(null::public.%1$I, $1)
+       returning to_jsonb(t.*)',
+      v_table, v_columns
+    )
+    into v_after
+    using p_values;
+
+    -- Instructors need the instructor role to use the instructor portal;
+    -- admins keep theirs
+    if p_entity = 'instructor' then
+      update public.users
+      set role = 'instructor'
+      where id = (v_after ->> 'user_id')::uuid
+        and role = 'user';
+    end if;
+  else
+    execute format(
+      'update public.%1$I as t
+       set (%2$s, updated_at) = (select %2$s, now() from jsonb_populate_record(null::public.%1$I, $1))
+       where t.id = $2
+       returning to_jsonb(t.*)',
+      v_table, v_columns
+    )
+    into v_after
+    using p_values, p_id;
+  end if;
+
+  insert into public.audit_log (actor_id, action, entity_type, entity_id, changes)
+  values (
+    p_actor_id,
+    case when v_before is null then 'create' else 'update' end,
+    p_entity,
+    (v_after ->> 'id')::uuid,
+    public.audit_changes(v_before, v_after)
+  );
+
+  return v_after;
+end;
+$$;
+
+-- Archive a catalog entry unless something still depends on it, and record
+-- it in the audit log. Returns the archived row.
+create or replace function public.archive_catalog_entry(
+  p_entity text,
+  p_id uuid,
+  p_actor_id uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_table text := public.catalog_table(p_entity);
+  v_before jsonb;
+  v_after jsonb;
+  v_classes integer := 0;
+  v_sessions integer := 0;
+begin
+  if v_table is null then
+    raise exception 'UNKNOWN_ENTITY';
+  end if;
+
+  execute format('select to_jsonb(t.*) from public.%I t where t.id = $1 for update', v_table)
+  into v_before
+  using p_id;
+
+  if v_before is null then
+    raise exception 'NOT_FOUND';
+  end if;
+
+  if (v_before ->> 'is_active')::boolean = false then
+    raise exception 'ALREADY_ARCHIVED';
+  end if;
+
+  if p_entity = 'plan' then
+    if v_before ->> 'shopify_variant_id' is not null then
+      raise exception 'MANAGED_BY_SHOPIFY'
+        using detail = 'This plan is synced from a Shopify product; archive the product in Shopify instead';
+    end if;
+  elsif p_entity <> 'class' then
+    -- Active classes that point at the entry
+    execute format(
+      'select count(*) from public.classes where %I = $1 and is_active',
+      case p_entity when 'class_type' then 'class_type_id' when 'room' then 'room_id' else 'instructor_id' end
+    )
+    into v_classes
+    using p_id;
+  end if;
+
+  if p_entity in ('class', 'room', 'instructor') then
+    -- Sessions from today on that have not been cancelled
+    execute format(
+      'select count(*) from public.sessions
+       where %I = $1 and session_date >= current_date and status <> ''cancelled''',
+      case p_entity when 'class' then 'class_id' when 'room' then 'room_id' else 'instructor_id' end
+    )
+    into v_sessions
+    using p_id;
+  end if;
+
+  if p_entity = 'class_type' and v_classes > 0 then
+    raise exception 'IN_USE'
+      using detail = format('This class type is used by %s', public.catalog_count(v_classes, 'active class', 'active classes'));
+  elsif p_entity = 'class' and v_sessions > 0 then
+    raise exception 'IN_USE'
+      using detail = format('This class has %s; cancel them first', public.catalog_count(v_sessions, 'upcoming session', 'upcoming sessions'));
+  elsif p_entity = 'room' and (v_classes > 0 or v_sessions > 0) then
+    raise exception 'IN_USE'
+      using detail = format('This room is used by %s and %s',
+        public.catalog_count(v_classes, 'active class', 'active classes'),
+        public.catalog_count(v_sessions, 'upcoming session', 'upcoming sessions'));
+  elsif p_entity = 'instructor' and (v_classes > 0 or v_sessions > 0) then
+    raise exception 'IN_USE'
+      using detail = format('This instructor teaches %s and %s; reassign them first',
+        public.catalog_count(v_classes, 'active class', 'active classes'),
+        public.catalog_count(v_sessions, 'upcoming session', 'upcoming sessions'));
+  end if;
+
+  execute format(
+    'update public.%I as t set is_active = false, updated_at = now() where t.id = $1 returning to_jsonb(t.*)',
+    v_table
+  )
+  into v_after
+  using p_id;
+
+  insert into public.audit_log (actor_id, action, entity_type, entity_id, changes)
+  values (p_actor_id, 'archive', p_entity, p_id, public.audit_changes(v_before, v_after));
+
+  return v_after;
+end;
+$$;
+
+revoke execute on function public.lock_catalog_reference(text, uuid, text) from public, anon, authenticated;
+revoke execute on function public.save_catalog_entry(text, uuid, jsonb, uuid) from public, anon, authenticated;
+revoke execute on function public.archive_catalog_entry(text, uuid, uuid) from public, anon, authenticated;
@@ -0,0 +1,246 @@
+-- Credit cost and plan eligibility in book_session
+-- book_session is the single all-or-nothing authority for a booking, so it
+-- prices the session from its class (falling back to the class type) and
+-- checks the plan's eligibility rules itself instead of trusting the caller.
+-- The API still passes the cost it showed the customer; a different price
+-- raises CREDIT_COST_CHANGED rather than charging something unexpected.
+-- The rules mirror src/services/eligibility.js.
+
+-- Credits a booking for the session costs
+create or replace function public.session_credit_cost(p_session public.sessions)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(c.credit_cost, ct.credit_cost, 1)
+  from (select p_session.class_id as class_id) s
+  left join public.classes c on c.id = s.class_id
+  left join public.class_types ct on ct.id = c.class_type_id
+$$;
+
+-- Why a plan's eligibility rules do not cover a session, or null if they do.
+-- Unknown keys and malformed values are ignored, and an empty rule allows
+-- everything.
+create or replace function public.plan_eligibility_issue(p_eligibility jsonb, p_session public.sessions)
+returns text
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_class public.classes%rowtype;
+  v_class_type public.class_types%rowtype;
+  v_rules jsonb := case when jsonb_typeof(p_eligibility) = 'object' then p_eligibility else '{}'::jsonb end;
+  v_start_time text := left(p_session.session_time::text, 5);
+  v_values text[];
+begin
+  select * into v_class from public.classes where id = p_session.class_id;
+  select * into v_class_type from public.class_types where id = v_class.class_type_id;
+
+  if jsonb_typeof(v_rules -> 'categories') = 'array' then
+    select array_agg(lower(value)) into v_values
+    from jsonb_array_elements_text(v_rules -> 'categories');
+
+    if v_values is not null and (lower(v_class_type.category) = any (v_values)) is not true then
+      return format('Only valid for %s classes', array_to_string(v_values, ', '));
+    end if;
+  end if;
+
+  if jsonb_typeof(v_rules -> 'class_type_ids') = 'array' then
+    select array_agg(value) into v_values
+    from jsonb_array_elements_text(v_rules -> 'class_type_ids');
+
+    if v_values is not null and (v_class_type.id::text = any (v_values)) is not true then
+      return format('Not valid for %s', coalesce(v_class_type.name, 'this class'));
+    end if;
+  end if;
+
+  if jsonb_typeof(v_rules -> 'room_ids') = 'array' then
+    select array_agg(value) into v_values
+    from jsonb_array_elements_text(v_rules -> 'room_ids');
+
+    if v_values is not null
+      and (coalesce(p_session.room_id, v_class.room_id)::text = any (v_values)) is not true then
+      return 'Not valid in this room';
+    end if;
+  end if;
+
+  if jsonb_typeof(v_rules -> 'days_of_week') = 'array' then
+    select array_agg(value order by value) into v_values
+    from jsonb_array_elements_text(v_rules -> 'days_of_week')
+    where value ~ '^[0-6]$';
+
+    if v_values is not null
+      and not (extract(dow from p_session.session_date)::text = any (v_values)) then
+      return format('Only valid on %s', (
+        select string_agg(
+          (array['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'])[day::integer + 1],
+          ', '
+        )
+        from unnest(v_values) as day
+      ));
+    end if;
+  end if;
+
+  if jsonb_typeof(v_rules -> 'hours') = 'array' then
+    select array_agg(format('%s-%s', window_rule ->> 'from', window_rule ->> 'to')) into v_values
+    from jsonb_array_elements(v_rules -> 'hours') as window_rule
+    where window_rule ->> 'from' ~ '^([01]\d|2[0-3]):[0-5]\d$'
+      and window_rule ->> 'to' ~ '^([01]\d|2[0-3]):[0-5]\d$';
+
+    if v_values is not null and not exists (
+      select 1 from unnest(v_values) as hours
+      where split_part(hours, '-', 1) <= v_start_time
+        and v_start_time < split_part(hours, '-', 2)
+    ) then
+      return format('Only valid for classes starting %s', array_to_string(v_values, ' or '));
+    end if;
+  end if;
+
+  return null;
+end;
+$$;
+
+-- p_credit_cost is now only checked; drop the old signature so its default
+-- can change
+drop function if exists public.book_session(uuid, uuid, uuid, integer, uuid, uuid);
+
+create or replace function public.book_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_student_plan_id uuid,
+  p_credit_cost integer default null,
+  p_waitlist_entry_id uuid default null,
+  p_recurring_booking_id uuid default null
+)
+returns public.bookings
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session public.sessions%rowtype;
+  v_plan public.student_plans%rowtype;
+  v_credit_cost integer;
+  v_issue text;
+  v_active_count integer;
+  v_booking public.bookings%rowtype;
+begin
+  select * into v_session
+  from public.sessions
+  where id = p_session_id
+  for update;
+
+  if not found then
+    raise exception 'SESSION_NOT_FOUND';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'SESSION_NOT_AVAILABLE';
+  end if;
+
+  if exists (
+    select 1 from public.students
+    where id = p_student_id
+      and booking_blocked_until > now()
+  ) then
+    raise exception 'BOOKING_BLOCKED';
+  end if;
+
+  if p_recurring_booking_id is not null and not exists (
+    select 1 from public.recurring_bookings
+    where id = p_recurring_booking_id
+      and student_id = p_student_id
+      and class_id = v_session.class_id
+      and status = 'active'
+  ) then
+    raise exception 'RECURRING_BOOKING_NOT_FOUND';
+  end if;
+
+  if exists (
+    select 1 from public.bookings
+    where session_id = p_session_id
+      and student_id = p_student_id
+      and status = 'active'
+  ) then
+    raise exception 'ALREADY_BOOKED';
+  end if;
+
+  select count(*) into v_active_count
+  from public.bookings
+  where session_id = p_session_id
+    and status = 'active';
+
+  if v_active_count >= v_session.capacity then
+    raise exception 'SESSION_FULL';
+  end if;
+
+  v_credit_cost := public.session_credit_cost(v_session);
+
+  if p_credit_cost is not null and p_credit_cost <> v_credit_cost then
+    raise exception 'CREDIT_COST_CHANGED';
+  end if;
+
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+    and student_id = p_student_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.status <> 'active' or v_plan.end_date < current_date then
+    raise exception 'PLAN_NOT_ACTIVE';
+  end if;
+
+  if exists (
+    select 1 from public.plan_freezes
+    where student_plan_id = p_student_plan_id
+      and v_session.session_date between start_date and end_date
+  ) then
+    raise exception 'PLAN_FROZEN';
+  end if;
+
+  select public.plan_eligibility_issue(eligibility, v_session) into v_issue
+  from public.plans
+  where id = v_plan.plan_id;
+
+  if v_issue is not null then
+    raise exception 'PLAN_NOT_ELIGIBLE' using detail = v_issue;
+  end if;
+
+  if not v_plan.is_unlimited and v_plan.remaining_credits < v_credit_cost then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.bookings (student_id, session_id, student_plan_id, status, recurring_booking_id)
+  values (p_student_id, p_session_id, p_student_plan_id, 'active', p_recurring_booking_id)
+  returning * into v_booking;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => 'debit',
+    p_amount => v_credit_cost,
+    p_reference_id => v_booking.id,
+    p_reference_type => 'booking',
+    p_description => format('Booked session: %s at %s', v_session.session_date, v_session.session_time)
+  );
+
+  if p_waitlist_entry_id is not null then
+    update public.waitlist_entries
+    set status = 'promoted',
+        booking_id = v_booking.id,
+        status_reason = null,
+        updated_at = now()
+    where id = p_waitlist_entry_id
+      and status = 'waiting';
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+revoke execute on function public.book_session(uuid, uuid, uuid, integer, uuid, uuid) from public, anon, authenticated;
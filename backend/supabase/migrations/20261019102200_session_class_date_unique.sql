@@ -0,0 +1,30 @@
+-- One session per class and date
+-- A class has at most one session per date, so the scheduler, the admin
+-- endpoint and the CLI can run at the same time without creating
+-- duplicates. Duplicates an earlier overlapping run created are removed
+-- first, keeping the session with bookings if there is one. A duplicate
+-- with bookings or waitlist entries of its own is never deleted: the index
+-- then fails to build, and the migration with it, until an admin merges it.
+
+delete from public.sessions s
+using (
+  select id,
+         row_number() over (
+           partition by class_id, session_date
+           order by exists (select 1 from public.bookings b where b.session_id = sessions.id) desc, id
+         ) as position
+  from public.sessions
+) ranked
+where s.id = ranked.id
+  and ranked.position > 1
+  and not exists (select 1 from public.bookings b where b.session_id = s.id)
+  and not exists (select 1 from public.waitlist_entries w where w.session_id = s.id);
+
+drop index if exists public.sessions_class_date_idx;
+
+create unique index if not exists sessions_class_date_key
+  on public.sessions (class_id, session_date);
+
+-- Closures are managed through the admin API only
+alter table public.studio_closures enable row level security;
+revoke all on public.studio_closures from anon, authenticated;
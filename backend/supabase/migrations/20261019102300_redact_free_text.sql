@@ -0,0 +1,106 @@
+-- Redact free-text notes
+-- Booking notes, plan freeze reasons and credit adjustment notes are written
+-- by staff and customers and can hold health or personal details, so
+-- customers/redact clears them along with the profile. Customers redacted
+-- before this migration have theirs cleared here.
+
+-- Clear the free-text notes on a user's bookings, plan freezes and credit
+-- adjustments
+create or replace function public.redact_customer_notes(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.bookings
+  set notes = null
+  where notes is not null
+    and student_id in (select id from public.students where user_id = p_user_id);
+
+  update public.plan_freezes
+  set reason = null
+  where reason is not null
+    and student_plan_id in (
+      select sp.id
+      from public.student_plans sp
+      join public.students s on s.id = sp.student_id
+      where s.user_id = p_user_id
+    );
+
+  update public.credit_adjustments
+  set note = null,
+      decision_note = null
+  where (note is not null or decision_note is not null)
+    and student_id in (select id from public.students where user_id = p_user_id);
+end;
+$$;
+
+-- As before, and clears the customer's notes
+create or replace function public.redact_customer(p_shopify_customer_id text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid;
+begin
+  select id into v_user_id
+  from public.users
+  where shopify_customer_id = p_shopify_customer_id
+  for update;
+
+  if found then
+    update public.students
+    set full_name = 'Redacted customer',
+        birthdate = null,
+        phone_number = null,
+        allergies = null,
+        afflictions = null,
+        emergency_contact_name = null,
+        emergency_contact_phone = null,
+        fitness_level = null,
+        fitness_goals = null,
+        updated_at = now()
+    where user_id = v_user_id;
+
+    update public.users
+    set email = 'redacted+' || v_user_id || '@redacted.invalid',
+        first_name = 'Redacted',
+        last_name = '',
+        phone_number = null,
+        shopify_customer_id = null,
+        redacted_at = now(),
+        updated_at = now()
+    where id = v_user_id;
+
+    perform public.redact_customer_notes(v_user_id);
+
+    delete from public.notifications
+    where user_id = v_user_id
+       or student_id in (select id from public.students where user_id = v_user_id);
+
+    update public.compliance_requests
+    set export = null
+    where user_id = v_user_id;
+  end if;
+
+  -- Customer and order payloads carry names, emails and addresses
+  update public.webhook_events
+  set payload = null
+  where payload is not null
+    and (
+      (topic like 'customers/%' and payload->>'id' = p_shopify_customer_id)
+      or payload->'customer'->>'id' = p_shopify_customer_id
+    );
+
+  return v_user_id;
+end;
+$$;
+
+revoke execute on function public.redact_customer_notes(uuid) from public, anon, authenticated;
+
+select public.redact_customer_notes(id)
+from public.users
+where redacted_at is not null;
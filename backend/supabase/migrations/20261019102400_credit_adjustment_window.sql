@@ -0,0 +1,84 @@
+-- Credit adjustment approval over a window
+-- The approval threshold applies to the running total of a student's
+-- adjustments, not just to each one, so an adjustment split into smaller
+-- ones still needs a second staff member. Adjustments applied without
+-- approval in the last p_approval_window_days count towards the total.
+
+-- create_credit_adjustment gains p_approval_window_days; drop the old
+-- signature so existing calls fail loudly instead of skipping the window
+drop function if exists public.create_credit_adjustment(text, uuid, integer, text, uuid, integer, uuid, text);
+
+-- Record an adjustment. It is applied straight away when its amount, plus
+-- the adjustments applied to the student without approval in the last
+-- p_approval_window_days, is within p_approval_threshold, otherwise it waits
+-- for approval.
+create or replace function public.create_credit_adjustment(
+  p_type text,
+  p_student_plan_id uuid,
+  p_amount integer,
+  p_reason_code text,
+  p_requested_by uuid,
+  p_approval_threshold integer,
+  p_approval_window_days integer,
+  p_from_student_plan_id uuid default null,
+  p_note text default null
+)
+returns public.credit_adjustments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_adjustment public.credit_adjustments%rowtype;
+  v_student_id uuid;
+  v_recent_total integer;
+begin
+  select student_id into v_student_id
+  from public.student_plans
+  where id = p_student_plan_id;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  -- Serialize adjustments for the student so two requests cannot both fit
+  -- under the threshold
+  perform 1 from public.students where id = v_student_id for update;
+
+  -- Applied without a second approver (decided_by is only set by approval)
+  select coalesce(sum(amount), 0) into v_recent_total
+  from public.credit_adjustments
+  where student_id = v_student_id
+    and status = 'applied'
+    and decided_by is null
+    and created_at > now() - make_interval(days => p_approval_window_days);
+
+  insert into public.credit_adjustments (
+    student_id, student_plan_id, from_student_plan_id, type, amount,
+    reason_code, note, requested_by
+  )
+  values (
+    v_student_id, p_student_plan_id, p_from_student_plan_id, p_type, p_amount,
+    p_reason_code, p_note, p_requested_by
+  )
+  returning * into v_adjustment;
+
+  if v_recent_total + p_amount > p_approval_threshold then
+    -- Fail now rather than when an approver gets to it
+    perform public.apply_credit_adjustment(v_adjustment, true);
+    return v_adjustment;
+  end if;
+
+  perform public.apply_credit_adjustment(v_adjustment);
+
+  update public.credit_adjustments
+  set status = 'applied',
+      decided_at = now()
+  where id = v_adjustment.id
+  returning * into v_adjustment;
+
+  return v_adjustment;
+end;
+$$;
+
+revoke execute on function public.create_credit_adjustment(text, uuid, integer, text, uuid, integer, integer, uuid, text) from public, anon, authenticated;
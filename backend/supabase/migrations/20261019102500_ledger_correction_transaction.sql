@@ -0,0 +1,79 @@
+-- Ledger corrections through create_credit_transaction
+-- record_ledger_correction writes its 'adjustment' entry through
+-- create_credit_transaction like every other ledger entry, instead of
+-- inserting into credit_transactions directly. Plans whose stored balance is
+-- itself suspect (e.g. moved by a refund in the wrong direction) are only
+-- reported by the reconciliation job, never corrected.
+
+-- Record a plan's unexplained balance difference as a correcting ledger
+-- entry. The difference is recomputed under the plan's row lock. Returns
+-- the new transaction, or null if the plan is unlimited or already balanced.
+create or replace function public.record_ledger_correction(
+  p_student_plan_id uuid,
+  p_description text default 'Balance correction after ledger reconciliation'
+)
+returns public.credit_transactions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_plan public.student_plans%rowtype;
+  v_ledger_balance integer;
+  v_difference integer;
+  v_transaction public.credit_transactions%rowtype;
+begin
+  select * into v_plan
+  from public.student_plans
+  where id = p_student_plan_id
+  for update;
+
+  if not found then
+    raise exception 'PLAN_NOT_FOUND';
+  end if;
+
+  if v_plan.is_unlimited then
+    return null;
+  end if;
+
+  select v_plan.initial_credits
+    + coalesce(sum(case when transaction_type = 'debit' then -amount else amount end), 0)
+  into v_ledger_balance
+  from public.credit_transactions
+  where student_plan_id = p_student_plan_id;
+
+  v_difference := v_plan.remaining_credits - v_ledger_balance;
+
+  if v_difference = 0 then
+    return null;
+  end if;
+
+  -- The entry goes through create_credit_transaction like every other
+  -- ledger entry. Rewind the balance to where the ledger left it, so the
+  -- entry moves it from the ledger balance back to the stored balance
+  update public.student_plans
+  set remaining_credits = v_ledger_balance
+  where id = p_student_plan_id;
+
+  perform public.create_credit_transaction(
+    p_student_plan_id => p_student_plan_id,
+    p_transaction_type => case when v_difference > 0 then 'credit' else 'debit' end,
+    p_amount => abs(v_difference),
+    p_reference_id => p_student_plan_id,
+    p_reference_type => 'adjustment',
+    p_description => p_description
+  );
+
+  select * into v_transaction
+  from public.credit_transactions
+  where student_plan_id = p_student_plan_id
+    and reference_type = 'adjustment'
+    and reference_id = p_student_plan_id
+  order by created_at desc, id desc
+  limit 1;
+
+  return v_transaction;
+end;
+$$;
+
+revoke execute on function public.record_ledger_correction(uuid, text) from public, anon, authenticated;
@@ -0,0 +1,150 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+jest.mock('../src/services/shopify');
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+const { createShopifyClient } = require('../src/services/shopify');
+const { verifyShopifySessionToken } = require('../src/middleware/auth');
+
+const SHOP = 'test-studio.myshopify.com';
+const CUSTOMER_ID = '7001';
+
+// A customer account session token as Shopify signs it, with overrides
+function sessionToken(overrides = {}, secret = process.env.SHOPIFY_API_SECRET) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return jwt.sign({
+    iss: `https://${SHOP}/admin`,
+    dest: `https://${SHOP}`,
+    aud: process.env.SHOPIFY_API_KEY,
+    sub: `gid://shopify/Customer/${CUSTOMER_ID}`,
+    exp: now + 60,
+    nbf: now - 5,
+    iat: now - 5,
+    jti: 'f8912129-1af6-4cad-9ca3-76b0f7621087',
+    sid: 'aaea182f-1e53-4b8a-8d33-7e2e4bbe5a7f',
+    ...overrides
+  }, secret, { algorithm: 'HS256' });
+}
+
+describe('verifyShopifySessionToken', () => {
+  test('accepts a valid token and returns the customer and shop', () => {
+    const session = verifyShopifySessionToken(sessionToken());
+
+    expect(session.customerId).toBe(CUSTOMER_ID);
+    expect(session.shopDomain).toBe(SHOP);
+  });
+
+  test('rejects a token signed with another secret', () => {
+    expect(() => verifyShopifySessionToken(sessionToken({}, 'not-the-app-secret')))
+      .toThrow(jwt.JsonWebTokenError);
+  });
+
+  test('rejects a token issued to another app', () => {
+    expect(() => verifyShopifySessionToken(sessionToken({ aud: 'another-api-key' })))
+      .toThrow('jwt audience invalid');
+  });
+
+  test('rejects a token issued for another shop', () => {
+    expect(() => verifyShopifySessionToken(sessionToken({ dest: 'https://other-shop.myshopify.com' })))
+      .toThrow('Session token was issued for a different shop');
+  });
+
+  test('rejects an expired token', () => {
+    const past = Math.floor(Date.now() / 1000) - 600;
+
+    expect(() => verifyShopifySessionToken(sessionToken({ exp: past, nbf: past - 60, iat: past - 60 })))
+      .toThrow(jwt.TokenExpiredError);
+  });
+
+  test('rejects a token without a customer', () => {
+    expect(() => verifyShopifySessionToken(sessionToken({ sub: undefined })))
+      .toThrow('Session token does not identify a customer');
+  });
+});
+
+describe('POST /api/auth/shopify-login', () => {
+  const getCustomer = jest.fn();
+
+  beforeEach(() => {
+    supabase.reset({ unique: { users: [['shopify_customer_id']] } });
+    getCustomer.mockReset().mockResolvedValue({
+      id: CUSTOMER_ID,
+      email: 'alex@example.com',
+      first_name: 'Alex',
+      last_name: 'Moreno',
+      phone: null
+    });
+    createShopifyClient.mockReturnValue({ getCustomer });
+  });
+
+  const login = (body, token = sessionToken()) => request(app)
+    .post('/api/auth/shopify-login')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  test('creates a new user from the Shopify customer, not the request body', async () => {
+    const res = await login({ email: 'someone-else@example.com', first_name: 'Alex' });
+
+    expect(res.status).toBe(200);
+    expect(getCustomer).toHaveBeenCalledWith(CUSTOMER_ID);
+    expect(res.body.data.user.email).toBe('alex@example.com');
+    expect(supabase.table('users')).toEqual([
+      expect.objectContaining({ shopify_customer_id: CUSTOMER_ID, email: 'alex@example.com', role: 'user' })
+    ]);
+    expect(jwt.verify(res.body.data.token, process.env.JWT_SECRET).userId)
+      .toBe(supabase.table('users')[0].id);
+  });
+
+  test('creates the student profile without a birthdate', async () => {
+    await login({});
+
+    expect(supabase.table('students')).toEqual([
+      expect.objectContaining({ full_name: 'Alex Moreno', birthdate: null })
+    ]);
+  });
+
+  test('does not overwrite an existing user\'s email', async () => {
+    supabase.seed('users', {
+      id: 'user-1',
+      shopify_customer_id: CUSTOMER_ID,
+      email: 'alex@example.com',
+      first_name: 'Alex',
+      last_name: 'Moreno',
+      role: 'user'
+    });
+
+    const res = await login({ email: 'attacker@example.com', first_name: 'Alexandra' });
+
+    expect(res.status).toBe(200);
+    expect(getCustomer).not.toHaveBeenCalled();
+    expect(supabase.table('users')[0]).toMatchObject({ email: 'alex@example.com', first_name: 'Alexandra' });
+  });
+
+  test('returns 404 when Shopify does not know the customer', async () => {
+    getCustomer.mockResolvedValue(null);
+
+    const res = await login({});
+
+    expect(res.status).toBe(404);
+    expect(supabase.table('users')).toEqual([]);
+  });
+
+  test('returns 401 for a token signed with another secret', async () => {
+    const res = await login({}, sessionToken({}, 'not-the-app-secret'));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  test('returns 401 for an expired token', async () => {
+    const past = Math.floor(Date.now() / 1000) - 600;
+    const res = await login({}, sessionToken({ exp: past, nbf: past - 60, iat: past - 60 }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Token expired');
+  });
+});
@@ -0,0 +1,41 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { BookingError, createBooking } = require('../src/services/bookings');
+
+const SESSION = { id: 'session-1', session_date: '2099-01-05', session_time: '18:00' };
+
+const raise = (code, details) => Object.assign(new Error(code), { code: 'P0001', details });
+
+describe('createBooking', () => {
+  test('passes the credit cost shown to the customer for book_session to check', async () => {
+    supabase.reset({ rpcs: { book_session: args => ({ id: 'booking-1', session_id: args.p_session_id }) } });
+
+    await createBooking({ studentId: 'student-1', session: SESSION, studentPlanId: 'plan-1', creditCost: 2 });
+
+    expect(supabase.calls()).toEqual([{
+      rpc: 'book_session',
+      args: expect.objectContaining({ p_session_id: 'session-1', p_student_plan_id: 'plan-1', p_credit_cost: 2 })
+    }]);
+  });
+
+  test('reports the rule an ineligible plan fails', async () => {
+    supabase.reset({ rpcs: { book_session: () => { throw raise('PLAN_NOT_ELIGIBLE', 'Only valid for yoga classes'); } } });
+
+    const attempt = createBooking({ studentId: 'student-1', session: SESSION, studentPlanId: 'plan-1', creditCost: 2 });
+
+    await expect(attempt).rejects.toBeInstanceOf(BookingError);
+    await expect(attempt).rejects.toMatchObject({
+      status: 409,
+      error: 'Plan not eligible',
+      details: { reasons: ['Only valid for yoga classes'] }
+    });
+  });
+
+  test('refuses a booking whose price changed', async () => {
+    supabase.reset({ rpcs: { book_session: () => { throw raise('CREDIT_COST_CHANGED'); } } });
+
+    await expect(createBooking({ studentId: 'student-1', session: SESSION, studentPlanId: 'plan-1', creditCost: 1 }))
+      .rejects.toMatchObject({ code: 'CREDIT_COST_CHANGED', status: 409, error: 'Price changed' });
+  });
+});
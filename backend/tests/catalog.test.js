@@ -0,0 +1,84 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const {
+  CatalogError,
+  createCatalogEntry,
+  updateCatalogEntry,
+  archiveCatalogEntry
+} = require('../src/services/catalog');
+
+const ROOM_ID = '6f1c2b1e-5d1a-4a57-9d43-2f0f6c7c1a01';
+const ADMIN = { actorId: 'admin-1' };
+
+const raise = (code, details) => Object.assign(new Error(code), { code: 'P0001', details });
+
+const rpcCalls = () => supabase.calls().filter(call => call.rpc);
+
+beforeEach(() => {
+  supabase.reset({
+    rpcs: {
+      save_catalog_entry: ({ p_id, p_values }) => ({ id: p_id || ROOM_ID, ...p_values }),
+      archive_catalog_entry: ({ p_id }) => ({ id: p_id, is_active: false })
+    }
+  });
+});
+
+describe('catalog writes', () => {
+  test('creates an entry with the validated values in one call', async () => {
+    const room = await createCatalogEntry('room', { name: '  Studio B ', capacity: '14' }, ADMIN);
+
+    expect(room).toEqual({ id: ROOM_ID, name: 'Studio B', capacity: 14 });
+    expect(rpcCalls()).toEqual([{
+      rpc: 'save_catalog_entry',
+      args: { p_entity: 'room', p_id: null, p_values: { name: 'Studio B', capacity: 14 }, p_actor_id: 'admin-1' }
+    }]);
+  });
+
+  test('updates and archives through the database functions only', async () => {
+    await updateCatalogEntry('room', ROOM_ID, { capacity: 10 }, ADMIN);
+    await archiveCatalogEntry('room', ROOM_ID, ADMIN);
+
+    expect(rpcCalls().map(call => call.rpc)).toEqual(['save_catalog_entry', 'archive_catalog_entry']);
+    expect(supabase.calls().filter(call => call.table)).toEqual([]);
+  });
+
+  test('does not call the database for invalid input', async () => {
+    await expect(createCatalogEntry('room', { name: 'Studio B' }, ADMIN))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED', status: 400 });
+    expect(rpcCalls()).toEqual([]);
+  });
+
+  test('reports a dependency found in the transaction with its message', async () => {
+    supabase.reset({
+      rpcs: {
+        archive_catalog_entry: () => {
+          throw raise('IN_USE', 'This room is used by 1 active class and 3 upcoming sessions');
+        }
+      }
+    });
+
+    const attempt = archiveCatalogEntry('room', ROOM_ID, ADMIN);
+
+    await expect(attempt).rejects.toBeInstanceOf(CatalogError);
+    await expect(attempt).rejects.toMatchObject({
+      code: 'IN_USE',
+      status: 409,
+      message: 'This room is used by 1 active class and 3 upcoming sessions'
+    });
+  });
+
+  test('names the entity that was not found', async () => {
+    supabase.reset({ rpcs: { save_catalog_entry: () => { throw raise('NOT_FOUND'); } } });
+
+    await expect(updateCatalogEntry('class_type', ROOM_ID, { name: 'Yin' }, ADMIN))
+      .rejects.toMatchObject({ status: 404, message: 'Class type not found' });
+  });
+
+  test('fails without saving when the database errors unexpectedly', async () => {
+    supabase.reset({ rpcs: { save_catalog_entry: () => { throw new Error('deadlock detected'); } } });
+
+    await expect(updateCatalogEntry('room', ROOM_ID, { capacity: 10 }, ADMIN))
+      .rejects.toMatchObject({ status: 500, error: 'Database error' });
+  });
+});
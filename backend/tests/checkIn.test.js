@@ -0,0 +1,92 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+const { generateToken } = require('../src/middleware/auth');
+const { checkInBooking, createCheckInCodes } = require('../src/services/checkIn');
+
+const FRONT_DESK = { id: 'staff-1', role: 'front_desk' };
+
+const session = date => ({ id: `session-${date}`, session_date: date, session_time: '19:00', status: 'scheduled' });
+
+const booking = sessionData => ({
+  id: `booking-${sessionData.session_date}`,
+  session_id: sessionData.id,
+  status: 'active',
+  check_in_time: null,
+  student: { id: 'student-1', full_name: 'Alex Moreno' }
+});
+
+describe('checkInBooking on the day of the session', () => {
+  beforeAll(() => {
+    // 20:00 on the 19th in the studio (tests/globalSetup.js), already the
+    // 20th in UTC
+    jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') });
+  });
+
+  afterAll(() => jest.useRealTimers());
+
+  beforeEach(() => {
+    const today = session('2026-10-19');
+    const tomorrow = session('2026-10-20');
+    supabase.reset({
+      tables: {
+        sessions: [today, tomorrow],
+        bookings: [booking(today), booking(tomorrow)]
+      }
+    });
+  });
+
+  const codeFor = date => createCheckInCodes({ id: `booking-${date}`, session: session(date) }).token;
+
+  test('checks in a session held today in the studio\'s time zone', async () => {
+    const checkedIn = await checkInBooking({
+      code: codeFor('2026-10-19'),
+      sessionId: 'session-2026-10-19',
+      staff: FRONT_DESK
+    });
+
+    expect(checkedIn).toMatchObject({ id: 'booking-2026-10-19', checked_in_by: 'staff-1' });
+  });
+
+  test('refuses a session that is only today in UTC', async () => {
+    await expect(checkInBooking({
+      code: codeFor('2026-10-20'),
+      sessionId: 'session-2026-10-20',
+      staff: FRONT_DESK
+    })).rejects.toMatchObject({ code: 'WRONG_DAY' });
+  });
+
+  test('lists the evening\'s sessions as today\'s', async () => {
+    supabase.reset({
+      tables: {
+        users: [FRONT_DESK],
+        sessions: [{ ...session('2026-10-19'), id: 'session-late', session_time: '21:00', booking_cutoff_minutes: 30 }]
+      }
+    });
+
+    const res = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${generateToken(FRONT_DESK.id)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(listed => listed.id)).toEqual(['session-late']);
+  });
+});
+
+describe('check-in codes', () => {
+  const secret = process.env.CHECK_IN_SECRET;
+
+  afterEach(() => {
+    process.env.CHECK_IN_SECRET = secret;
+  });
+
+  test('are not signed with the login secret', () => {
+    delete process.env.CHECK_IN_SECRET;
+
+    expect(() => createCheckInCodes({ id: 'booking-1', session: session('2026-10-19') }))
+      .toThrow('CHECK_IN_SECRET is not configured');
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { exportCustomerData } = require('../src/services/compliance');
+
+const USER = { id: 'user-1', email: 'alex@example.com' };
+
+beforeEach(() => {
+  supabase.reset({
+    tables: {
+      students: [{ id: 'student-1', user_id: 'user-1', full_name: 'Alex Moreno' }],
+      bookings: [{ id: 'booking-1', student_id: 'student-1', notes: 'Recovering from a knee injury' }],
+      student_plans: [{ id: 'plan-1', student_id: 'student-1' }],
+      plan_freezes: [
+        { id: 'freeze-1', student_plan_id: 'plan-1', start_date: '2026-08-01', reason: 'Surgery' },
+        { id: 'freeze-other', student_plan_id: 'plan-other', start_date: '2026-08-01', reason: 'Travel' }
+      ],
+      credit_adjustments: [
+        { id: 'adjustment-1', student_id: 'student-1', student_plan_id: 'plan-1', note: 'Class cancelled on short notice' },
+        { id: 'adjustment-other', student_id: 'student-other', student_plan_id: 'plan-other', note: 'Goodwill' }
+      ]
+    }
+  });
+});
+
+describe('exportCustomerData', () => {
+  test('includes booking notes, freeze reasons and adjustment notes', async () => {
+    const exported = await exportCustomerData(USER);
+
+    expect(exported.bookings).toEqual([expect.objectContaining({ notes: 'Recovering from a knee injury' })]);
+    expect(exported.plan_freezes).toEqual([expect.objectContaining({ id: 'freeze-1', reason: 'Surgery' })]);
+    expect(exported.credit_adjustments).toEqual([
+      expect.objectContaining({ id: 'adjustment-1', note: 'Class cancelled on short notice' })
+    ]);
+  });
+
+  test('exports no freezes or adjustments for a customer without students', async () => {
+    const exported = await exportCustomerData({ id: 'user-2' });
+
+    expect(exported).toMatchObject({ students: [], plan_freezes: [], credit_adjustments: [] });
+  });
+});
@@ -0,0 +1,32 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { requestAdjustment } = require('../src/services/creditAdjustments');
+
+const PLAN_ID = '8d4a6f0e-2c1b-4e3a-9f5d-7b6c5a4d3e21';
+
+beforeEach(() => {
+  supabase.reset({
+    rpcs: {
+      create_credit_adjustment: args => ({ id: 'adjustment-1', amount: args.p_amount, status: 'applied' })
+    }
+  });
+});
+
+describe('requestAdjustment', () => {
+  test('passes the approval threshold and the window its running total covers', async () => {
+    await requestAdjustment(
+      { type: 'grant', student_plan_id: PLAN_ID, amount: 2, reason_code: 'goodwill' },
+      { requestedBy: 'staff-1' }
+    );
+
+    expect(supabase.calls()).toEqual([{
+      rpc: 'create_credit_adjustment',
+      args: expect.objectContaining({
+        p_amount: 2,
+        p_approval_threshold: 5,
+        p_approval_window_days: 30
+      })
+    }]);
+  });
+});
@@ -0,0 +1,6 @@
+// Run every suite in a studio time zone behind UTC, so code that mixes up
+// the UTC date and the studio's local date fails in the evening test cases.
+// Set here because test files only get a copy of process.env.
+module.exports = () => {
+  process.env.TZ = 'America/Los_Angeles';
+};
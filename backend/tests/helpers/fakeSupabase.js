@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the Supabase client. Implements the query builder
+// calls the services make (filters, ordering, ranges, single rows, insert,
+// upsert, update, delete) and rpc. Selects return at most 1000 rows, like
+// PostgREST. Rows are returned with the columns a select string lists;
+// embedded resources are not joined, their alias is taken from the row as
+// seeded. Use it with:
+//
+//   jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+//   const { supabase } = require('../src/config/supabase');
+//   supabase.reset({
+//     tables: { users: [...] },
+//     unique: { users: [['email']] },
+//     defaults: { users: { role: 'user' } }
+//   });
+
+// PostgREST's default max-rows: no response has more rows than this
+const MAX_ROWS = 1000;
+
+const copy = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// PostgREST sends every filter value as text, so 1 matches '1'
+const sameValue = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a < b ? -1 : 1;
+};
+
+// The keys a select string returns from a row, or null for every column
+function selectedKeys(columns) {
+  if (!columns) {
+    return null;
+  }
+
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const char of columns.replace(/\s+/g, '')) {
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+    current += char;
+  }
+  items.push(current);
+
+  if (items.includes('*')) {
+    return null;
+  }
+
+  // alias:table!hint(...), alias:column or column
+  return items.filter(Boolean).map(item => item.split(/[:!(]/)[0]);
+}
+
+const project = (row, keys) => (keys ? Object.fromEntries(keys.filter(key => key in row).map(key => [key, row[key]])) : row);
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.singleMode = null;
+    this.headOnly = false;
+    this.keys = null;
+  }
+
+  select(columns, options = {}) {
+    if (this.action !== 'select') {
+      this.returning = true;
+    }
+    this.keys = selectedKeys(columns);
+    this.headOnly = Boolean(options.head);
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.patch = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) { return this.where(row => sameValue(row[column], value)); }
+  neq(column, value) { return this.where(row => !sameValue(row[column], value)); }
+  gt(column, value) { return this.where(row => row[column] != null && row[column] > value); }
+  gte(column, value) { return this.where(row => row[column] != null && row[column] >= value); }
+  lt(column, value) { return this.where(row => row[column] != null && row[column] < value); }
+  lte(column, value) { return this.where(row => row[column] != null && row[column] <= value); }
+  in(column, values) { return this.where(row => values.some(value => sameValue(row[column], value))); }
+  is(column, value) { return this.where(row => (row[column] ?? null) === value); }
+
+  not(column, operator, value) {
+    if (operator !== 'is') {
+      throw new Error(`fakeSupabase: not(${operator}) is not supported`);
+    }
+    return this.where(row => (row[column] ?? null) !== value);
+  }
+
+  or() {
+    throw new Error('fakeSupabase: or() is not supported');
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  execute() {
+    const { db, table } = this;
+    db.calls.push({ table, action: this.action, values: copy(this.values), patch: copy(this.patch) });
+
+    const failure = db.takeFailure(table, this.action);
+    if (failure) {
+      return { data: null, error: failure, count: null };
+    }
+
+    const rows = db.rows(table);
+    let result;
+
+    switch (this.action) {
+      case 'insert': {
+        const inserted = this.values.map(value => db.newRow(table, value));
+        const conflict = db.findConflict(table, inserted);
+        if (conflict) {
+          return { data: null, error: conflict, count: null };
+        }
+        rows.push(...inserted);
+        result = inserted;
+        break;
+      }
+      case 'upsert': {
+        const columns = (this.upsertOptions.onConflict || 'id').split(',').map(column => column.trim());
+        result = [];
+        for (const value of this.values) {
+          const existing = rows.find(row => columns.every(column => sameValue(row[column], value[column])));
+          if (existing) {
+            if (!this.upsertOptions.ignoreDuplicates) {
+              Object.assign(existing, copy(value));
+              result.push(existing);
+            }
+          } else {
+            const row = db.newRow(table, value);
+            rows.push(row);
+            result.push(row);
+          }
+        }
+        break;
+      }
+      case 'update':
+        result = rows.filter(row => this.matches(row));
+        result.forEach(row => Object.assign(row, copy(this.patch)));
+        break;
+      case 'delete':
+        result = rows.filter(row => this.matches(row));
+        db.tables[table] = rows.filter(row => !result.includes(row));
+        break;
+      default:
+        result = rows.filter(row => this.matches(row));
+    }
+
+    if (this.action === 'select') {
+      for (const { column, ascending } of [...this.orders].reverse()) {
+        result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      }
+
+      const count = result.length;
+      if (this.headOnly) {
+        return { data: null, error: null, count };
+      }
+
+      result = result.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1).slice(0, MAX_ROWS);
+    } else if (!this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    return db.shape(copy(result.map(row => project(row, this.keys))), this.singleMode);
+  }
+}
+
+function createFakeSupabase() {
+  const db = {
+    tables: {},
+    unique: {},
+    defaults: {},
+    rpcs: {},
+    failures: [],
+    calls: [],
+
+    rows(table) {
+      if (!this.tables[table]) {
+        this.tables[table] = [];
+      }
+      return this.tables[table];
+    },
+
+    // A new row with the table's column defaults; a function default is
+    // called for each row
+    newRow(table, value) {
+      const defaults = Object.entries(this.defaults[table] || {}).map(([column, fallback]) =>
+        [column, typeof fallback === 'function' ? fallback() : fallback]);
+
+      return {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...Object.fromEntries(defaults),
+        ...copy(value)
+      };
+    },
+
+    // A unique violation like Postgres reports it, or null
+    findConflict(table, inserted) {
+      const keys = [['id'], ...(this.unique[table] || [])];
+      const existing = this.rows(table);
+
+      for (const columns of keys) {
+        const seen = new Set(existing.map(row => JSON.stringify(columns.map(column => row[column]))));
+
+        for (const row of inserted) {
+          const key = JSON.stringify(columns.map(column => row[column]));
+          if (columns.some(column => row[column] == null)) continue;
+          if (seen.has(key)) {
+            return {
+              code: '23505',
+              message: `duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`
+            };
+          }
+          seen.add(key);
+        }
+      }
+
+      return null;
+    },
+
+    takeFailure(table, action) {
+      const index = this.failures.findIndex(failure =>
+        failure.table === table && (!failure.action || failure.action === action));
+      return index === -1 ? null : this.failures.splice(index, 1)[0].error;
+    },
+
+    shape(rows, singleMode) {
+      if (!singleMode) {
+        return { data: rows, error: null, count: null };
+      }
+      if (rows.length > 1 || (singleMode === 'single' && rows.length === 0)) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+          count: null
+        };
+      }
+      return { data: rows[0] ?? null, error: null, count: null };
+    }
+  };
+
+  return {
+    from: table => new FakeQuery(db, table),
+
+    // Database functions are given as rpcs: { name(args, db) }. Throwing
+    // an Error returns it as the call's error, like a raised exception; set
+    // error.details for a raise ... using detail.
+    rpc(name, args = {}) {
+      db.calls.push({ rpc: name, args: copy(args) });
+
+      return Promise.resolve().then(() => {
+        const fn = db.rpcs[name];
+        if (!fn) {
+          throw new Error(`fakeSupabase: no rpc ${name}`);
+        }
+        return fn(copy(args), db);
+      }).then(
+        data => ({ data: copy(data ?? null), error: null }),
+        error => ({ data: null, error: { message: error.message, code: error.code, details: error.details } })
+      );
+    },
+
+    // Replace the whole database
+    reset({ tables = {}, unique = {}, defaults = {}, rpcs = {} } = {}) {
+      db.tables = copy(tables);
+      db.unique = unique;
+      db.defaults = defaults;
+      db.rpcs = rpcs;
+      db.failures = [];
+      db.calls = [];
+    },
+
+    // Make the next matching query on a table fail with the given error
+    fail(table, action, error) {
+      db.failures.push({ table, action, error });
+    },
+
+    // Add rows to a table, as copies
+    seed(table, ...rows) {
+      db.rows(table).push(...rows.map(row => copy(row)));
+    },
+
+    table: name => db.rows(name),
+    calls: () => db.calls
+  };
+}
+
+// The shape of src/config/supabase.js, for jest.mock
+function mockModule() {
+  const client = createFakeSupabase();
+  return {
+    supabase: client,
+    supabaseAnon: client,
+    supabaseUrl: 'http://localhost:54321'
+  };
+}
+
+module.exports = {
+  createFakeSupabase,
+  mockModule
+};
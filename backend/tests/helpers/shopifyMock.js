@@ -0,0 +1,100 @@
+const http = require('http');
+
+// Local stand-in for the Shopify Admin GraphQL API. Answers the products and
+// customer queries sent by services/shopify.js from an in-memory store, with
+// cursor pagination, and rejects requests without the access token. Point a
+// client at it with createShopifyClient({ baseUrl: mock.url }) or
+// SHOPIFY_ADMIN_API_URL.
+
+const GRAPHQL_PATH = /^\/admin\/api\/[^/]+\/graphql\.json$/;
+
+// A product node as the GraphQL API returns it
+function productNode({ id, title, status = 'ACTIVE', productType = '', tags = ['class-plan'], descriptionHtml = '', metafields = [], variants = [] }) {
+  return {
+    legacyResourceId: String(id),
+    title,
+    descriptionHtml,
+    productType,
+    status,
+    tags,
+    metafields: { nodes: metafields },
+    variants: {
+      nodes: variants.map(variant => ({
+        legacyResourceId: String(variant.id),
+        title: variant.title,
+        price: variant.price,
+        metafields: { nodes: variant.metafields || [] }
+      }))
+    }
+  };
+}
+
+// A customer node as the GraphQL API returns it
+function customerNode({ id, email, firstName = null, lastName = null, phone = null }) {
+  return { legacyResourceId: String(id), email, firstName, lastName, phone };
+}
+
+function answer(state, { query, variables }) {
+  if (/\bproducts\(/.test(query)) {
+    const start = variables.cursor ? Number(variables.cursor) : 0;
+    const nodes = state.products.slice(start, start + variables.pageSize);
+    const end = start + nodes.length;
+
+    return {
+      data: {
+        products: {
+          pageInfo: { hasNextPage: end < state.products.length, endCursor: String(end) },
+          nodes
+        }
+      }
+    };
+  }
+
+  if (/\bcustomer\(/.test(query)) {
+    const id = variables.id.split('/').pop();
+    return { data: { customer: state.customers.find(customer => customer.legacyResourceId === id) || null } };
+  }
+
+  return { errors: [{ message: 'Query not supported by the Shopify mock' }] };
+}
+
+async function startShopifyMock({ accessToken = process.env.SHOPIFY_ACCESS_TOKEN } = {}) {
+  const state = { products: [], customers: [], requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.method !== 'POST' || !GRAPHQL_PATH.test(req.url)) {
+        return send(404, { errors: 'Not Found' });
+      }
+
+      if (req.headers['x-shopify-access-token'] !== accessToken) {
+        return send(401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+      }
+
+      const request = JSON.parse(body);
+      state.requests.push(request);
+      send(200, answer(state, request));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    setProducts: products => { state.products = products.map(productNode); },
+    setCustomers: customers => { state.customers = customers.map(customerNode); },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startShopifyMock
+};
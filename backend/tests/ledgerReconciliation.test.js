@@ -0,0 +1,123 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { reconcileCredits } = require('../src/services/ledgerReconciliation');
+
+const pack = (id, overrides = {}) => ({
+  id,
+  student_id: 'student-1',
+  status: 'active',
+  is_unlimited: false,
+  initial_credits: 10,
+  remaining_credits: 10,
+  plan: { name: '10 Class Pack' },
+  ...overrides
+});
+
+let clock = 0;
+const entry = (planId, type, amount, before, after, reference = {}) => ({
+  id: `tx-${++clock}`,
+  student_plan_id: planId,
+  transaction_type: type,
+  amount,
+  balance_before: before,
+  balance_after: after,
+  reference_id: reference.id || null,
+  reference_type: reference.type || null,
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, clock)).toISOString()
+});
+
+// record_ledger_correction as far as these tests need it
+const recordLedgerCorrection = ({ p_student_plan_id }, db) => {
+  const plan = db.rows('student_plans').find(row => row.id === p_student_plan_id);
+  const ledger = db.rows('credit_transactions')
+    .filter(tx => tx.student_plan_id === plan.id)
+    .reduce((balance, tx) => balance + (tx.transaction_type === 'debit' ? -tx.amount : tx.amount), plan.initial_credits);
+  const difference = plan.remaining_credits - ledger;
+  const correction = {
+    ...entry(plan.id, difference > 0 ? 'credit' : 'debit', Math.abs(difference), ledger, plan.remaining_credits,
+      { id: plan.id, type: 'adjustment' }),
+    id: `correction-${plan.id}`
+  };
+  db.rows('credit_transactions').push(correction);
+  return correction;
+};
+
+beforeEach(() => {
+  supabase.reset({ rpcs: { record_ledger_correction: recordLedgerCorrection } });
+});
+
+describe('reconcileCredits', () => {
+  test('reports nothing for balanced plans', async () => {
+    supabase.seed('student_plans', pack('plan-1', { remaining_credits: 9 }));
+    supabase.seed('bookings', { id: 'booking-1', student_plan_id: 'plan-1', status: 'active' });
+    supabase.seed('credit_transactions', entry('plan-1', 'debit', 1, 10, 9, { id: 'booking-1', type: 'booking' }));
+
+    const summary = await reconcileCredits();
+
+    expect(summary).toMatchObject({ plans_checked: 1, mismatches: 0, credits_unexplained: 0 });
+  });
+
+  test('sums the absolute differences', async () => {
+    supabase.seed('student_plans',
+      pack('plan-up', { remaining_credits: 12 }),
+      pack('plan-down', { remaining_credits: 8 })
+    );
+
+    const summary = await reconcileCredits();
+
+    expect(summary.plans.map(plan => plan.difference).sort()).toEqual([-2, 2]);
+    expect(summary.credits_unexplained).toBe(4);
+  });
+
+  test('corrects a balance changed outside the ledger', async () => {
+    supabase.seed('student_plans', pack('plan-1', { remaining_credits: 12 }));
+
+    const summary = await reconcileCredits({ fix: true });
+
+    expect(summary).toMatchObject({ corrected: 1, needs_review: 0 });
+    expect(summary.plans[0].causes[0].code).toBe('changed_after_last_entry');
+    expect(summary.plans[0].correction_transaction_id).toBe('correction-plan-1');
+    expect(supabase.calls()).toContainEqual({ rpc: 'record_ledger_correction', args: { p_student_plan_id: 'plan-1' } });
+  });
+
+  test('reports but does not correct a plan whose balance a wrong-direction refund moved', async () => {
+    // The cancellation refund was recorded as a credit but took the credit away
+    supabase.seed('student_plans', pack('plan-1', { remaining_credits: 8 }));
+    supabase.seed('bookings', { id: 'booking-1', student_plan_id: 'plan-1', status: 'cancelled' });
+    supabase.seed('credit_transactions',
+      entry('plan-1', 'debit', 1, 10, 9, { id: 'booking-1', type: 'booking' }),
+      entry('plan-1', 'credit', 1, 9, 8, { id: 'booking-1', type: 'cancellation' })
+    );
+
+    const summary = await reconcileCredits({ fix: true });
+
+    expect(summary).toMatchObject({ mismatches: 1, needs_review: 1, corrected: 0 });
+    expect(summary.plans[0]).toMatchObject({ needs_review: true, difference: -2 });
+    expect(summary.plans[0].causes.map(cause => cause.code)).toContain('wrong_direction');
+    expect(supabase.calls().filter(call => call.rpc)).toEqual([]);
+  });
+
+  test('reports unlimited plans with bookings that were never debited', async () => {
+    supabase.seed('student_plans', pack('plan-unlimited', {
+      is_unlimited: true,
+      initial_credits: 0,
+      remaining_credits: 0,
+      plan: { name: 'Unlimited Monthly' }
+    }));
+    supabase.seed('bookings',
+      { id: 'booking-debited', student_plan_id: 'plan-unlimited', status: 'active' },
+      { id: 'booking-skipped', student_plan_id: 'plan-unlimited', status: 'active' }
+    );
+    supabase.seed('credit_transactions',
+      entry('plan-unlimited', 'debit', 1, null, null, { id: 'booking-debited', type: 'booking' }));
+
+    const summary = await reconcileCredits({ fix: true });
+
+    expect(summary).toMatchObject({ plans_checked: 1, mismatches: 1, needs_review: 1, corrected: 0 });
+    expect(summary.plans[0]).toMatchObject({ is_unlimited: true, difference: 0 });
+    expect(summary.plans[0].causes).toEqual([
+      expect.objectContaining({ code: 'unlimited_debits_skipped', booking_ids: ['booking-skipped'] })
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { createNotificationSender, sendQueuedNotifications } = require('../src/services/notifications');
+const { runPlanLifecycle } = require('../src/services/planLifecycle');
+
+const notice = (id, overrides = {}) => ({
+  id,
+  type: 'plan_expiring',
+  subject: '10 Class Pack expires on 2026-10-25',
+  body: '10 Class Pack expires on 2026-10-25.',
+  data: { student_plan_id: 'plan-1' },
+  status: 'queued',
+  attempts: 0,
+  user: { email: 'alex@example.com' },
+  created_at: `2026-10-19T08:00:0${id.slice(-1)}Z`,
+  ...overrides
+});
+
+beforeEach(() => {
+  supabase.reset();
+});
+
+describe('createNotificationSender', () => {
+  test('posts the notification to the delivery webhook', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 202 });
+    const sender = createNotificationSender({ url: 'https://relay.test/notify', token: 'relay-token', fetchImpl });
+
+    await sender.send({ id: 'n-1', to: 'alex@example.com', subject: 'Hi' });
+
+    expect(fetchImpl).toHaveBeenCalledWith('https://relay.test/notify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer relay-token' },
+      body: JSON.stringify({ id: 'n-1', to: 'alex@example.com', subject: 'Hi' })
+    });
+  });
+
+  test('fails on a non-2xx response', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    const sender = createNotificationSender({ url: 'https://relay.test/notify', fetchImpl });
+
+    await expect(sender.send({ id: 'n-1' })).rejects.toThrow('Notification delivery failed (503)');
+  });
+
+  test('requires a delivery webhook', () => {
+    expect(() => createNotificationSender({ url: '' })).toThrow('NOTIFICATION_WEBHOOK_URL is not configured');
+  });
+});
+
+describe('sendQueuedNotifications', () => {
+  test('sends queued notifications to the customer and marks them sent', async () => {
+    supabase.seed('notifications', notice('n-1'), notice('n-2', { status: 'sent' }));
+    const sender = { send: jest.fn().mockResolvedValue() };
+
+    const summary = await sendQueuedNotifications({ sender });
+
+    expect(summary).toMatchObject({ queued: 1, sent: 1, retrying: 0, failed: 0 });
+    expect(sender.send).toHaveBeenCalledWith({
+      id: 'n-1',
+      type: 'plan_expiring',
+      to: 'alex@example.com',
+      subject: '10 Class Pack expires on 2026-10-25',
+      body: '10 Class Pack expires on 2026-10-25.',
+      data: { student_plan_id: 'plan-1' }
+    });
+    expect(supabase.table('notifications')[0]).toMatchObject({ status: 'sent', attempts: 1, sent_at: expect.any(String) });
+  });
+
+  test('keeps a failed delivery queued until it runs out of attempts', async () => {
+    supabase.seed('notifications', notice('n-1'), notice('n-2', { attempts: 4 }));
+    const sender = { send: jest.fn().mockRejectedValue(new Error('Notification delivery failed (503)')) };
+
+    const summary = await sendQueuedNotifications({ sender });
+
+    expect(summary).toMatchObject({ sent: 0, retrying: 1, failed: 1 });
+    expect(supabase.table('notifications')).toEqual([
+      expect.objectContaining({ id: 'n-1', status: 'queued', attempts: 1, last_error: 'Notification delivery failed (503)' }),
+      expect.objectContaining({ id: 'n-2', status: 'failed', attempts: 5 })
+    ]);
+  });
+
+  test('does not send to a customer without an email address', async () => {
+    supabase.seed('notifications', notice('n-1', { user: null }));
+    const sender = { send: jest.fn() };
+
+    await sendQueuedNotifications({ sender });
+
+    expect(sender.send).not.toHaveBeenCalled();
+    expect(supabase.table('notifications')[0].last_error).toBe('The customer has no email address');
+  });
+
+  test('only counts the queue on a dry run', async () => {
+    supabase.seed('notifications', notice('n-1'));
+
+    const summary = await sendQueuedNotifications({ dryRun: true });
+
+    expect(summary).toMatchObject({ dry_run: true, queued: 1, sent: 0 });
+    expect(supabase.table('notifications')[0].status).toBe('queued');
+  });
+});
+
+describe('runPlanLifecycle dates', () => {
+  beforeAll(() => {
+    // 20:00 on the 19th in the studio (tests/globalSetup.js), already the
+    // 20th in UTC
+    jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') });
+  });
+
+  afterAll(() => jest.useRealTimers());
+
+  test('refuses a future date unless it is a dry run', async () => {
+    await expect(runPlanLifecycle({ today: '2026-10-20' }))
+      .rejects.toThrow('A future date can only be used with --dry-run');
+    expect(supabase.calls()).toEqual([]);
+  });
+
+  test('previews a future date on a dry run', async () => {
+    const summary = await runPlanLifecycle({ today: '2026-12-01', dryRun: true });
+
+    expect(summary).toMatchObject({ today: '2026-12-01', dry_run: true });
+  });
+
+  test('runs as of the studio\'s date by default', async () => {
+    supabase.reset({ rpcs: { expire_student_plans: () => [] } });
+
+    const summary = await runPlanLifecycle();
+
+    expect(summary.today).toBe('2026-10-19');
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+// The matrix tests the permission layer, so the services behind the staff
+// routes are replaced with ones that succeed
+jest.mock('../src/services/sessionGenerator');
+jest.mock('../src/services/sessions');
+jest.mock('../src/services/planFreezes');
+jest.mock('../src/services/penalties');
+jest.mock('../src/services/webhookEvents');
+jest.mock('../src/services/audit');
+jest.mock('../src/services/creditAdjustments');
+jest.mock('../src/services/catalog');
+jest.mock('../src/services/instructors');
+jest.mock('../src/services/checkIn');
+jest.mock('../src/services/planSync');
+jest.mock('../src/webhooks');
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+const { generateToken } = require('../src/middleware/auth');
+const { hasPermission, requirePermission } = require('../src/middleware/permissions');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../src/config/permissions');
+const adminRoutes = require('../src/routes/admin');
+const checkInRoutes = require('../src/routes/checkIn');
+const instructorRoutes = require('../src/routes/instructor');
+
+const ROLES = ['user', 'instructor', 'front_desk', 'admin'];
+
+const userId = role => `${role}-user-id`;
+
+// Values for the route parameters
+const PARAMS = {
+  sessionId: 'session-1',
+  closureId: 'closure-1',
+  studentPlanId: 'student-plan-1',
+  adjustmentId: 'adjustment-1',
+  penaltyId: 'penalty-1',
+  studentId: 'student-1',
+  requestId: 'request-1',
+  eventId: 'event-1',
+  id: 'entry-1',
+  userId: 'someone-else'
+};
+
+const CATALOG_RESOURCES = ['class-types', 'classes', 'rooms', 'instructors', 'plans'];
+
+// Every staff route with a valid request body and the roles allowed to call it
+const MATRIX = [
+  ['POST', '/api/admin/sessions/generate', { weeks: 1 }, ['admin']],
+  ['PATCH', '/api/admin/sessions/:sessionId/cancel', { reason: 'Instructor ill' }, ['admin']],
+  ['GET', '/api/admin/closures', null, ['admin']],
+  ['POST', '/api/admin/closures', { closure_date: '2026-12-25', reason: 'Christmas' }, ['admin']],
+  ['DELETE', '/api/admin/closures/:closureId', null, ['admin']],
+  ['POST', '/api/admin/student-plans/:studentPlanId/freeze', { start_date: '2026-11-01', end_date: '2026-11-14' }, ['admin']],
+  ['POST', '/api/admin/credit-adjustments', { type: 'grant', amount: 1 }, ['front_desk', 'admin']],
+  ['GET', '/api/admin/credit-adjustments', null, ['front_desk', 'admin']],
+  ['POST', '/api/admin/credit-adjustments/:adjustmentId/approve', {}, ['admin']],
+  ['POST', '/api/admin/credit-adjustments/:adjustmentId/reject', {}, ['admin']],
+  ['GET', '/api/admin/penalties', null, ['admin']],
+  ['PATCH', '/api/admin/penalties/:penaltyId', { fee_status: 'waived' }, ['admin']],
+  ['DELETE', '/api/admin/students/:studentId/booking-block', null, ['front_desk', 'admin']],
+  ['GET', '/api/admin/compliance-requests', null, ['admin']],
+  ['GET', '/api/admin/compliance-requests/:requestId', null, ['admin']],
+  ['GET', '/api/admin/webhook-events', null, ['admin']],
+  ['POST', '/api/admin/webhook-events/:eventId/replay', {}, ['admin']],
+  ['GET', '/api/admin/audit-log', null, ['admin']],
+  ...CATALOG_RESOURCES.flatMap(resource => [
+    ['GET', `/api/admin/${resource}`, null, ['admin']],
+    ['POST', `/api/admin/${resource}`, { name: 'Yoga' }, ['admin']],
+    ['PATCH', `/api/admin/${resource}/:id`, { name: 'Yoga' }, ['admin']],
+    ['PATCH', `/api/admin/${resource}/:id/archive`, {}, ['admin']]
+  ]),
+  ['POST', '/api/check-in', { code: 'ABC123', session_id: 'session-1' }, ['instructor', 'front_desk', 'admin']],
+  // The admin also teaches; front desk staff have roster:view but no
+  // instructor profile, so the portal turns them away
+  ['GET', '/api/instructor/sessions', null, ['instructor', 'admin']],
+  ['GET', '/api/instructor/sessions/:sessionId/roster', null, ['instructor', 'admin']],
+  ['POST', '/api/instructor/sessions/:sessionId/attendance', { attendance: [{ booking_id: 'booking-1', attended: true }] }, ['instructor', 'admin']],
+  ['PATCH', '/api/instructor/sessions/:sessionId/notes', { notes: 'Bring blocks' }, ['instructor', 'admin']],
+  ['GET', '/api/users/:userId', null, ['front_desk', 'admin']],
+  ['POST', '/api/webhooks/sync-products', { dry_run: true }, ['admin']]
+];
+
+const fillParams = path => path.replace(/:(\w+)/g, (match, name) => PARAMS[name]);
+
+// Method and path of every route on a router, including nested routers
+function listRoutes(router, prefix) {
+  return router.stack.flatMap(layer => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods)
+        .map(method => `${method.toUpperCase()} ${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+    }
+    return layer.name === 'router' ? listRoutes(layer.handle, prefix) : [];
+  });
+}
+
+function mockServices() {
+  const ok = (modulePath, values) => {
+    const service = require(modulePath);
+    for (const [name, value] of Object.entries(values)) {
+      service[name].mockResolvedValue(value);
+    }
+  };
+
+  ok('../src/services/sessionGenerator', { generateSessions: { created: [] } });
+  ok('../src/services/sessions', { cancelSession: { session: {}, cancelledBookings: [], notified: 0 } });
+  ok('../src/services/planFreezes', { freezePlan: { days: 14 } });
+  ok('../src/services/penalties', { listPenalties: [], resolvePenaltyFee: {}, liftBookingBlock: {} });
+  ok('../src/services/webhookEvents', { listStuckWebhookEvents: [] });
+  ok('../src/services/audit', { listAuditLog: [] });
+  ok('../src/services/creditAdjustments', {
+    requestAdjustment: { status: 'applied' },
+    listAdjustments: [],
+    approveAdjustment: {},
+    rejectAdjustment: {}
+  });
+  ok('../src/services/catalog', {
+    listCatalog: [],
+    createCatalogEntry: {},
+    updateCatalogEntry: {},
+    archiveCatalogEntry: {}
+  });
+  ok('../src/services/instructors', {
+    listInstructorSessions: [],
+    getInstructorSession: { id: 'session-1', status: 'scheduled' },
+    getSessionRoster: [],
+    markAttendance: [],
+    updateSessionNotes: {}
+  });
+  ok('../src/services/checkIn', { checkInBooking: { student: { full_name: 'Alex' } } });
+  ok('../src/services/planSync', { syncProducts: {} });
+  ok('../src/webhooks', { replayWebhookEvent: { status: 'processed', message: 'Replayed' } });
+
+  // Routes still work out the studio's date
+  require('../src/services/sessions').localDate
+    .mockImplementation(jest.requireActual('../src/services/sessions').localDate);
+
+  require('../src/services/instructors').getInstructorForUser.mockImplementation(async id =>
+    ([userId('instructor'), userId('admin')].includes(id) ? { id: `instructor-${id}`, user_id: id } : null));
+}
+
+beforeAll(mockServices);
+
+beforeEach(() => {
+  supabase.reset({
+    tables: {
+      users: [
+        ...ROLES.map(role => ({ id: userId(role), role, email: `${role}@example.com` })),
+        { id: 'someone-else', role: 'user', email: 'someone@example.com' }
+      ],
+      studio_closures: [{ id: 'closure-1', closure_date: '2026-12-24', reason: 'Christmas Eve' }],
+      compliance_requests: [{ id: 'request-1', topic: 'customers/data_request', status: 'completed' }]
+    }
+  });
+});
+
+describe('staff route permission matrix', () => {
+  test('covers every staff route', () => {
+    const routes = [
+      ...listRoutes(adminRoutes, '/api/admin'),
+      ...listRoutes(checkInRoutes, '/api/check-in'),
+      ...listRoutes(instructorRoutes, '/api/instructor'),
+      'GET /api/users/:userId',
+      'POST /api/webhooks/sync-products'
+    ];
+
+    expect(MATRIX.map(([method, path]) => `${method} ${path}`).sort()).toEqual(routes.sort());
+  });
+
+  describe.each(MATRIX)('%s %s', (method, path, body, allowed) => {
+    test.each(ROLES)('as %s', async (role) => {
+      let call = request(app)[method.toLowerCase()](fillParams(path))
+        .set('Authorization', `Bearer ${generateToken(userId(role))}`);
+
+      if (body) {
+        call = call.send(body);
+      }
+
+      const res = await call;
+
+      if (allowed.includes(role)) {
+        expect(res.status).toBeGreaterThanOrEqual(200);
+        expect(res.status).toBeLessThan(300);
+      } else {
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Forbidden');
+      }
+    });
+  });
+
+  describe('GET /api/users/:userId for the user\'s own profile', () => {
+    test.each(ROLES)('as %s', async (role) => {
+      const res = await request(app)
+        .get(`/api/users/${userId(role)}`)
+        .set('Authorization', `Bearer ${generateToken(userId(role))}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe(userId(role));
+    });
+  });
+
+  test('refuses another user\'s profile with the standard 403 body', async () => {
+    const res = await request(app)
+      .get('/api/users/someone-else')
+      .set('Authorization', `Bearer ${generateToken(userId('user'))}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      error: 'Forbidden',
+      message: 'You do not have permission to perform this action',
+      required_permissions: ['users:view']
+    });
+  });
+
+  test('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/admin/closures');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = (middleware, user) => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    middleware({ user }, res, next);
+    return { res, next };
+  };
+
+  test('lists the missing permissions in the 403 body', () => {
+    const { res, next } = run(
+      requirePermission('roster:view', 'sessions:cancel'),
+      { role: 'front_desk' }
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Forbidden',
+      message: 'You do not have permission to perform this action',
+      required_permissions: ['sessions:cancel']
+    });
+  });
+
+  test('calls next when the role grants every permission', () => {
+    const { next } = run(requirePermission('roster:view', 'check_in:record'), { role: 'instructor' });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('denies unknown roles and missing users', () => {
+    expect(hasPermission({ role: 'owner' }, 'users:view')).toBe(false);
+    expect(hasPermission(null, 'users:view')).toBe(false);
+  });
+
+  test('refuses unknown permissions when routes are defined', () => {
+    expect(() => requirePermission('sessions:delete')).toThrow('Unknown permission: sessions:delete');
+  });
+
+  test('grants roles only known permissions', () => {
+    for (const permissions of Object.values(ROLE_PERMISSIONS)) {
+      permissions.forEach(permission => expect(PERMISSIONS).toHaveProperty([permission]));
+    }
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+const { generateToken } = require('../src/middleware/auth');
+const { createShopifyClient } = require('../src/services/shopify');
+const { syncProducts } = require('../src/services/planSync');
+const { startShopifyMock } = require('./helpers/shopifyMock');
+
+const CLASS_PACKS = {
+  id: 9001,
+  title: 'Class Packs',
+  descriptionHtml: '<p>Book any class.</p>',
+  variants: [
+    {
+      id: 9101,
+      title: '5 Class Pack',
+      price: '60.00',
+      metafields: [
+        { namespace: 'studio', key: 'credits', value: '5' },
+        { namespace: 'studio', key: 'duration_days', value: '60' }
+      ]
+    },
+    { id: 9102, title: 'Unlimited Monthly', price: '149.00' }
+  ]
+};
+
+const YOGA_MAT = {
+  id: 9002,
+  title: 'Yoga Mat',
+  tags: [],
+  variants: [{ id: 9201, title: 'Default Title', price: '45.00' }]
+};
+
+// The plans row a sync creates for the 5 class pack
+const FIVE_PACK_PLAN = {
+  id: 'plan-5-pack',
+  shopify_product_id: '9001',
+  shopify_variant_id: '9101',
+  name: '5 Class Pack',
+  description: 'Book any class.',
+  credits: 5,
+  duration_days: 60,
+  price: 60,
+  is_unlimited: false,
+  is_active: true,
+  eligibility: {}
+};
+
+let shopify;
+
+beforeAll(async () => {
+  shopify = await startShopifyMock();
+});
+
+afterAll(() => shopify.close());
+
+// The catalog write functions, for plans only
+const raise = (code) => Object.assign(new Error(code), { code: 'P0001' });
+
+function lockPlan(db, id) {
+  const plan = db.rows('plans').find(row => row.id === id);
+
+  if (!plan) throw raise('NOT_FOUND');
+  if (plan.shopify_variant_id) throw raise('MANAGED_BY_SHOPIFY');
+
+  return plan;
+}
+
+const CATALOG_RPCS = {
+  save_catalog_entry: ({ p_id, p_values }, db) => Object.assign(lockPlan(db, p_id), p_values),
+  archive_catalog_entry: ({ p_id }, db) => Object.assign(lockPlan(db, p_id), { is_active: false })
+};
+
+beforeEach(() => {
+  shopify.state.requests = [];
+  shopify.setProducts([CLASS_PACKS, YOGA_MAT]);
+  supabase.reset({ unique: { plans: [['shopify_variant_id']] }, rpcs: CATALOG_RPCS });
+});
+
+const sync = (options = {}) => syncProducts({ client: createShopifyClient({ baseUrl: shopify.url }), ...options });
+
+const planByVariant = variantId => supabase.table('plans').find(plan => plan.shopify_variant_id === variantId);
+
+describe('syncProducts against the Shopify mock', () => {
+  test('creates a plan for each variant of a new class plan product', async () => {
+    const report = await sync();
+
+    expect(report.products_scanned).toBe(2);
+    expect(report.created).toHaveLength(2);
+    expect(supabase.table('plans')).toHaveLength(2);
+    expect(planByVariant('9101')).toMatchObject({
+      shopify_product_id: '9001',
+      name: '5 Class Pack',
+      description: 'Book any class.',
+      credits: 5,
+      duration_days: 60,
+      price: 60,
+      is_unlimited: false,
+      is_active: true
+    });
+    expect(planByVariant('9102')).toMatchObject({ is_unlimited: true, price: 149 });
+    expect(planByVariant('9201')).toBeUndefined();
+  });
+
+  test('updates the plan of a changed variant', async () => {
+    supabase.seed('plans', FIVE_PACK_PLAN);
+    shopify.setProducts([{
+      ...CLASS_PACKS,
+      variants: [{ ...CLASS_PACKS.variants[0], price: '65.00' }, CLASS_PACKS.variants[1]]
+    }]);
+
+    const report = await sync();
+
+    expect(report.updated).toEqual([{
+      plan_id: 'plan-5-pack',
+      shopify_variant_id: '9101',
+      name: '5 Class Pack',
+      changes: { price: { from: 60, to: 65 } }
+    }]);
+    expect(report.created).toHaveLength(1);
+    expect(planByVariant('9101')).toMatchObject({ id: 'plan-5-pack', price: 65 });
+  });
+
+  test('leaves unchanged plans alone', async () => {
+    supabase.seed('plans', FIVE_PACK_PLAN);
+    shopify.setProducts([{ ...CLASS_PACKS, variants: [CLASS_PACKS.variants[0]] }]);
+
+    const report = await sync();
+
+    expect(report).toMatchObject({ created: [], updated: [], deactivated: [], unchanged: 1 });
+    expect(supabase.calls().filter(call => call.action !== 'select')).toEqual([]);
+  });
+
+  test('deactivates the plans of an archived product', async () => {
+    supabase.seed('plans', FIVE_PACK_PLAN);
+    shopify.setProducts([{ ...CLASS_PACKS, status: 'ARCHIVED', variants: [CLASS_PACKS.variants[0]] }]);
+
+    const report = await sync();
+
+    expect(report.updated[0].changes).toEqual({ is_active: { from: true, to: false } });
+    expect(planByVariant('9101').is_active).toBe(false);
+  });
+
+  test('deactivates plans whose variant was deleted or is no longer a class plan', async () => {
+    supabase.seed('plans',
+      FIVE_PACK_PLAN,
+      { ...FIVE_PACK_PLAN, id: 'plan-mat', shopify_product_id: '9002', shopify_variant_id: '9201', name: 'Mat' }
+    );
+    shopify.setProducts([{ ...CLASS_PACKS, variants: [CLASS_PACKS.variants[1]] }, YOGA_MAT]);
+
+    const report = await sync();
+
+    expect(report.deactivated).toEqual([
+      expect.objectContaining({ plan_id: 'plan-5-pack', reason: 'variant_deleted' }),
+      expect.objectContaining({ plan_id: 'plan-mat', reason: 'not_class_plan' })
+    ]);
+    expect(planByVariant('9101').is_active).toBe(false);
+    expect(planByVariant('9201').is_active).toBe(false);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const report = await sync({ dryRun: true });
+
+    expect(report.created).toHaveLength(2);
+    expect(supabase.table('plans')).toEqual([]);
+  });
+
+  test('follows pagination through the whole catalog', async () => {
+    shopify.setProducts(Array.from({ length: 60 }, (_, i) => ({
+      id: 10000 + i,
+      title: `Pack ${i}`,
+      variants: [{ id: 20000 + i, title: `${i + 1} Class Pack`, price: '10.00' }]
+    })));
+
+    const report = await sync();
+
+    expect(shopify.state.requests).toHaveLength(2);
+    expect(report.created).toHaveLength(60);
+  });
+
+  test('fails without writing when Shopify rejects the access token', async () => {
+    const client = createShopifyClient({ baseUrl: shopify.url, accessToken: 'revoked-token' });
+
+    await expect(syncProducts({ client })).rejects.toThrow('Shopify API request failed (401)');
+    expect(supabase.table('plans')).toEqual([]);
+  });
+
+  test('runs from POST /api/webhooks/sync-products', async () => {
+    process.env.SHOPIFY_ADMIN_API_URL = shopify.url;
+    supabase.seed('users', { id: 'admin-1', role: 'admin' });
+
+    try {
+      const res = await request(app)
+        .post('/api/webhooks/sync-products')
+        .set('Authorization', `Bearer ${generateToken('admin-1')}`)
+        .send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.created).toHaveLength(2);
+    } finally {
+      delete process.env.SHOPIFY_ADMIN_API_URL;
+    }
+  });
+});
+
+describe('plans synced from Shopify are read-only in the admin API', () => {
+  const admin = () => `Bearer ${generateToken('admin-1')}`;
+
+  beforeEach(async () => {
+    supabase.seed('users', { id: 'admin-1', role: 'admin' });
+    await sync();
+  });
+
+  test('refuses to update a synced plan', async () => {
+    const plan = planByVariant('9101');
+
+    const res = await request(app)
+      .patch(`/api/admin/plans/${plan.id}`)
+      .set('Authorization', admin())
+      .send({ price: 1 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Managed by Shopify');
+    expect(planByVariant('9101').price).toBe(60);
+  });
+
+  test('refuses to archive a synced plan', async () => {
+    const plan = planByVariant('9101');
+
+    const res = await request(app)
+      .patch(`/api/admin/plans/${plan.id}/archive`)
+      .set('Authorization', admin());
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Managed by Shopify');
+    expect(planByVariant('9101').is_active).toBe(true);
+  });
+
+  test('still updates plans created in the admin API', async () => {
+    supabase.seed('plans', { id: 'plan-local', name: 'Staff pass', credits: 0, is_active: true });
+
+    const res = await request(app)
+      .patch('/api/admin/plans/plan-local')
+      .set('Authorization', admin())
+      .send({ name: 'Staff pass 2026' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe('Staff pass 2026');
+  });
+});
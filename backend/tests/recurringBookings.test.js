@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+jest.mock('../src/services/planSelection');
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+const { findAvailablePlan } = require('../src/services/planSelection');
+const { BookingError } = require('../src/services/bookings');
+const { fulfilRecurringBookings, skipRecurringDate } = require('../src/services/recurringBookings');
+
+const SERIES = {
+  id: 'series-1',
+  student_id: 'student-1',
+  class_id: 'class-1',
+  start_date: '2026-01-01',
+  end_date: null,
+  status: 'active',
+  last_error: null
+};
+
+// book_session as far as these tests need it: the booking row it inserts
+const bookSession = (args, db) => {
+  const booking = {
+    id: `booking-${args.p_session_id}`,
+    student_id: args.p_student_id,
+    session_id: args.p_session_id,
+    student_plan_id: args.p_student_plan_id,
+    status: 'active',
+    recurring_booking_id: args.p_recurring_booking_id
+  };
+  db.rows('bookings').push(booking);
+  return booking;
+};
+
+const TABLES = {
+  recurring_bookings: [SERIES],
+  sessions: [{
+    id: 'session-1',
+    class_id: 'class-1',
+    session_date: '2099-01-05',
+    session_time: '18:00',
+    booking_cutoff_minutes: 60,
+    status: 'scheduled'
+  }]
+};
+
+beforeEach(() => {
+  supabase.reset({ tables: TABLES, rpcs: { book_session: bookSession } });
+  findAvailablePlan.mockReset().mockResolvedValue({ id: 'plan-1' });
+});
+
+describe('fulfilRecurringBookings', () => {
+  test('links each booking to its series in the booking transaction', async () => {
+    const summary = await fulfilRecurringBookings({ recurringBookingId: 'series-1' });
+
+    expect(summary.booked).toBe(1);
+    expect(supabase.calls()).toContainEqual({
+      rpc: 'book_session',
+      args: expect.objectContaining({ p_session_id: 'session-1', p_recurring_booking_id: 'series-1' })
+    });
+    expect(supabase.calls().filter(call => call.table === 'bookings' && call.action === 'update')).toEqual([]);
+    expect(supabase.table('bookings')).toEqual([
+      expect.objectContaining({ session_id: 'session-1', recurring_booking_id: 'series-1' })
+    ]);
+  });
+
+  test('records the error on the series when book_session refuses the series', async () => {
+    supabase.reset({
+      tables: TABLES,
+      rpcs: {
+        book_session: () => {
+          throw new Error('RECURRING_BOOKING_NOT_FOUND');
+        }
+      }
+    });
+
+    const summary = await fulfilRecurringBookings({ recurringBookingId: 'series-1' });
+
+    expect(summary.failed).toBe(1);
+    expect(supabase.table('recurring_bookings')[0].last_error)
+      .toBe('Could not book 2099-01-05: The requested recurring booking does not exist');
+  });
+});
+
+describe('skipRecurringDate', () => {
+  // 2099-01-05 is a Monday
+  const series = { id: 'series-1', class: { day_of_week: 1 } };
+
+  test('skips a date the class is held on', async () => {
+    const { skip } = await skipRecurringDate(series, '2099-01-05');
+
+    expect(skip).toMatchObject({ recurring_booking_id: 'series-1', session_date: '2099-01-05' });
+  });
+
+  test('accepts a class day given by name', async () => {
+    const { skip } = await skipRecurringDate({ ...series, class: { day_of_week: 'Monday' } }, '2099-01-12');
+
+    expect(skip.session_date).toBe('2099-01-12');
+  });
+
+  test('refuses a date on another weekday', async () => {
+    const attempt = skipRecurringDate(series, '2099-01-06');
+
+    await expect(attempt).rejects.toBeInstanceOf(BookingError);
+    await expect(attempt).rejects.toMatchObject({ code: 'NOT_CLASS_DAY', status: 400 });
+    expect(supabase.table('recurring_booking_skips')).toEqual([]);
+  });
+});
+
+describe('GET /api/bookings/recurring', () => {
+  // A customer account session token for customer 7001
+  const sessionToken = () => jwt.sign({
+    dest: `https://${process.env.SHOPIFY_SHOP_DOMAIN}`,
+    aud: process.env.SHOPIFY_API_KEY,
+    sub: 'gid://shopify/Customer/7001'
+  }, process.env.SHOPIFY_API_SECRET, { algorithm: 'HS256', expiresIn: 60 });
+
+  test('returns the class_id the extension matches sessions on', async () => {
+    supabase.reset({
+      tables: {
+        users: [{ id: 'user-1', role: 'user', shopify_customer_id: '7001' }],
+        students: [{ id: 'student-1', user_id: 'user-1' }],
+        recurring_bookings: [{
+          ...SERIES,
+          class: { id: 'class-1', name: 'Vinyasa Flow', day_of_week: 1, time: '18:00', room: null },
+          skips: []
+        }]
+      }
+    });
+
+    const res = await request(app)
+      .get('/api/bookings/recurring')
+      .set('Authorization', `Bearer ${sessionToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        id: 'series-1',
+        class_id: 'class-1',
+        class: expect.objectContaining({ id: 'class-1', day_of_week: 1 }),
+        skips: []
+      })
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+jest.mock('../src/services/recurringBookings');
+
+const { supabase } = require('../src/config/supabase');
+const { fulfilRecurringBookings } = require('../src/services/recurringBookings');
+const { generateSessions } = require('../src/services/sessionGenerator');
+
+// 2026-10-19 is a Monday
+const FROM_DATE = '2026-10-19';
+
+const mondayClass = (id, overrides = {}) => ({
+  id,
+  name: `Class ${id}`,
+  day_of_week: 1,
+  time: '18:00',
+  duration_minutes: 60,
+  capacity: 12,
+  room_id: 'room-1',
+  instructor_id: 'instructor-1',
+  is_active: true,
+  ...overrides
+});
+
+const sessionKeys = () => supabase.table('sessions').map(session => `${session.class_id}:${session.session_date}`);
+
+beforeEach(() => {
+  supabase.reset({
+    tables: { classes: [mondayClass('class-1')] },
+    unique: { sessions: [['class_id', 'session_date']] }
+  });
+  fulfilRecurringBookings.mockReset().mockResolvedValue({});
+});
+
+describe('generateSessions', () => {
+  test('creates one session per class date and skips closures', async () => {
+    supabase.seed('studio_closures', { closure_date: '2026-10-26', reason: 'Public holiday' });
+
+    const summary = await generateSessions({ weeks: 3, fromDate: FROM_DATE });
+
+    expect(sessionKeys()).toEqual(['class-1:2026-10-19', 'class-1:2026-11-02']);
+    expect(summary.skipped_closures).toEqual([
+      { class_id: 'class-1', session_date: '2026-10-26', reason: 'Public holiday' }
+    ]);
+    expect(fulfilRecurringBookings).toHaveBeenCalledWith({ classId: 'class-1' });
+  });
+
+  test('only fills in missing sessions on a rerun', async () => {
+    supabase.seed('sessions', { id: 'existing', class_id: 'class-1', session_date: '2026-10-26' });
+
+    const summary = await generateSessions({ weeks: 3, fromDate: FROM_DATE });
+
+    expect(summary.created).toHaveLength(2);
+    expect(summary.existing).toBe(1);
+    expect(sessionKeys().sort()).toEqual(['class-1:2026-10-19', 'class-1:2026-10-26', 'class-1:2026-11-02']);
+  });
+
+  test('sees existing sessions beyond the first page of results', async () => {
+    const classes = Array.from({ length: 25 }, (_, i) => mondayClass(`class-${i}`));
+    supabase.reset({ tables: { classes }, unique: { sessions: [['class_id', 'session_date']] } });
+
+    const first = await generateSessions({ weeks: 52, fromDate: FROM_DATE });
+    const second = await generateSessions({ weeks: 52, fromDate: FROM_DATE });
+
+    expect(first.created).toHaveLength(1300);
+    expect(second.created).toEqual([]);
+    expect(second.existing).toBe(1300);
+    expect(supabase.table('sessions')).toHaveLength(1300);
+  });
+
+  test('does not duplicate sessions when two runs overlap', async () => {
+    const [a, b] = await Promise.all([
+      generateSessions({ weeks: 2, fromDate: FROM_DATE }),
+      generateSessions({ weeks: 2, fromDate: FROM_DATE })
+    ]);
+
+    expect(supabase.table('sessions')).toHaveLength(2);
+    expect(a.created.length + b.created.length).toBe(2);
+    expect(a.existing + b.existing).toBe(2);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const summary = await generateSessions({ weeks: 2, fromDate: FROM_DATE, dryRun: true });
+
+    expect(summary.created).toHaveLength(2);
+    expect(supabase.table('sessions')).toEqual([]);
+    expect(fulfilRecurringBookings).not.toHaveBeenCalled();
+  });
+
+  describe('late in the evening', () => {
+    // 20:00 on Monday the 19th in the studio (tests/globalSetup.js),
+    // already the 20th in UTC
+    beforeAll(() => jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') }));
+    afterAll(() => jest.useRealTimers());
+
+    test('starts the window on the studio\'s date', async () => {
+      await generateSessions({ weeks: 1 });
+
+      expect(sessionKeys()).toEqual(['class-1:2026-10-19']);
+    });
+  });
+});
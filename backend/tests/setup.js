@@ -0,0 +1,9 @@
+// Configuration the app reads from the environment, with test values
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.SHOPIFY_API_KEY = 'test-api-key';
+process.env.SHOPIFY_API_SECRET = 'test-api-secret';
+process.env.SHOPIFY_SHOP_DOMAIN = 'test-studio.myshopify.com';
+process.env.SHOPIFY_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.SHOPIFY_ACCESS_TOKEN = 'test-access-token';
+process.env.CHECK_IN_SECRET = 'test-check-in-secret';
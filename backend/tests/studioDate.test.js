@@ -0,0 +1,56 @@
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const { supabase } = require('../src/config/supabase');
+const { findAvailablePlan } = require('../src/services/planSelection');
+const { withFreezeState } = require('../src/services/planFreezes');
+const { endRecurringBooking } = require('../src/services/recurringBookings');
+
+// "Today" is the studio's date everywhere, not the UTC one
+describe('late in the evening', () => {
+  beforeAll(() => {
+    // 20:00 on the 19th in the studio (tests/globalSetup.js), already the
+    // 20th in UTC
+    jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') });
+  });
+
+  afterAll(() => jest.useRealTimers());
+
+  beforeEach(() => {
+    supabase.reset();
+  });
+
+  test('a plan ending today can still pay for a booking', async () => {
+    supabase.seed('student_plans', {
+      id: 'plan-1',
+      student_id: 'student-1',
+      status: 'active',
+      is_unlimited: false,
+      start_date: '2026-09-20',
+      end_date: '2026-10-19',
+      remaining_credits: 3,
+      plan: { name: '10 Class Pack' },
+      freezes: []
+    });
+
+    const plan = await findAvailablePlan('student-1');
+
+    expect(plan).toMatchObject({ id: 'plan-1' });
+  });
+
+  test('a freeze ending today is still in force and resumes tomorrow', () => {
+    const plan = withFreezeState({
+      id: 'plan-1',
+      freezes: [{ id: 'freeze-1', start_date: '2026-10-10', end_date: '2026-10-19' }]
+    });
+
+    expect(plan).toMatchObject({ is_frozen: true, frozen_until: '2026-10-19', resumes_on: '2026-10-20' });
+  });
+
+  test('an ended series ends today', async () => {
+    supabase.seed('recurring_bookings', { id: 'series-1', status: 'active', end_date: null });
+
+    await endRecurringBooking({ id: 'series-1' });
+
+    expect(supabase.table('recurring_bookings')[0]).toMatchObject({ status: 'ended', end_date: '2026-10-19' });
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../src/config/supabase', () => require('./helpers/fakeSupabase').mockModule());
+
+const app = require('../src/app');
+const { supabase } = require('../src/config/supabase');
+
+// Shopify payloads stored byte for byte as delivered, with the headers of
+// their delivery. The HMACs were computed with openssl over the files and
+// the SHOPIFY_WEBHOOK_SECRET in tests/setup.js, not with the app's code.
+const FIXTURES = path.join(__dirname, 'fixtures', 'shopify');
+const DELIVERIES = require('./fixtures/shopify/deliveries.json');
+
+// Read as a string: supertest would serialize a Buffer as JSON
+const rawPayload = name => fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8');
+
+// Send a fixture through the real JSON body parser, like Shopify would
+function deliver(name, { body = rawPayload(name), headers = {} } = {}) {
+  const delivery = DELIVERIES[name];
+
+  let call = request(app)
+    .post('/api/webhooks')
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Topic', delivery.topic)
+    .set('X-Shopify-Shop-Domain', delivery.shop_domain)
+    .set('X-Shopify-Webhook-Id', delivery.webhook_id)
+    .set('X-Shopify-Hmac-Sha256', delivery.hmac);
+
+  for (const [header, value] of Object.entries(headers)) {
+    call = value === null ? call.unset(header) : call.set(header, value);
+  }
+
+  return call.send(body);
+}
+
+beforeEach(() => {
+  supabase.reset({
+    tables: {
+      plans: [{
+        id: 'plan-10-pack',
+        name: '10 Class Pack',
+        shopify_product_id: '8931704750363',
+        shopify_variant_id: '47182037467419',
+        credits: 10,
+        duration_days: 90,
+        is_unlimited: false
+      }]
+    },
+    unique: {
+      webhook_events: [['webhook_id']],
+      users: [['shopify_customer_id']],
+      plan_purchases: [['shopify_line_item_id']],
+      student_plans: [['purchase_id']]
+    },
+    defaults: {
+      webhook_events: {
+        attempts: 1,
+        received_at: () => new Date().toISOString(),
+        updated_at: () => new Date().toISOString()
+      }
+    }
+  });
+});
+
+describe('Shopify webhook verification', () => {
+  test('accepts a delivery with a valid HMAC and processes it', async () => {
+    const res = await deliver('orders-create');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, handled: true });
+    expect(supabase.table('student_plans')).toEqual([
+      expect.objectContaining({ plan_id: 'plan-10-pack', initial_credits: 10, remaining_credits: 10 })
+    ]);
+    expect(supabase.table('webhook_events')).toEqual([
+      expect.objectContaining({ webhook_id: DELIVERIES['orders-create'].webhook_id, status: 'processed' })
+    ]);
+  });
+
+  test('accepts each fixture on its topic-specific endpoint', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/customers')
+      .set('Content-Type', 'application/json')
+      .set('X-Shopify-Hmac-Sha256', DELIVERIES['customers-update'].hmac)
+      .send(rawPayload('customers-update'));
+
+    expect(res.status).toBe(200);
+    expect(supabase.table('users')).toEqual([
+      expect.objectContaining({ shopify_customer_id: '7219834028315', last_name: 'Moreno-Diaz' })
+    ]);
+  });
+
+  test('rejects a tampered body', async () => {
+    const tampered = rawPayload('orders-create').replace('"quantity":1', '"quantity":9');
+
+    const res = await deliver('orders-create', { body: tampered });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect(supabase.table('webhook_events')).toEqual([]);
+    expect(supabase.table('student_plans')).toEqual([]);
+  });
+
+  test('rejects a body re-serialized from the parsed JSON', async () => {
+    const reformatted = JSON.stringify(JSON.parse(rawPayload('customers-update')), null, 2);
+
+    const res = await deliver('customers-update', { body: reformatted });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a delivery without an HMAC header', async () => {
+    const res = await deliver('orders-create', { headers: { 'X-Shopify-Hmac-Sha256': null } });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Missing webhook signature');
+    expect(supabase.table('webhook_events')).toEqual([]);
+  });
+
+  test('rejects an HMAC computed with another secret', async () => {
+    const res = await deliver('orders-create', {
+      headers: { 'X-Shopify-Hmac-Sha256': DELIVERIES['customers-update'].hmac }
+    });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('acknowledges a duplicate delivery without processing it again', async () => {
+    const first = await deliver('orders-create');
+    const second = await deliver('orders-create');
+
+    expect(first.status).toBe(200);
+    expect(first.body.duplicate).toBeUndefined();
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ handled: true, duplicate: true, message: 'Webhook already processed' });
+    expect(supabase.table('plan_purchases')).toHaveLength(1);
+    expect(supabase.table('student_plans')).toHaveLength(1);
+    expect(supabase.table('webhook_events')).toHaveLength(1);
+  });
+
+  test('processes a redelivery of a failed delivery', async () => {
+    supabase.fail('plan_purchases', 'insert', { code: '57014', message: 'canceling statement due to statement timeout' });
+
+    const failed = await deliver('orders-create');
+    const retried = await deliver('orders-create');
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(retried.body.duplicate).toBeUndefined();
+    expect(supabase.table('student_plans')).toHaveLength(1);
+    expect(supabase.table('webhook_events')[0]).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+});
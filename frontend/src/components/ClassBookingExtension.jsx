@@ -9,7 +9,8 @@ import {
   Modal,
   Divider,
   Icon,
-  Select
+  Select,
+  QRCode
 } from '@shopify/ui-extensions-react/customer-account';
 import { 
   Calendar, 
@@ -24,21 +25,24 @@ import {
 } from 'lucide-react';
 import ApiService from '../services/api';
 
-const ClassBookingExtension = ({ customer, i18n }) => {
+const ClassBookingExtension = ({ customer, i18n, sessionToken }) => {
   const [activeTab, setActiveTab] = useState('sessions');
   const [userPlans, setUserPlans] = useState([]);
   const [sessions, setSessions] = useState([]);
   const [bookings, setBookings] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [recurringBookings, setRecurringBookings] = useState([]);
   const [creditTransactions, setCreditTransactions] = useState([]);
   const [classTypes, setClassTypes] = useState([]);
   const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedSession, setSelectedSession] = useState(null);
+  const [planOptions, setPlanOptions] = useState(null);
   const [notification, setNotification] = useState(null);
   const [filterType, setFilterType] = useState('all');
   const [selectedClassType, setSelectedClassType] = useState('all');
   const [selectedRoom, setSelectedRoom] = useState('all');
-  const [apiService] = useState(new ApiService());
+  const [apiService] = useState(new ApiService(sessionToken));
 
   useEffect(() => {
     initializeData();
@@ -51,10 +55,12 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       await apiService.initialize(customer);
       
       // Load all data in parallel
-      const [plans, sessionsData, bookingsData, transactionsData, typesData, roomsData] = await Promise.all([
+      const [plans, sessionsData, bookingsData, waitlistData, recurringData, transactionsData, typesData, roomsData] = await Promise.all([
         apiService.getUserPlans(),
         apiService.getSessions(),
         apiService.getBookings(),
+        apiService.getWaitlist(),
+        apiService.getRecurringBookings(),
         apiService.getCreditTransactions(),
         apiService.getClassTypes(),
         apiService.getRooms()
@@ -63,6 +69,8 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       setUserPlans(plans);
       setSessions(sessionsData);
       setBookings(bookingsData);
+      setWaitlist(waitlistData);
+      setRecurringBookings(recurringData);
       setCreditTransactions(transactionsData);
       setClassTypes(typesData);
       setRooms(roomsData);
@@ -79,10 +87,29 @@ const ClassBookingExtension = ({ customer, i18n }) => {
     setTimeout(() => setNotification(null), 4000);
   };
 
+  // Open the booking modal and ask the API which plans can pay for the session
+  const openBookingModal = async (session) => {
+    setSelectedSession(session);
+    setPlanOptions(null);
+    try {
+      setPlanOptions(await apiService.getPlanOptions(session.id));
+    } catch (error) {
+      console.error('Error loading plan options:', error);
+      showNotification(error.message || 'Error loading your plans', 'error');
+    }
+  };
+
+  const closeBookingModal = () => {
+    setSelectedSession(null);
+    setPlanOptions(null);
+  };
+
   const bookSession = async (sessionId, studentPlanId) => {
     try {
-      await apiService.bookSession(sessionId, studentPlanId);
-      showNotification('Session booked successfully!');
+      const booking = await apiService.bookSession(sessionId, studentPlanId);
+      showNotification(booking?.plan_selection
+        ? `Session booked! ${booking.plan_selection.explanation}.`
+        : 'Session booked successfully!');
       
       // Refresh data
       const [plans, bookings, transactions] = await Promise.all([
@@ -93,7 +120,7 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       setUserPlans(plans);
       setBookings(bookings);
       setCreditTransactions(transactions);
-      setSelectedSession(null);
+      closeBookingModal();
     } catch (error) {
       console.error('Error booking session:', error);
       showNotification(error.message || 'Error booking session', 'error');
@@ -102,17 +129,27 @@ const ClassBookingExtension = ({ customer, i18n }) => {
 
   const cancelBooking = async (bookingId) => {
     try {
-      await apiService.cancelBooking(bookingId);
-      showNotification('Booking cancelled successfully! Credit refunded.');
+      const cancelled = await apiService.cancelBooking(bookingId);
+      if (cancelled?.penalty && Number(cancelled.penalty.fee_amount) > 0) {
+        showNotification(`Late cancellation: a fee of ${Number(cancelled.penalty.fee_amount).toFixed(2)} applies.`);
+      } else if (cancelled?.penalty) {
+        showNotification('Late cancellation: the credit for this booking was forfeited.');
+      } else {
+        showNotification(cancelled?.credit_refunded
+          ? 'Booking cancelled successfully! Credit refunded.'
+          : 'Booking cancelled successfully!');
+      }
       
       // Refresh data
-      const [plans, bookings, transactions] = await Promise.all([
+      const [plans, bookings, waitlistData, transactions] = await Promise.all([
         apiService.getUserPlans(),
         apiService.getBookings(),
+        apiService.getWaitlist(),
         apiService.getCreditTransactions()
       ]);
       setUserPlans(plans);
       setBookings(bookings);
+      setWaitlist(waitlistData);
       setCreditTransactions(transactions);
     } catch (error) {
       console.error('Error cancelling booking:', error);
@@ -120,6 +157,74 @@ const ClassBookingExtension = ({ customer, i18n }) => {
     }
   };
 
+  const joinWaitlist = async (sessionId) => {
+    try {
+      await apiService.joinWaitlist(sessionId);
+      setWaitlist(await apiService.getWaitlist());
+      showNotification('You have joined the waitlist. We will book you automatically if a spot opens.');
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      showNotification(error.message || 'Error joining waitlist', 'error');
+    }
+  };
+
+  const leaveWaitlist = async (entryId) => {
+    try {
+      await apiService.leaveWaitlist(entryId);
+      setWaitlist(await apiService.getWaitlist());
+      showNotification('You have left the waitlist.');
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      showNotification(error.message || 'Error leaving waitlist', 'error');
+    }
+  };
+
+  const getWaitlistEntry = (sessionId) => {
+    return waitlist.find(entry => entry.session_id === sessionId);
+  };
+
+  const createRecurringBooking = async (classId) => {
+    try {
+      await apiService.createRecurringBooking(classId);
+      setRecurringBookings(await apiService.getRecurringBookings());
+      showNotification('Recurring booking created. You will be booked into this class every week.');
+    } catch (error) {
+      console.error('Error creating recurring booking:', error);
+      showNotification(error.message || 'Error creating recurring booking', 'error');
+    }
+  };
+
+  const skipRecurringDate = async (recurringId, sessionDate) => {
+    try {
+      await apiService.skipRecurringDate(recurringId, sessionDate);
+      setRecurringBookings(await apiService.getRecurringBookings());
+      showNotification(`Skipped ${formatDate(sessionDate)}.`);
+    } catch (error) {
+      console.error('Error skipping date:', error);
+      showNotification(error.message || 'Error skipping date', 'error');
+    }
+  };
+
+  const endRecurringBooking = async (recurringId) => {
+    try {
+      await apiService.endRecurringBooking(recurringId);
+      setRecurringBookings(await apiService.getRecurringBookings());
+      showNotification('Recurring booking ended.');
+    } catch (error) {
+      console.error('Error ending recurring booking:', error);
+      showNotification(error.message || 'Error ending recurring booking', 'error');
+    }
+  };
+
+  const getRecurringBooking = (classId) => {
+    return recurringBookings.find(series => series.class_id === classId);
+  };
+
+  const formatDayOfWeek = (dayOfWeek) => {
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    return typeof dayOfWeek === 'number' ? days[dayOfWeek] : dayOfWeek;
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       weekday: 'short',
@@ -136,6 +241,42 @@ const ClassBookingExtension = ({ customer, i18n }) => {
     });
   };
 
+  // Whether cancelling a booking now falls after its session's cancellation cutoff
+  const isLateCancellation = (booking) => {
+    const sessionDateTime = new Date(`${booking.session.session_date}T${booking.session.session_time}`);
+    const cutoff = sessionDateTime.getTime() - (booking.session.cancellation_cutoff_hours || 0) * 60 * 60 * 1000;
+    return Date.now() >= cutoff;
+  };
+
+  // What a late cancellation of a booking costs, or null if it is refunded anyway
+  const getLateCancelPenalty = (booking) => {
+    const classType = booking.session.class.class_type;
+    if (classType?.late_cancel_policy === 'refund') {
+      return null;
+    }
+    if (booking.student_plan?.is_unlimited) {
+      return Number(classType?.late_cancel_fee) > 0
+        ? `a late fee of ${Number(classType.late_cancel_fee).toFixed(2)} applies`
+        : null;
+    }
+    return 'your credit will be forfeited';
+  };
+
+  const formatCredits = (credits) => `${credits} ${credits === 1 ? 'credit' : 'credits'}`;
+
+  // What a credit transaction was for, e.g. a booking or a studio adjustment
+  const formatTransactionType = (referenceType) => {
+    const labels = {
+      purchase: 'Purchase',
+      booking: 'Booking',
+      cancellation: 'Cancellation refund',
+      expiry: 'Expired credits',
+      refund: 'Order refund',
+      adjustment: 'Adjusted by the studio'
+    };
+    return labels[referenceType] || referenceType;
+  };
+
   const getIntensityBadge = (level) => {
     const colors = {
       1: 'success',
@@ -186,14 +327,14 @@ const ClassBookingExtension = ({ customer, i18n }) => {
     // Filter by class type
     if (selectedClassType !== 'all') {
       filtered = filtered.filter(session => 
-        session.classes.class_types.id === selectedClassType
+        session.class.class_type.id === selectedClassType
       );
     }
 
     // Filter by room
     if (selectedRoom !== 'all') {
       filtered = filtered.filter(session => 
-        session.classes.rooms?.id === selectedRoom
+        session.class.room?.id === selectedRoom
       );
     }
 
@@ -207,8 +348,8 @@ const ClassBookingExtension = ({ customer, i18n }) => {
     const now = new Date();
     
     return bookings.filter(booking => {
-      const sessionDate = booking.sessions.session_date;
-      const sessionTime = booking.sessions.session_time;
+      const sessionDate = booking.session.session_date;
+      const sessionTime = booking.session.session_time;
       const sessionDateTime = new Date(`${sessionDate}T${sessionTime}`);
       
       switch (filterType) {
@@ -243,17 +384,32 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       );
     }
 
+    const blockedUntil = apiService.student?.booking_blocked_until;
+
     return (
       <BlockStack gap="loose">
+        {blockedUntil && new Date(blockedUntil) > new Date() && (
+          <Text tone="critical">
+            Booking is paused on your account until {formatDate(blockedUntil)} after repeated no-shows.
+          </Text>
+        )}
         {filteredSessions.map(session => (
           <Card key={session.id}>
             <BlockStack gap="tight">
               <InlineStack align="space-between">
-                <Text variant="headingMd">{session.classes.name}</Text>
-                {getIntensityBadge(session.classes.class_types.intensity_level)}
+                <Text variant="headingMd">{session.class.name}</Text>
+                {session.status === 'cancelled'
+                  ? <Badge tone="critical">Cancelled</Badge>
+                  : getIntensityBadge(session.class.class_type.intensity_level)}
               </InlineStack>
+
+              {session.status === 'cancelled' && (
+                <Text tone="critical">
+                  This session has been cancelled{session.cancellation_reason ? `: ${session.cancellation_reason}` : '.'}
+                </Text>
+              )}
               
-              <Text tone="subdued">{session.classes.description}</Text>
+              <Text tone="subdued">{session.class.description}</Text>
               
               <InlineStack gap="tight">
                 <Icon source={Calendar} />
@@ -267,31 +423,68 @@ const ClassBookingExtension = ({ customer, i18n }) => {
               
               <InlineStack gap="tight">
                 <Icon source={User} />
-                <Text>{session.instructors.users.first_name} {session.instructors.users.last_name}</Text>
+                <Text>{session.instructor.user.first_name} {session.instructor.user.last_name}</Text>
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={MapPin} />
-                <Text>{session.classes.rooms?.name || 'TBD'}</Text>
+                <Text>{session.class.room?.name || 'TBD'}</Text>
               </InlineStack>
               
+              {session.status === 'scheduled' && (
+                <InlineStack gap="tight">
+                  <Icon source={Users} />
+                  <Text>{session.spots_left} spots left</Text>
+                </InlineStack>
+              )}
+
               <InlineStack gap="tight">
-                <Icon source={Users} />
-                <Text>{session.spots_left} spots left</Text>
+                <Icon source={CreditCard} />
+                <Text>{formatCredits(session.credit_cost ?? 1)}</Text>
               </InlineStack>
               
-              {userPlans.length > 0 && session.spots_left > 0 && (
+              {session.status === 'scheduled' && userPlans.length > 0 && session.spots_left > 0 && (
                 <Button
-                  onPress={() => setSelectedSession(session)}
+                  onPress={() => openBookingModal(session)}
                   variant="primary"
                 >
                   Book Session
                 </Button>
               )}
               
-              {session.spots_left === 0 && (
+              {session.status === 'scheduled' && userPlans.length > 0 && !getRecurringBooking(session.class.id) && (
+                <Button
+                  onPress={() => createRecurringBooking(session.class.id)}
+                  variant="secondary"
+                >
+                  Book Every {formatDayOfWeek(session.class.day_of_week)}
+                </Button>
+              )}
+
+              {session.status === 'scheduled' && session.spots_left <= 0 && (
                 <Text tone="subdued">Session is full</Text>
               )}
+
+              {session.status === 'scheduled' && session.spots_left <= 0 && getWaitlistEntry(session.id) && (
+                <InlineStack gap="tight" align="space-between">
+                  <Text>You're #{getWaitlistEntry(session.id).position} on the waitlist</Text>
+                  <Button
+                    onPress={() => leaveWaitlist(getWaitlistEntry(session.id).id)}
+                    variant="secondary"
+                  >
+                    Leave Waitlist
+                  </Button>
+                </InlineStack>
+              )}
+
+              {session.status === 'scheduled' && userPlans.length > 0 && session.spots_left <= 0 && !getWaitlistEntry(session.id) && (
+                <Button
+                  onPress={() => joinWaitlist(session.id)}
+                  variant="secondary"
+                >
+                  Join Waitlist
+                </Button>
+              )}
             </BlockStack>
           </Card>
         ))}
@@ -310,9 +503,109 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       );
     }
 
+    const waitlistSection = waitlist.length > 0 && (
+      <BlockStack gap="tight">
+        <Text variant="headingMd">My Waitlist</Text>
+        {waitlist.map(entry => (
+          <Card key={entry.id}>
+            <BlockStack gap="tight">
+              <InlineStack align="space-between">
+                <Text variant="headingSm">{entry.session.class.name}</Text>
+                <Badge tone="info">#{entry.position} in line</Badge>
+              </InlineStack>
+
+              <InlineStack gap="tight">
+                <Icon source={Calendar} />
+                <Text>{formatDate(entry.session.session_date)}</Text>
+              </InlineStack>
+
+              <InlineStack gap="tight">
+                <Icon source={Clock} />
+                <Text>{formatTime(entry.session.session_time)}</Text>
+              </InlineStack>
+
+              <Text tone="subdued">
+                You'll be booked automatically and charged a credit if a spot opens.
+              </Text>
+
+              <Button
+                onPress={() => leaveWaitlist(entry.id)}
+                variant="secondary"
+              >
+                Leave Waitlist
+              </Button>
+            </BlockStack>
+          </Card>
+        ))}
+        <Divider />
+      </BlockStack>
+    );
+
+    const recurringSection = recurringBookings.length > 0 && (
+      <BlockStack gap="tight">
+        <Text variant="headingMd">My Recurring Bookings</Text>
+        {recurringBookings.map(series => {
+          const skippedDates = series.skips.map(skip => skip.session_date);
+          const upcomingDates = sessions
+            .filter(session => session.class.id === series.class_id)
+            .map(session => session.session_date)
+            .slice(0, 4);
+
+          return (
+            <Card key={series.id}>
+              <BlockStack gap="tight">
+                <Text variant="headingSm">{series.class.name}</Text>
+
+                <InlineStack gap="tight">
+                  <Icon source={Calendar} />
+                  <Text>Every {formatDayOfWeek(series.class.day_of_week)} at {formatTime(series.class.time)}</Text>
+                </InlineStack>
+
+                <InlineStack gap="tight">
+                  <Icon source={MapPin} />
+                  <Text>{series.class.room?.name || 'TBD'}</Text>
+                </InlineStack>
+
+                {series.last_error && (
+                  <Text tone="critical">{series.last_error}</Text>
+                )}
+
+                {upcomingDates.map(date => (
+                  <InlineStack key={date} gap="tight" align="space-between">
+                    <Text>{formatDate(date)}</Text>
+                    {skippedDates.includes(date) ? (
+                      <Badge tone="subdued">Skipped</Badge>
+                    ) : (
+                      <Button
+                        onPress={() => skipRecurringDate(series.id, date)}
+                        variant="secondary"
+                      >
+                        Skip this week
+                      </Button>
+                    )}
+                  </InlineStack>
+                ))}
+
+                <Button
+                  onPress={() => endRecurringBooking(series.id)}
+                  variant="secondary"
+                  tone="critical"
+                >
+                  End Recurring Booking
+                </Button>
+              </BlockStack>
+            </Card>
+          );
+        })}
+        <Divider />
+      </BlockStack>
+    );
+
     if (filteredBookings.length === 0) {
       return (
         <BlockStack gap="loose">
+          {recurringSection}
+          {waitlistSection}
           <Text>No bookings found.</Text>
         </BlockStack>
       );
@@ -320,46 +613,84 @@ const ClassBookingExtension = ({ customer, i18n }) => {
 
     return (
       <BlockStack gap="loose">
+        {recurringSection}
+        {waitlistSection}
         {filteredBookings.map(booking => (
           <Card key={booking.id}>
             <BlockStack gap="tight">
               <InlineStack align="space-between">
-                <Text variant="headingMd">{booking.sessions.classes.name}</Text>
+                <Text variant="headingMd">{booking.session.class.name}</Text>
                 {getStatusBadge(booking.status)}
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={Calendar} />
-                <Text>{formatDate(booking.sessions.session_date)}</Text>
+                <Text>{formatDate(booking.session.session_date)}</Text>
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={Clock} />
-                <Text>{formatTime(booking.sessions.session_time)}</Text>
+                <Text>{formatTime(booking.session.session_time)}</Text>
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={User} />
-                <Text>{booking.sessions.instructors.users.first_name} {booking.sessions.instructors.users.last_name}</Text>
+                <Text>{booking.session.instructor.user.first_name} {booking.session.instructor.user.last_name}</Text>
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={MapPin} />
-                <Text>{booking.sessions.classes.rooms?.name || 'TBD'}</Text>
+                <Text>{booking.session.class.room?.name || 'TBD'}</Text>
               </InlineStack>
               
               <InlineStack gap="tight">
                 <Icon source={CreditCard} />
-                <Text>Plan: {booking.student_plans.plans.name}</Text>
+                <Text>Plan: {booking.student_plan.plan.name}</Text>
               </InlineStack>
+
+              {booking.check_in_time && (
+                <InlineStack gap="tight">
+                  <Icon source={CheckCircle} />
+                  <Text>Checked in at {new Date(booking.check_in_time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}</Text>
+                </InlineStack>
+              )}
+
+              {booking.check_in && (
+                <BlockStack gap="extraTight">
+                  <Text variant="headingSm">Check-in</Text>
+                  <QRCode
+                    content={booking.check_in.token}
+                    accessibilityLabel={`Check-in code for ${booking.session.class.name}`}
+                  />
+                  <Text tone="subdued">Show this at the front desk, or give the code {booking.check_in.short_code}</Text>
+                </BlockStack>
+              )}
+
+              {booking.status === 'cancelled' && booking.cancellation_reason && (
+                <Text tone="subdued">
+                  {booking.cancellation_reason}
+                  {booking.late_cancellation ? ' (late cancellation)' : ''}
+                  {booking.credit_refunded ? ' (credit refunded)' : ''}
+                </Text>
+              )}
+
+              {booking.status === 'no_show' && (
+                <Text tone="critical">You did not check in for this session</Text>
+              )}
               
+              {booking.status === 'active' && isLateCancellation(booking) && getLateCancelPenalty(booking) && (
+                <Text tone="critical">
+                  The cancellation deadline has passed: {getLateCancelPenalty(booking)} if you cancel now.
+                </Text>
+              )}
+
               {booking.status === 'active' && (
                 <Button
                   onPress={() => cancelBooking(booking.id)}
                   variant="secondary"
                   tone="critical"
                 >
-                  Cancel Booking
+                  {isLateCancellation(booking) ? 'Late Cancel' : 'Cancel Booking'}
                 </Button>
               )}
             </BlockStack>
@@ -391,8 +722,8 @@ const ClassBookingExtension = ({ customer, i18n }) => {
         {userPlans.map(plan => (
           <Card key={plan.id}>
             <BlockStack gap="tight">
-              <Text variant="headingMd">{plan.plans.name}</Text>
-              <Text>{plan.plans.description}</Text>
+              <Text variant="headingMd">{plan.plan.name}</Text>
+              <Text>{plan.plan.description}</Text>
               
               <InlineStack gap="tight">
                 <Icon source={CreditCard} />
@@ -402,12 +733,30 @@ const ClassBookingExtension = ({ customer, i18n }) => {
               </InlineStack>
               
               <Text>Valid until: {formatDate(plan.end_date)}</Text>
+
+              {plan.is_frozen && (
+                <Text tone="subdued">
+                  Frozen until {formatDate(plan.frozen_until)}. Resumes {formatDate(plan.resumes_on)}.
+                </Text>
+              )}
+
+              {!plan.is_frozen && plan.upcoming_freeze && (
+                <Text tone="subdued">
+                  Freeze scheduled {formatDate(plan.upcoming_freeze.start_date)} to {formatDate(plan.upcoming_freeze.end_date)}
+                </Text>
+              )}
               
-              <Text tone="subdued">Purchased: {formatDate(plan.plan_purchases.purchased_at)}</Text>
+              {plan.purchase && (
+                <Text tone="subdued">Purchased: {formatDate(plan.purchase.purchased_at)}</Text>
+              )}
               
-              <Badge tone={plan.status === 'active' ? 'success' : 'subdued'}>
-                {plan.status}
-              </Badge>
+              {plan.is_frozen ? (
+                <Badge tone="info">Frozen</Badge>
+              ) : (
+                <Badge tone={plan.status === 'active' ? 'success' : 'subdued'}>
+                  {plan.status}
+                </Badge>
+              )}
             </BlockStack>
           </Card>
         ))}
@@ -444,7 +793,7 @@ const ClassBookingExtension = ({ customer, i18n }) => {
                 </Badge>
               </InlineStack>
               
-              <Text tone="subdued">{transaction.reference_type}</Text>
+              <Text tone="subdued">{formatTransactionType(transaction.reference_type)}</Text>
               
               <Text>Balance: {transaction.balance_after} credits</Text>
               
@@ -579,12 +928,12 @@ const ClassBookingExtension = ({ customer, i18n }) => {
       {selectedSession && (
         <Modal
           open={!!selectedSession}
-          onClose={() => setSelectedSession(null)}
+          onClose={closeBookingModal}
           title="Book Session"
         >
           <BlockStack gap="loose">
-            <Text variant="headingMd">{selectedSession.classes.name}</Text>
-            <Text>{selectedSession.classes.description}</Text>
+            <Text variant="headingMd">{selectedSession.class.name}</Text>
+            <Text>{selectedSession.class.description}</Text>
             
             <InlineStack gap="tight">
               <Icon source={Calendar} />
@@ -598,12 +947,12 @@ const ClassBookingExtension = ({ customer, i18n }) => {
 
             <InlineStack gap="tight">
               <Icon source={User} />
-              <Text>{selectedSession.instructors.users.first_name} {selectedSession.instructors.users.last_name}</Text>
+              <Text>{selectedSession.instructor.user.first_name} {selectedSession.instructor.user.last_name}</Text>
             </InlineStack>
 
             <InlineStack gap="tight">
               <Icon source={MapPin} />
-              <Text>{selectedSession.classes.rooms?.name || 'TBD'}</Text>
+              <Text>{selectedSession.class.room?.name || 'TBD'}</Text>
             </InlineStack>
 
             <InlineStack gap="tight">
@@ -611,19 +960,37 @@ const ClassBookingExtension = ({ customer, i18n }) => {
               <Text>{selectedSession.spots_left} spots available</Text>
             </InlineStack>
 
-            {userPlans.length > 0 ? (
+            <InlineStack gap="tight">
+              <Icon source={CreditCard} />
+              <Text>Costs {formatCredits(selectedSession.credit_cost ?? 1)}</Text>
+            </InlineStack>
+
+            {!planOptions ? (
+              <Text tone="subdued">Checking your plans...</Text>
+            ) : planOptions.plans.length > 0 ? (
               <BlockStack gap="tight">
-                <Text variant="headingSm">Select a plan:</Text>
-                {userPlans.map(plan => (
-                  <Button
-                    key={plan.id}
-                    onPress={() => bookSession(selectedSession.id, plan.id)}
-                    variant="primary"
-                    disabled={!plan.is_unlimited && plan.remaining_credits < 1}
-                  >
-                    {plan.plans.name} 
-                    {!plan.is_unlimited && ` (${plan.remaining_credits} credits)`}
-                  </Button>
+                <Button
+                  onPress={() => bookSession(selectedSession.id)}
+                  variant="primary"
+                  disabled={!planOptions.recommended_plan_id}
+                >
+                  Book with my soonest-expiring credits
+                </Button>
+                <Text variant="headingSm">Or select a plan:</Text>
+                {planOptions.plans.map(option => (
+                  <BlockStack key={option.student_plan_id} gap="extraTight">
+                    <Button
+                      onPress={() => bookSession(selectedSession.id, option.student_plan_id)}
+                      variant="secondary"
+                      disabled={!option.usable}
+                    >
+                      {option.plan_name}
+                      {!option.is_unlimited && ` (${option.remaining_credits} credits)`}
+                    </Button>
+                    {option.reasons.map(reason => (
+                      <Text key={reason} tone="subdued">{reason}</Text>
+                    ))}
+                  </BlockStack>
                 ))}
               </BlockStack>
             ) : (
@@ -0,0 +1,8 @@
+const apiBaseUrl = process.env.BACKEND_API_URL;
+
+if (!apiBaseUrl) {
+  console.error('Missing backend API configuration. Please check your environment variables.');
+}
+
+// Base URL of the booking backend, without a trailing slash
+export const API_BASE_URL = (apiBaseUrl || '').replace(/\/$/, '');
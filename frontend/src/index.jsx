@@ -3,7 +3,7 @@ import { extend, render } from '@shopify/ui-extensions-react/customer-account';
 import ClassBookingExtension from './components/ClassBookingExtension';
 
 // Extend the customer account UI
-extend('CustomerAccount::FullPage::RenderWithin', (root, { customer, i18n }) => {
+extend('CustomerAccount::FullPage::RenderWithin', (root, { customer, i18n, sessionToken }) => {
   // Render the booking extension
-  render(root, <ClassBookingExtension customer={customer} i18n={i18n} />);
+  render(root, <ClassBookingExtension customer={customer} i18n={i18n} sessionToken={sessionToken} />);
 }); 
\ No newline at end of file